@@ -4,16 +4,39 @@
  * Styled to match Character Studio aesthetic
  */
 
-import { useState, useCallback, useEffect, useMemo } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import DropZone from './components/DropZone';
 import PaintBucket from './components/PaintBucket';
 import IconGrid from './components/IconGrid';
 import LibraryDrawer from './components/LibraryDrawer';
 import LibraryView from './components/LibraryView';
-import { BRANDS, DEFAULT_BRAND_ID, getBrandById } from './constants/brands';
+import ContrastBackgrounds from './components/ContrastBackgrounds';
+import PaletteEditor from './components/PaletteEditor';
+import PaletteImport from './components/PaletteImport';
+import LogoPalette from './components/LogoPalette';
+import ComplianceReport from './components/ComplianceReport';
+import BrandPackImport from './components/BrandPackImport';
+import RasterOptions from './components/RasterOptions';
+import IconFontExport from './components/IconFontExport';
+import { BRANDS, DEFAULT_BRAND_ID, getBrandById, normalizeBrand } from './constants/brands';
 import { recolorSvg, adjustStrokeWidth } from './utils/colorMapper';
-import { processSvgFiles, downloadSvg, downloadAsZip } from './utils/fileHandler';
+import { processSvgFiles, downloadSvg, downloadAsZip, addFilenameSuffix, downloadTextFile, readFileAsText } from './utils/fileHandler';
 import { saveIcons, loadIcons } from './utils/iconStorage';
+import {
+  DEFAULT_CONTRAST_BACKGROUNDS,
+  resolveBackgrounds,
+  auditContrast,
+  suggestContrastMode,
+} from './utils/contrastAudit';
+import { createColorSchemeSvg } from './utils/darkMode';
+import { checkIconCompliance } from './utils/brandCompliance';
+import { resolveBrandLibrary, createBrandPack, parseBrandPack } from './utils/brandPack';
+import { DEFAULT_RASTER_OPTIONS, getRenditions, createRasterFiles } from './utils/rasterExport';
+import { createFaviconFiles } from './utils/faviconExport';
+import { createSpriteFiles } from './utils/spriteExport';
+import { createComponentFiles } from './utils/componentExport';
+import { createIconFontFiles } from './utils/iconFont';
+import { createIdPrefix, prefixIds } from './utils/svgIds';
 
 // LocalStorage keys for persisting state
 const STORAGE_KEY = 'icon-paint-bucket-brand';
@@ -22,6 +45,91 @@ const DELETED_BRANDS_KEY = 'icon-paint-bucket-deleted-brands';
 const FAVORITES_KEY = 'icon-paint-bucket-favorites';
 const CUSTOM_BRANDS_KEY = 'icon-paint-bucket-custom-brands';
 const CUSTOM_COLOR_KEY = 'icon-paint-bucket-custom-color';
+const CONTRAST_BACKGROUNDS_KEY = 'icon-paint-bucket-contrast-backgrounds';
+const RASTER_OPTIONS_KEY = 'icon-paint-bucket-raster-options';
+
+// Pseudo-brand ID of icons painted with the free custom color
+const CUSTOM_COLOR_BRAND_ID = 'custom-color';
+
+// One brand object per custom color, so memoized reports and cards keep their identity
+const customColorBrands = new Map();
+
+/**
+ * Build the virtual brand of a custom color
+ * @param {string} color - Hex color
+ * @returns {object} Brand painting primary and secondary with the color
+ */
+const getCustomColorBrand = (color) => {
+  if (!customColorBrands.has(color)) {
+    customColorBrands.set(color, {
+      id: CUSTOM_COLOR_BRAND_ID,
+      name: 'Custom',
+      primary: color,
+      secondary: color,
+      accent: '#F5F5F5',
+    });
+  }
+  return customColorBrands.get(color);
+};
+
+/**
+ * Fields recording which brand painted an icon
+ * Custom colors also keep the color itself, since the picker can change later.
+ * @param {object} brand - Brand used to paint
+ * @returns {{paintedWith: string, paintedColor: string|null}} Icon fields
+ */
+const getPaintedFields = (brand) => ({
+  paintedWith: brand.id,
+  paintedColor: brand.id === CUSTOM_COLOR_BRAND_ID ? brand.primary : null,
+});
+
+// Starting palette of the add-brand form
+const NEW_BRAND_COLORS = [
+  { name: 'primary', value: '#3B82F6' },
+  { name: 'secondary', value: '#1E3A5F' },
+  { name: 'accent', value: '#E5E7EB' },
+];
+
+/**
+ * Namespace the internal IDs of a downloaded SVG
+ * The prefix is the file slug plus a hash of the original upload, so several
+ * downloaded icons can be inlined in one page without clip paths or gradients
+ * colliding, and repainting the same icon keeps the same IDs.
+ * @param {object} icon - Workspace icon
+ * @param {string} content - SVG to download (defaults to the icon's current content)
+ * @returns {string} SVG with prefixed IDs
+ */
+const withIdPrefix = (icon, content = icon.currentContent) => {
+  return prefixIds(content, createIdPrefix(icon.name, icon.originalContent));
+};
+
+/**
+ * Render an icon's content from its original SVG
+ * Applies the brand colors with the icon's own options (preserve list, explicit
+ * color map, painted regions, gradient settings), then any stroke adjustment.
+ * @param {object} icon - Workspace icon
+ * @param {object|null} brand - Brand to paint with (null keeps original colors)
+ * @param {string} mode - Color mode
+ * @param {object} options - Extra recolorSvg options (e.g. themable)
+ * @returns {string} Rendered SVG content
+ */
+const renderIconContent = (icon, brand, mode, options = {}) => {
+  let content = icon.originalContent;
+  if (brand) {
+    content = recolorSvg(content, brand, mode, {
+      preserve: icon.preserve,
+      colorMap: icon.colorMap,
+      elementPaint: icon.elementPaint,
+      gradient: icon.gradient,
+      ...options,
+    });
+  }
+  // Preserve stroke width if previously adjusted
+  if (icon.strokeMultiplier && icon.strokeMultiplier !== 1) {
+    content = adjustStrokeWidth(content, icon.strokeMultiplier);
+  }
+  return content;
+};
 
 // Toast notification component
 const Toast = ({ message, type = 'success', onClose }) => {
@@ -145,40 +253,65 @@ function App() {
   // State for "Add New Brand" form
   const [showAddBrandForm, setShowAddBrandForm] = useState(false);
   const [newBrandName, setNewBrandName] = useState('');
-  const [newBrandPrimary, setNewBrandPrimary] = useState('#3B82F6');
-  const [newBrandSecondary, setNewBrandSecondary] = useState('#1E3A5F');
-  const [newBrandAccent, setNewBrandAccent] = useState('#E5E7EB');
+  const [newBrandColors, setNewBrandColors] = useState(NEW_BRAND_COLORS);
+
+  // State for contrast audit backgrounds (colors or brand role names)
+  const [contrastBackgrounds, setContrastBackgrounds] = useState(() => {
+    const saved = localStorage.getItem(CONTRAST_BACKGROUNDS_KEY);
+    if (saved) {
+      try {
+        return JSON.parse(saved);
+      } catch {
+        return DEFAULT_CONTRAST_BACKGROUNDS;
+      }
+    }
+    return DEFAULT_CONTRAST_BACKGROUNDS;
+  });
+
+  // State for PNG/WebP/JPEG renditions added to Download ZIP
+  const [rasterOptions, setRasterOptions] = useState(() => {
+    const saved = localStorage.getItem(RASTER_OPTIONS_KEY);
+    if (saved) {
+      try {
+        return { ...DEFAULT_RASTER_OPTIONS, ...JSON.parse(saved) };
+      } catch {
+        return DEFAULT_RASTER_OPTIONS;
+      }
+    }
+    return DEFAULT_RASTER_OPTIONS;
+  });
+  const [showRasterOptions, setShowRasterOptions] = useState(false);
+
+  // Icon font export panel
+  const [showIconFontExport, setShowIconFontExport] = useState(false);
 
   // Toast notifications
   const [toast, setToast] = useState(null);
 
+  // Compliance report shown before Download ZIP
+  const [showComplianceReport, setShowComplianceReport] = useState(false);
+
+  // Brand pack waiting for merge/replace confirmation ({ fileName, pack })
+  const [pendingBrandPack, setPendingBrandPack] = useState(null);
+
   // Create brands array with overrides applied, deleted brands filtered out, and custom brands added
   const brandsWithOverrides = useMemo(() => {
-    const defaultBrands = BRANDS
-      .filter((brand) => !deletedBrands.has(brand.id))
-      .map((brand) => {
-        const override = brandOverrides[brand.id];
-        if (override) {
-          return { ...brand, ...override };
-        }
-        return brand;
-      });
-    
-    // Add custom brands at the end
-    return [...defaultBrands, ...customBrands];
+    return resolveBrandLibrary({ brandOverrides, deletedBrands, customBrands });
   }, [brandOverrides, deletedBrands, customBrands]);
 
+  // Brand an icon was painted with, as currently overridden or customized
+  // Icons painted before custom colors were recorded fall back to the current one.
+  const getPaintedBrand = useCallback((icon) => {
+    if (!icon.paintedWith) return null;
+    if (icon.paintedWith === CUSTOM_COLOR_BRAND_ID) return getCustomColorBrand(icon.paintedColor || customColor);
+    return brandsWithOverrides.find((b) => b.id === icon.paintedWith) || null;
+  }, [brandsWithOverrides, customColor]);
+
   // Get the selected brand object (with overrides if applicable)
   // If custom color is selected, create a virtual brand for it
   const selectedBrand = useMemo(() => {
     if (isCustomColorSelected) {
-      return {
-        id: 'custom-color',
-        name: 'Custom',
-        primary: customColor,
-        secondary: customColor,
-        accent: '#F5F5F5',
-      };
+      return getCustomColorBrand(customColor);
     }
     return brandsWithOverrides.find((b) => b.id === selectedBrandId);
   }, [selectedBrandId, brandsWithOverrides, isCustomColorSelected, customColor]);
@@ -199,6 +332,54 @@ function App() {
     return icons;
   }, [icons, favorites, filterView]);
 
+  // Audit painted icons for contrast against the chosen backgrounds
+  // Failing icons get the first mode that passes everywhere as a suggestion.
+  // Reports are cached per icon and only redone when its painted content, brand
+  // or the backgrounds change, since suggestions re-render up to four modes.
+  const contrastCache = useRef(new Map());
+  const contrastReports = useMemo(() => {
+    const cache = contrastCache.current;
+    const reports = new Map();
+    icons.forEach((icon) => {
+      if (!icon.isPainted || icon.isLocked) return;
+
+      const brand = getPaintedBrand(icon);
+      const cached = cache.get(icon.id);
+      if (cached && cached.content === icon.currentContent && cached.brand === brand && cached.backgrounds === contrastBackgrounds) {
+        reports.set(icon.id, cached.report);
+        return;
+      }
+
+      const backgrounds = resolveBackgrounds(contrastBackgrounds, brand);
+      const report = auditContrast(icon.currentContent, backgrounds);
+      const mode = icon.colorMode || 'primary';
+      const suggestion = !report.passes && brand
+        ? suggestContrastMode((candidate) => renderIconContent(icon, brand, candidate), mode, backgrounds)
+        : null;
+
+      const entry = { ...report, suggestion };
+      cache.set(icon.id, { content: icon.currentContent, brand, backgrounds: contrastBackgrounds, report: entry });
+      reports.set(icon.id, entry);
+    });
+    // Forget icons that were removed or unpainted
+    [...cache.keys()].forEach((id) => {
+      if (!reports.has(id)) cache.delete(id);
+    });
+    return reports;
+  }, [icons, getPaintedBrand, contrastBackgrounds]);
+
+  // Check painted icons against their brand's compliance rules
+  const complianceReports = useMemo(() => {
+    return icons
+      .filter((icon) => icon.isPainted && !icon.isLocked)
+      .map((icon) => {
+        const brand = getPaintedBrand(icon);
+        const violations = checkIconCompliance(icon, brand, resolveBackgrounds(contrastBackgrounds, brand));
+        return { icon, brandName: brand?.name, violations };
+      })
+      .filter(({ violations }) => violations.length > 0);
+  }, [icons, getPaintedBrand, contrastBackgrounds]);
+
   // Persist brand selection to localStorage
   useEffect(() => {
     localStorage.setItem(STORAGE_KEY, selectedBrandId);
@@ -224,6 +405,16 @@ function App() {
     localStorage.setItem(CUSTOM_COLOR_KEY, customColor);
   }, [customColor]);
 
+  // Persist contrast backgrounds to localStorage
+  useEffect(() => {
+    localStorage.setItem(CONTRAST_BACKGROUNDS_KEY, JSON.stringify(contrastBackgrounds));
+  }, [contrastBackgrounds]);
+
+  // Persist raster export options to localStorage
+  useEffect(() => {
+    localStorage.setItem(RASTER_OPTIONS_KEY, JSON.stringify(rasterOptions));
+  }, [rasterOptions]);
+
   // Persist custom brands to localStorage
   useEffect(() => {
     localStorage.setItem(CUSTOM_BRANDS_KEY, JSON.stringify(customBrands));
@@ -307,32 +498,62 @@ function App() {
     setIsCustomColorSelected(true);
   }, []);
 
-  // Handle adding a new brand
-  const handleAddNewBrand = useCallback(() => {
-    if (!newBrandName.trim()) {
+  // Handle adding a new brand, from the form or from an imported palette draft
+  const handleAddNewBrand = useCallback((draft = { name: newBrandName, colors: newBrandColors }) => {
+    if (!draft.name.trim()) {
       showToast('Please enter a brand name', 'error');
       return;
     }
     
-    const newBrand = {
+    const newBrand = normalizeBrand({
       id: `custom-${Date.now()}`,
-      name: newBrandName.trim(),
-      primary: newBrandPrimary,
-      secondary: newBrandSecondary,
-      accent: newBrandAccent,
+      name: draft.name.trim(),
+      colors: draft.colors,
       isCustom: true,
-    };
+    });
     
     setCustomBrands((prev) => [...prev, newBrand]);
     setShowAddBrandForm(false);
     setNewBrandName('');
-    setNewBrandPrimary('#3B82F6');
-    setNewBrandSecondary('#1E3A5F');
-    setNewBrandAccent('#E5E7EB');
+    setNewBrandColors(NEW_BRAND_COLORS);
     setSelectedBrandId(newBrand.id);
     setIsCustomColorSelected(false);
     showToast(`Created "${newBrand.name}" brand`, 'success');
-  }, [newBrandName, newBrandPrimary, newBrandSecondary, newBrandAccent, showToast]);
+  }, [newBrandName, newBrandColors, showToast]);
+
+  // Download the whole brand library as a shareable brand pack
+  const handleExportBrandPack = useCallback(() => {
+    downloadTextFile(createBrandPack({ brandOverrides, deletedBrands, customBrands }), 'brand-pack.json', 'application/json');
+    showToast('Exported brand pack', 'success');
+  }, [brandOverrides, deletedBrands, customBrands, showToast]);
+
+  // Read a brand pack and open the merge/replace preview
+  const handleBrandPackFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setPendingBrandPack({ fileName: file.name, pack: parseBrandPack(await readFileAsText(file)) });
+    } catch (error) {
+      console.error('Error reading brand pack:', error);
+      showToast(`Brand pack import failed: ${error.message}`, 'error');
+    }
+  }, [showToast]);
+
+  // Apply a previewed brand pack to the library
+  const handleApplyBrandPack = useCallback((next, changeCount) => {
+    setBrandOverrides(next.brandOverrides);
+    setCustomBrands(next.customBrands);
+    setDeletedBrands(next.deletedBrands);
+    // Keep a valid selection if the selected brand was removed
+    const brands = resolveBrandLibrary(next);
+    if (!brands.some((brand) => brand.id === selectedBrandId) && brands.length > 0) {
+      setSelectedBrandId(brands[0].id);
+    }
+    setPendingBrandPack(null);
+    showToast(`Imported brand pack (${changeCount} brand${changeCount !== 1 ? 's' : ''} changed)`, 'success');
+  }, [selectedBrandId, showToast]);
 
   // Handle file uploads
   const handleFilesAdded = useCallback(async (files, uploadOptions = {}) => {
@@ -392,16 +613,10 @@ function App() {
       prev.map((icon) => {
         if (icon.id !== iconId) return icon;
 
-        let content = recolorSvg(icon.originalContent, selectedBrand, 'primary');
-        // Preserve stroke width if previously adjusted
-        if (icon.strokeMultiplier && icon.strokeMultiplier !== 1) {
-          content = adjustStrokeWidth(content, icon.strokeMultiplier);
-        }
-
         return {
           ...icon,
-          currentContent: content,
-          paintedWith: selectedBrand.id,
+          currentContent: renderIconContent(icon, selectedBrand, 'primary'),
+          ...getPaintedFields(selectedBrand),
           isPainted: true,
           colorMode: 'primary',
         };
@@ -419,23 +634,17 @@ function App() {
         if (!icon.isPainted || !icon.paintedWith) return icon;
 
         // Get the brand that was used to paint this icon
-        const brand = brandsWithOverrides.find((b) => b.id === icon.paintedWith);
+        const brand = getPaintedBrand(icon);
         if (!brand) return icon;
 
-        let content = recolorSvg(icon.originalContent, brand, mode);
-        // Preserve stroke width if previously adjusted
-        if (icon.strokeMultiplier && icon.strokeMultiplier !== 1) {
-          content = adjustStrokeWidth(content, icon.strokeMultiplier);
-        }
-
         return {
           ...icon,
-          currentContent: content,
+          currentContent: renderIconContent(icon, brand, mode),
           colorMode: mode,
         };
       })
     );
-  }, [brandsWithOverrides]);
+  }, [getPaintedBrand]);
 
   // Handle stroke width change for an icon
   const handleStrokeWidthChange = useCallback((iconId, multiplier) => {
@@ -443,35 +652,146 @@ function App() {
       prev.map((icon) => {
         if (icon.id !== iconId) return icon;
 
-        // Start from original content
-        let content = icon.originalContent;
-
         // If painted, apply color first
-        if (icon.isPainted && icon.paintedWith) {
-          const brand = brandsWithOverrides.find((b) => b.id === icon.paintedWith);
-          if (brand) {
-            content = recolorSvg(content, brand, icon.colorMode || 'primary');
-          }
-        }
+        const brand = icon.isPainted
+          ? getPaintedBrand(icon)
+          : null;
+        const next = { ...icon, strokeMultiplier: multiplier };
 
-        // Apply stroke width adjustment
-        content = adjustStrokeWidth(content, multiplier);
+        return {
+          ...next,
+          currentContent: renderIconContent(next, brand, icon.colorMode || 'primary'),
+        };
+      })
+    );
+  }, [getPaintedBrand]);
+
+  // Handle saving an icon's explicit color map
+  const handleIconColorMapChange = useCallback((iconId, colorMap) => {
+    setIcons((prev) =>
+      prev.map((icon) => {
+        if (icon.id !== iconId) return icon;
+
+        const next = { ...icon, colorMap };
+        const brand = icon.isPainted
+          ? getPaintedBrand(icon)
+          : null;
 
         return {
+          ...next,
+          currentContent: renderIconContent(next, brand, icon.colorMode || 'primary'),
+        };
+      })
+    );
+  }, [getPaintedBrand]);
+
+  // Handle changing an icon's gradient settings (type, angle, stops)
+  const handleGradientChange = useCallback((iconId, gradient) => {
+    setIcons((prev) =>
+      prev.map((icon) => {
+        if (icon.id !== iconId) return icon;
+        if (!icon.isPainted || !icon.paintedWith) return { ...icon, gradient };
+
+        const brand = getPaintedBrand(icon);
+        const next = { ...icon, gradient };
+
+        return {
+          ...next,
+          currentContent: renderIconContent(next, brand, icon.colorMode || 'primary'),
+        };
+      })
+    );
+  }, [getPaintedBrand]);
+
+  // Handle painting individual regions from the icon editor
+  // Unpainted icons are painted with the selected brand on their first region.
+  const handleElementPaintChange = useCallback((iconId, elementPaint) => {
+    setIcons((prev) =>
+      prev.map((icon) => {
+        if (icon.id !== iconId) return icon;
+
+        const brand = icon.isPainted
+          ? getPaintedBrand(icon)
+          : selectedBrand;
+        if (!brand) return { ...icon, elementPaint };
+
+        const next = {
           ...icon,
-          currentContent: content,
-          strokeMultiplier: multiplier,
+          elementPaint,
+          ...getPaintedFields(brand),
+          isPainted: true,
+          colorMode: icon.colorMode || 'primary',
+        };
+
+        return {
+          ...next,
+          currentContent: renderIconContent(next, brand, next.colorMode),
+        };
+      })
+    );
+  }, [getPaintedBrand, selectedBrand]);
+
+  // Handle changing an icon's own preserve settings
+  const handleIconPreserveChange = useCallback((iconId, preserve) => {
+    setIcons((prev) =>
+      prev.map((icon) => {
+        if (icon.id !== iconId) return icon;
+
+        const next = { ...icon, preserve };
+        const brand = icon.isPainted
+          ? getPaintedBrand(icon)
+          : null;
+
+        return {
+          ...next,
+          currentContent: renderIconContent(next, brand, icon.colorMode || 'primary'),
         };
       })
     );
-  }, [brandsWithOverrides]);
+  }, [getPaintedBrand]);
 
   // Handle downloading a single icon
   const handleDownloadIcon = useCallback((icon) => {
-    downloadSvg(icon.currentContent, icon.name);
+    downloadSvg(withIdPrefix(icon), icon.name);
     showToast(`Downloaded ${icon.name}`, 'success');
   }, [showToast]);
 
+  // Handle downloading a runtime-themable version (currentColor + CSS custom properties)
+  const handleDownloadThemable = useCallback((icon) => {
+    const brand = getPaintedBrand(icon) || selectedBrand;
+    if (!brand) return;
+
+    const content = renderIconContent(icon, brand, icon.colorMode || 'primary', { themable: true });
+    downloadSvg(withIdPrefix(icon, content), addFilenameSuffix(icon.name, '-themable'));
+    showToast(`Downloaded themable ${icon.name}`, 'success');
+  }, [getPaintedBrand, selectedBrand, showToast]);
+
+  // Handle downloading a single SVG that switches to the dark palette with prefers-color-scheme
+  const handleDownloadColorScheme = useCallback((icon) => {
+    const brand = getPaintedBrand(icon) || selectedBrand;
+    if (!brand) return;
+
+    const mode = icon.colorMode || 'primary';
+    const content = createColorSchemeSvg(
+      renderIconContent(icon, brand, mode),
+      renderIconContent(icon, brand, mode, { dark: true })
+    );
+    downloadSvg(withIdPrefix(icon, content), addFilenameSuffix(icon.name, '-auto'));
+    showToast(`Downloaded light/dark ${icon.name}`, 'success');
+  }, [getPaintedBrand, selectedBrand, showToast]);
+
+  // Handle downloading the favicon bundle of an icon's painted content
+  const handleDownloadFavicon = useCallback(async (icon, options) => {
+    try {
+      const files = await createFaviconFiles(icon.currentContent, icon.name, options);
+      await downloadAsZip(files, addFilenameSuffix(icon.name.replace(/\.svg$/i, '.zip'), '-favicon'));
+      showToast(`Downloaded favicon bundle for ${icon.name}`, 'success');
+    } catch (error) {
+      console.error('Error creating favicon bundle:', error);
+      showToast(error.message || 'Error creating favicon bundle', 'error');
+    }
+  }, [showToast]);
+
   // Handle removing a single icon
   const handleRemoveIcon = useCallback((iconId) => {
     setIcons((prev) => prev.filter((icon) => icon.id !== iconId));
@@ -522,30 +842,126 @@ function App() {
     return new Set(icons.map((i) => i.id));
   }, [icons]);
 
-  // Handle batch download all icons
-  const handleDownloadAll = useCallback(async () => {
-    if (icons.length === 0) return;
+  // Download every icon as a ZIP, with any raster renditions (after the compliance check)
+  const downloadAllIcons = useCallback(async () => {
+    setShowComplianceReport(false);
+    let rasterFiles = [];
+    if (getRenditions(rasterOptions).length > 0) {
+      try {
+        rasterFiles = await createRasterFiles(icons, rasterOptions);
+      } catch (error) {
+        console.error('Error rendering rasters:', error);
+        showToast(error.message || 'Error rendering raster images', 'error');
+        return;
+      }
+    }
 
     try {
-      await downloadAsZip(icons, 'icons-painted.zip');
-      showToast(`Downloaded ${icons.length} icons as ZIP`, 'success');
+      const svgFiles = icons.map((icon) => ({ name: icon.name, currentContent: withIdPrefix(icon) }));
+      await downloadAsZip([...svgFiles, ...rasterFiles], 'icons-painted.zip');
+      showToast(
+        rasterFiles.length > 0
+          ? `Downloaded ${icons.length} icons and ${rasterFiles.length} raster images as ZIP`
+          : `Downloaded ${icons.length} icons as ZIP`,
+        'success'
+      );
     } catch (error) {
       console.error('Error creating ZIP:', error);
       showToast('Error creating ZIP file', 'error');
     }
+  }, [icons, rasterOptions, showToast]);
+
+  // Handle batch download all icons: rule violations are shown first
+  const handleDownloadAll = useCallback(() => {
+    if (icons.length === 0) return;
+    if (complianceReports.length > 0) {
+      setShowComplianceReport(true);
+      return;
+    }
+    downloadAllIcons();
+  }, [icons.length, complianceReports.length, downloadAllIcons]);
+
+  // Handle downloading every icon as one sprite.svg of <symbol>s, with a demo page
+  const handleDownloadSprite = useCallback(async () => {
+    if (icons.length === 0) return;
+    try {
+      const { files, symbols } = createSpriteFiles(icons);
+      await downloadAsZip(files, 'icons-sprite.zip');
+      const skipped = icons.length - symbols.length;
+      showToast(
+        `Downloaded sprite with ${symbols.length} icons${skipped > 0 ? ` (${skipped} unreadable skipped)` : ''}`,
+        skipped > 0 ? 'info' : 'success'
+      );
+    } catch (error) {
+      console.error('Error creating sprite:', error);
+      showToast('Error creating sprite', 'error');
+    }
   }, [icons, showToast]);
 
+  // Handle downloading every icon as React, Vue and Svelte components
+  const handleDownloadComponents = useCallback(async () => {
+    if (icons.length === 0) return;
+    try {
+      const files = createComponentFiles(icons, getPaintedBrand);
+      await downloadAsZip(files, 'icons-components.zip');
+      showToast(`Downloaded ${icons.length} icons as React, Vue and Svelte components`, 'success');
+    } catch (error) {
+      console.error('Error creating components:', error);
+      showToast('Error creating components', 'error');
+    }
+  }, [icons, getPaintedBrand, showToast]);
+
+  // Handle compiling the chosen icons into an icon font with its CSS
+  const handleDownloadIconFont = useCallback(async (selectedIcons, options) => {
+    try {
+      const { files, fileBase } = createIconFontFiles(selectedIcons, options);
+      await downloadAsZip(files, `${fileBase}-font.zip`);
+      showToast(`Downloaded icon font with ${selectedIcons.length} glyphs`, 'success');
+    } catch (error) {
+      console.error('Error creating icon font:', error);
+      showToast('Error creating icon font', 'error');
+    }
+  }, [showToast]);
+
+  // Handle downloading light, dark and prefers-color-scheme variants of every painted icon
+  const handleDownloadLightDark = useCallback(async () => {
+    const files = icons.filter((icon) => icon.isPainted).flatMap((icon) => {
+      const brand = getPaintedBrand(icon) || selectedBrand;
+      if (!brand) return [];
+
+      const mode = icon.colorMode || 'primary';
+      const light = renderIconContent(icon, brand, mode);
+      const dark = renderIconContent(icon, brand, mode, { dark: true });
+      return [
+        { name: `light/${icon.name}`, currentContent: withIdPrefix(icon, light) },
+        { name: `dark/${icon.name}`, currentContent: withIdPrefix(icon, dark) },
+        { name: `auto/${icon.name}`, currentContent: withIdPrefix(icon, createColorSchemeSvg(light, dark)) },
+      ];
+    });
+    if (files.length === 0) {
+      showToast('Paint some icons first', 'info');
+      return;
+    }
+
+    try {
+      await downloadAsZip(files, 'icons-light-dark.zip');
+      showToast(`Downloaded ${files.length / 3} icons in light and dark`, 'success');
+    } catch (error) {
+      console.error('Error creating ZIP:', error);
+      showToast('Error creating ZIP file', 'error');
+    }
+  }, [icons, getPaintedBrand, selectedBrand, showToast]);
+
   // Handle painting all icons
   const handlePaintAll = useCallback(() => {
     if (!selectedBrand || icons.length === 0) return;
 
     setIcons((prev) =>
       prev.map((icon) => {
-        const recolored = recolorSvg(icon.originalContent, selectedBrand, 'primary');
         return {
           ...icon,
-          currentContent: recolored,
-          paintedWith: selectedBrand.id,
+          currentContent: renderIconContent(icon, selectedBrand, 'primary'),
+          ...getPaintedFields(selectedBrand),
           isPainted: true,
           colorMode: 'primary',
         };
@@ -738,36 +1154,23 @@ function App() {
                   className="w-full px-3 py-2 bg-neutral-900 border border-neutral-600 rounded-lg text-sm text-neutral-300 focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
                 />
                 
-                {/* Color pickers */}
-                <div className="grid grid-cols-3 gap-2">
-                  <div className="flex flex-col items-center gap-1">
-                    <input
-                      type="color"
-                      value={newBrandPrimary}
-                      onChange={(e) => setNewBrandPrimary(e.target.value)}
-                      className="w-full h-8 rounded cursor-pointer bg-transparent border-0"
-                    />
-                    <span className="text-[9px] text-gray-500 uppercase">Primary</span>
-                  </div>
-                  <div className="flex flex-col items-center gap-1">
-                    <input
-                      type="color"
-                      value={newBrandSecondary}
-                      onChange={(e) => setNewBrandSecondary(e.target.value)}
-                      className="w-full h-8 rounded cursor-pointer bg-transparent border-0"
-                    />
-                    <span className="text-[9px] text-gray-500 uppercase">Secondary</span>
-                  </div>
-                  <div className="flex flex-col items-center gap-1">
-                    <input
-                      type="color"
-                      value={newBrandAccent}
-                      onChange={(e) => setNewBrandAccent(e.target.value)}
-                      className="w-full h-8 rounded cursor-pointer bg-transparent border-0"
-                    />
-                    <span className="text-[9px] text-gray-500 uppercase">Accent</span>
-                  </div>
-                </div>
+                {/* Palette: any number of named colors */}
+                <PaletteEditor colors={newBrandColors} onChange={setNewBrandColors} />
+                
+                {/* Pre-fill from a logo's dominant colors, then confirm and save */}
+                <LogoPalette
+                  onExtract={({ name, colors }) => {
+                    setNewBrandColors(colors);
+                    setNewBrandName((prev) => prev || name);
+                  }}
+                  onError={(message) => showToast(`Logo import failed: ${message}`, 'error')}
+                />
+                
+                {/* Or start from a brand guide's swatch file */}
+                <PaletteImport
+                  onCreate={handleAddNewBrand}
+                  onError={(message) => showToast(`Palette import failed: ${message}`, 'error')}
+                />
                 
                 {/* Action buttons */}
                 <div className="flex gap-2">
@@ -778,7 +1181,7 @@ function App() {
                     Cancel
                   </button>
                   <button
-                    onClick={handleAddNewBrand}
+                    onClick={() => handleAddNewBrand()}
                     className="flex-1 px-3 py-1.5 bg-yellow-500 hover:bg-yellow-400 text-neutral-900 rounded-lg text-xs font-medium transition-all"
                   >
                     Save Brand
@@ -786,6 +1189,24 @@ function App() {
                 </div>
               </div>
             )}
+
+            {/* Share the brand library as a versioned brand pack */}
+            <div className="flex gap-2">
+              <button
+                onClick={handleExportBrandPack}
+                className="flex-1 px-3 py-1.5 bg-neutral-800 hover:bg-neutral-700 border border-neutral-700 text-neutral-400 hover:text-white rounded-lg text-xs font-medium transition-all"
+                title="Download all brands, edits and deletions as one JSON file"
+              >
+                Export pack
+              </button>
+              <label
+                className="flex-1 px-3 py-1.5 bg-neutral-800 hover:bg-neutral-700 border border-neutral-700 text-neutral-400 hover:text-white rounded-lg text-xs font-medium transition-all text-center cursor-pointer"
+                title="Merge or replace the brand library from a brand pack"
+              >
+                Import pack
+                <input type="file" accept=".json,application/json" onChange={handleBrandPackFile} className="hidden" />
+              </label>
+            </div>
           </div>
 
           {/* Instructions */}
@@ -854,6 +1275,61 @@ function App() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                   </svg>
                   Download ZIP
+                </button>
+                <button
+                  onClick={handleDownloadSprite}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white font-medium text-sm transition-all duration-200 flex items-center gap-2"
+                  title="One sprite.svg with a <symbol> per icon, plus a demo page"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
+                  </svg>
+                  Sprite
+                </button>
+                <button
+                  onClick={handleDownloadComponents}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white font-medium text-sm transition-all duration-200 flex items-center gap-2"
+                  title="React (.tsx), Vue and Svelte components with size, title and color props"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+                  </svg>
+                  Components
+                </button>
+                <button
+                  onClick={() => setShowIconFontExport(true)}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white font-medium text-sm transition-all duration-200 flex items-center gap-2"
+                  title="SVG, TTF and WOFF2 icon font with a CSS class per icon"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7V5h16v2M9 19h6M12 5v14" />
+                  </svg>
+                  Icon Font
+                </button>
+                <button
+                  onClick={() => setShowRasterOptions(true)}
+                  className={`px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 border hover:border-gray-600 font-medium text-sm transition-all duration-200 flex items-center gap-2 ${
+                    rasterOptions.formats.length > 0 ? 'border-yellow-500/50 text-yellow-300' : 'border-gray-700 text-gray-300 hover:text-white'
+                  }`}
+                  title="Add PNG, WebP or JPEG renditions to Download ZIP"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                  </svg>
+                  {rasterOptions.formats.length > 0
+                    ? `+ ${rasterOptions.formats.map((format) => format.toUpperCase()).join('/')}`
+                    : 'Raster'}
+                </button>
+                <button
+                  onClick={handleDownloadLightDark}
+                  disabled={stats.painted === 0}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-gray-300 hover:text-white font-medium text-sm transition-all duration-200 flex items-center gap-2"
+                  title="ZIP with light/, dark/ and auto/ (prefers-color-scheme) versions of painted icons"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
+                  </svg>
+                  Light + Dark
                 </button>
                   <button
                     onClick={handleClearAll}
@@ -876,7 +1352,7 @@ function App() {
 
           {/* Filter bar */}
           {icons.length > 0 && (
-            <div className="flex items-center gap-2 mb-6">
+            <div className="flex items-center gap-2 mb-6 flex-wrap">
               <button
                 onClick={() => setFilterView('all')}
                 className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
@@ -900,6 +1376,14 @@ function App() {
                 </svg>
                 Favorites ({stats.favCount})
               </button>
+
+              {/* Contrast audit backgrounds */}
+              <div className="ml-auto">
+                <ContrastBackgrounds
+                  backgrounds={contrastBackgrounds}
+                  onChange={setContrastBackgrounds}
+                />
+              </div>
             </div>
           )}
 
@@ -907,17 +1391,64 @@ function App() {
           <IconGrid
             icons={filteredIcons}
             selectedBrand={selectedBrand}
+            getPaintedBrand={getPaintedBrand}
             favorites={favorites}
+            contrastReports={contrastReports}
             onPaint={handlePaintIcon}
             onDownload={handleDownloadIcon}
+            onDownloadThemable={handleDownloadThemable}
+            onDownloadColorScheme={handleDownloadColorScheme}
+            onDownloadFavicon={handleDownloadFavicon}
             onRemove={handleRemoveIcon}
             onColorModeChange={handleColorModeChange}
             onToggleFavorite={handleToggleFavorite}
             onStrokeWidthChange={handleStrokeWidthChange}
+            onPreserveChange={handleIconPreserveChange}
+            onColorMapChange={handleIconColorMapChange}
+            onElementPaintChange={handleElementPaintChange}
+            onGradientChange={handleGradientChange}
           />
         </main>
       </div>
 
+      {/* Brand rule violations, shown before Download ZIP */}
+      {showComplianceReport && (
+        <ComplianceReport
+          reports={complianceReports}
+          onExport={downloadAllIcons}
+          onClose={() => setShowComplianceReport(false)}
+        />
+      )}
+
+      {/* Raster renditions for Download ZIP */}
+      {showRasterOptions && (
+        <RasterOptions
+          options={rasterOptions}
+          onChange={setRasterOptions}
+          onClose={() => setShowRasterOptions(false)}
+        />
+      )}
+
+      {/* Icon font glyph selection */}
+      {showIconFontExport && (
+        <IconFontExport
+          icons={icons}
+          onDownload={handleDownloadIconFont}
+          onClose={() => setShowIconFontExport(false)}
+        />
+      )}
+
+      {/* Brand pack merge/replace preview */}
+      {pendingBrandPack && (
+        <BrandPackImport
+          fileName={pendingBrandPack.fileName}
+          pack={pendingBrandPack.pack}
+          library={{ brandOverrides, deletedBrands, customBrands }}
+          onApply={handleApplyBrandPack}
+          onClose={() => setPendingBrandPack(null)}
+        />
+      )}
+
       {/* Library Drawer */}
       <LibraryDrawer
         isOpen={isLibraryOpen}
@@ -0,0 +1,104 @@
+/**
+ * BrandPackImport Component
+ * Previews a brand pack import, brand by brand, in merge or replace mode
+ * before it touches the library
+ */
+
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { combineBrandPack, diffBrandLibraries } from '../utils/brandPack';
+
+// Badge style and label of each change
+const CHANGE_STYLES = {
+  added: { label: 'Added', className: 'bg-green-500/20 text-green-300' },
+  updated: { label: 'Updated', className: 'bg-sky-500/20 text-sky-300' },
+  removed: { label: 'Removed', className: 'bg-red-500/20 text-red-300' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-800 text-gray-500' },
+};
+
+const BrandPackImport = ({ fileName, pack, library, onApply, onClose }) => {
+  const [strategy, setStrategy] = useState('merge');
+
+  const next = useMemo(() => combineBrandPack(library, pack, strategy), [library, pack, strategy]);
+  const changes = useMemo(() => diffBrandLibraries(library, next), [library, next]);
+  const changeCount = changes.filter(({ change }) => change !== 'unchanged').length;
+
+  // Portal to <body> so the panel sits above the sticky sidebar
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Preview panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-md max-h-[80vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800">
+          <h2 className="text-white font-semibold text-sm">Import Brand Pack</h2>
+          <p className="text-gray-500 text-xs truncate" title={fileName}>
+            {fileName}{pack.exportedAt ? ` · exported ${new Date(pack.exportedAt).toLocaleString()}` : ''}
+          </p>
+        </div>
+
+        {/* Merge / replace */}
+        <div className="p-4 pb-0 space-y-2">
+          <div className="flex gap-1">
+            {['merge', 'replace'].map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setStrategy(option)}
+                className={`flex-1 px-3 py-1.5 rounded-lg text-xs font-medium capitalize transition-all ${
+                  strategy === option ? 'bg-yellow-500 text-gray-900' : 'bg-gray-800 text-gray-400 hover:text-white'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          <p className="text-[10px] text-gray-500">
+            {strategy === 'merge'
+              ? 'Keeps your brands and layers the pack on top: its edits and brands win where both exist.'
+              : 'Makes your brand library exactly the pack. Your own edits and custom brands not in it are lost.'}
+          </p>
+        </div>
+
+        {/* Per-brand changes */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-1">
+          {changes.map(({ id, name, change }) => (
+            <div key={id} className="flex items-center justify-between gap-2">
+              <span className={`text-xs truncate ${change === 'unchanged' ? 'text-gray-500' : 'text-gray-300'}`}>{name}</span>
+              <span className={`px-1.5 py-0.5 rounded text-[10px] flex-shrink-0 ${CHANGE_STYLES[change].className}`}>
+                {CHANGE_STYLES[change].label}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg text-xs font-medium transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(next, changeCount)}
+            disabled={changeCount === 0}
+            className="flex-1 px-3 py-2 bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed text-gray-900 rounded-lg text-xs font-medium transition-all"
+          >
+            {changeCount === 0 ? 'No changes' : `Apply ${changeCount} change${changeCount !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default BrandPackImport;
@@ -0,0 +1,198 @@
+/**
+ * ColorMapEditor Component
+ * Detail editor that maps each source color of an icon to a brand role,
+ * a custom hex, or "keep"
+ */
+
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { extractColors, recolorSvg, svgToDataUrl, createPalette } from '../utils/colorMapper';
+import { getScaleReferences, resolveScaleReference } from '../utils/colorScale';
+
+/**
+ * Capitalize a palette name for a dropdown label
+ * @param {string} name - Palette name
+ * @returns {string} Label
+ */
+const toLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const ColorMapEditor = ({ icon, brand, onSave, onClose }) => {
+  const [colorMap, setColorMap] = useState(icon.colorMap || {});
+
+  // Every palette color is a target, plus the tint/shade steps of each, e.g. "primary-100"
+  const palette = useMemo(() => (brand ? createPalette(brand) : {}), [brand]);
+  const roleTargets = useMemo(() => Object.keys(palette), [palette]);
+  const scaleTargets = useMemo(() => getScaleReferences(roleTargets), [roleTargets]);
+
+  // Distinct colors of the original artwork, most used first
+  const sourceColors = useMemo(() => extractColors(icon.originalContent), [icon.originalContent]);
+
+  // Live preview with the draft map applied
+  const previewUrl = useMemo(() => {
+    const content = brand
+      ? recolorSvg(icon.originalContent, brand, icon.colorMode || 'primary', {
+        preserve: icon.preserve,
+        colorMap,
+        elementPaint: icon.elementPaint,
+        gradient: icon.gradient,
+      })
+      : icon.originalContent;
+    return svgToDataUrl(content);
+  }, [icon.originalContent, icon.colorMode, icon.preserve, icon.elementPaint, icon.gradient, brand, colorMap]);
+
+  // Update (or clear) the mapping of one source color
+  const handleTargetChange = (color, target) => {
+    setColorMap((prev) => {
+      const next = { ...prev };
+      if (!target) {
+        delete next[color];
+      } else {
+        next[color] = target === 'custom' ? color : target;
+      }
+      return next;
+    });
+  };
+
+  // Dropdown value for a stored mapping
+  const getTarget = (color) => {
+    const mapped = colorMap[color];
+    if (!mapped) return '';
+    return roleTargets.includes(mapped) || scaleTargets.includes(mapped) || mapped === 'keep' ? mapped : 'custom';
+  };
+
+  // Swatch color a mapping will produce
+  const getResultColor = (color) => {
+    const mapped = colorMap[color];
+    if (!mapped || mapped === 'keep') return color;
+    if (roleTargets.includes(mapped)) return palette[mapped] || color;
+    if (scaleTargets.includes(mapped)) return resolveScaleReference(mapped, palette) || color;
+    return mapped;
+  };
+
+  // Portal to <body> so the card's hover transform doesn't offset the fixed panel
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Editor panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-lg max-h-[90vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+          <div>
+            <h2 className="text-white font-semibold text-sm">Color Map</h2>
+            <p className="text-gray-500 text-xs truncate max-w-xs" title={icon.name}>{icon.name}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-800 rounded-lg transition-colors"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 flex gap-4">
+          {/* Preview */}
+          <div className="w-32 h-32 flex-shrink-0 p-3 bg-white rounded-lg flex items-center justify-center">
+            <img src={previewUrl} alt={icon.name} className="w-full h-full object-contain" />
+          </div>
+
+          {/* Source colors */}
+          <div className="flex-1 space-y-2">
+            {sourceColors.length === 0 && (
+              <p className="text-gray-500 text-xs">No colors found in this icon.</p>
+            )}
+            {sourceColors.map(({ color, count, properties }) => (
+              <div key={color} className="flex items-center gap-2">
+                <div
+                  className="w-6 h-6 rounded border border-white/20 flex-shrink-0"
+                  style={{ backgroundColor: color }}
+                  title={`Used in ${properties.join(', ')}`}
+                />
+                <div className="w-16">
+                  <p className="text-[10px] text-gray-300 font-mono">{color}</p>
+                  <p className="text-[10px] text-gray-500">{count}× used</p>
+                </div>
+                <svg className="w-3 h-3 text-gray-600 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+                <select
+                  value={getTarget(color)}
+                  onChange={(e) => handleTargetChange(color, e.target.value)}
+                  className="flex-1 bg-gray-800 text-white text-xs px-2 py-1 rounded border border-gray-700 focus:outline-none focus:border-yellow-500/50"
+                >
+                  {/* '' = automatic role mapping */}
+                  <option value="">Auto</option>
+                  {roleTargets.map((role) => (
+                    <option key={role} value={role}>{toLabel(role)}</option>
+                  ))}
+                  <option value="keep">Keep</option>
+                  <option value="custom">Custom hex</option>
+                  {roleTargets.map((role) => (
+                    <optgroup key={role} label={`${role} scale`}>
+                      {scaleTargets.filter((reference) => reference.startsWith(`${role}-`)).map((reference) => (
+                        <option key={reference} value={reference}>{reference}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+                {getTarget(color) === 'custom' ? (
+                  <input
+                    type="color"
+                    value={colorMap[color]}
+                    onChange={(e) => setColorMap((prev) => ({ ...prev, [color]: e.target.value.toUpperCase() }))}
+                    className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+                  />
+                ) : (
+                  <div
+                    className="w-6 h-6 rounded border border-white/20 flex-shrink-0"
+                    style={{ backgroundColor: getResultColor(color) }}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Footer actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={() => setColorMap({})}
+            className="px-3 py-1.5 bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-white rounded-lg text-xs font-medium transition-all"
+          >
+            Reset to Auto
+          </button>
+          <div className="flex-1" />
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-white rounded-lg text-xs font-medium transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              onSave(colorMap);
+              onClose();
+            }}
+            className="px-3 py-1.5 bg-yellow-500 hover:bg-yellow-400 text-gray-900 rounded-lg text-xs font-bold transition-all"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default ColorMapEditor;
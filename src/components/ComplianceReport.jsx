@@ -0,0 +1,86 @@
+/**
+ * ComplianceReport Component
+ * Lists brand rule violations of the workspace's painted icons before an
+ * export, with the choice to go back and fix them or export anyway
+ */
+
+import { createPortal } from 'react-dom';
+import { svgToDataUrl } from '../utils/colorMapper';
+
+// Short labels for each rule type
+const RULE_LABELS = {
+  mode: 'Mode',
+  stroke: 'Stroke',
+  background: 'Background',
+  combination: 'Combination',
+};
+
+const ComplianceReport = ({ reports, onExport, onClose }) => {
+  const violationCount = reports.reduce((sum, { violations }) => sum + violations.length, 0);
+
+  // Portal to <body> so the panel sits above the sticky header
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Report panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-lg max-h-[80vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800">
+          <h2 className="text-white font-semibold text-sm">Brand Compliance</h2>
+          <p className="text-gray-500 text-xs">
+            {violationCount} violation{violationCount !== 1 ? 's' : ''} in {reports.length} icon{reports.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+
+        {/* Violations per icon */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {reports.map(({ icon, brandName, violations }) => (
+            <div key={icon.id} className="flex gap-3">
+              <div className="w-10 h-10 bg-white rounded p-1 flex-shrink-0">
+                <img src={svgToDataUrl(icon.currentContent)} alt={icon.name} className="w-full h-full object-contain" />
+              </div>
+              <div className="min-w-0 flex-1">
+                <p className="text-xs text-gray-300 truncate" title={icon.name}>
+                  {icon.name} <span className="text-gray-600">· {brandName}</span>
+                </p>
+                <ul className="mt-1 space-y-0.5">
+                  {violations.map(({ rule, message }, index) => (
+                    <li key={index} className="text-[10px] text-amber-400">
+                      <span className="text-gray-500">{RULE_LABELS[rule] || rule}:</span> {message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg text-xs font-medium transition-all"
+          >
+            Back to fix
+          </button>
+          <button
+            type="button"
+            onClick={onExport}
+            className="flex-1 px-3 py-2 bg-amber-500/20 hover:bg-amber-500/30 border border-amber-500/30 text-amber-300 rounded-lg text-xs font-medium transition-all"
+          >
+            Export anyway
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default ComplianceReport;
@@ -0,0 +1,80 @@
+/**
+ * ContrastBackgrounds Component
+ * Chooses the backgrounds painted icons are audited against
+ */
+
+import { useState } from 'react';
+
+// Quick toggles; 'accent' follows each icon's brand
+const PRESET_BACKGROUNDS = [
+  { value: '#FFFFFF', label: 'White', swatch: '#FFFFFF' },
+  { value: '#000000', label: 'Black', swatch: '#000000' },
+  { value: 'accent', label: 'Accent', swatch: null },
+];
+
+const ContrastBackgrounds = ({ backgrounds, onChange }) => {
+  const [newColor, setNewColor] = useState('#F5D547');
+
+  const presetValues = PRESET_BACKGROUNDS.map(({ value }) => value);
+  const customBackgrounds = backgrounds.filter((background) => !presetValues.includes(background));
+
+  // Toggle a background on or off
+  const toggleBackground = (value) => {
+    onChange(backgrounds.includes(value)
+      ? backgrounds.filter((background) => background !== value)
+      : [...backgrounds, value]);
+  };
+
+  return (
+    <div className="flex items-center gap-1.5 flex-wrap" title="Icons below 3:1 contrast on any of these get a warning">
+      <span className="text-xs text-gray-500 mr-1">Contrast on</span>
+      {PRESET_BACKGROUNDS.map(({ value, label, swatch }) => (
+        <button
+          key={value}
+          type="button"
+          onClick={() => toggleBackground(value)}
+          className={`px-2 py-1 rounded-md text-xs font-medium transition-all flex items-center gap-1.5 ${
+            backgrounds.includes(value)
+              ? 'bg-gray-700 text-white'
+              : 'bg-gray-800/50 text-gray-500 hover:text-gray-300'
+          }`}
+        >
+          <span
+            className="w-3 h-3 rounded-sm border border-white/20"
+            style={swatch ? { backgroundColor: swatch } : { background: 'linear-gradient(135deg, #F5F5F5 50%, #E5E5E5 50%)' }}
+          />
+          {label}
+        </button>
+      ))}
+      {customBackgrounds.map((color) => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => toggleBackground(color)}
+          className="px-2 py-1 rounded-md text-xs font-mono bg-gray-700 text-white flex items-center gap-1.5"
+          title="Remove background"
+        >
+          <span className="w-3 h-3 rounded-sm border border-white/20" style={{ backgroundColor: color }} />
+          {color}
+          <span className="text-gray-400">×</span>
+        </button>
+      ))}
+      <input
+        type="color"
+        value={newColor}
+        onChange={(e) => setNewColor(e.target.value.toUpperCase())}
+        className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+        title="Pick a background color"
+      />
+      <button
+        type="button"
+        onClick={() => !backgrounds.includes(newColor) && onChange([...backgrounds, newColor])}
+        className="px-2 py-1 rounded-md text-xs font-medium bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-white transition-all"
+      >
+        + Add
+      </button>
+    </div>
+  );
+};
+
+export default ContrastBackgrounds;
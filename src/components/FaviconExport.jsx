@@ -0,0 +1,141 @@
+/**
+ * FaviconExport Component
+ * Previews and downloads the favicon bundle of an icon (favicon.ico, Apple
+ * touch icon, Android icons, site.webmanifest) with safe-zone padding and
+ * background color
+ */
+
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { svgToDataUrl } from '../utils/colorMapper';
+import { MAX_RASTER_PADDING } from '../utils/rasterExport';
+import { ICO_SIZES, MASKABLE_SAFE_PADDING, DEFAULT_FAVICON_OPTIONS } from '../utils/faviconExport';
+
+const FaviconExport = ({ icon, onDownload, onClose }) => {
+  const [options, setOptions] = useState(DEFAULT_FAVICON_OPTIONS);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const previewUrl = useMemo(() => svgToDataUrl(icon.currentContent), [icon.currentContent]);
+
+  const handleDownload = async () => {
+    setIsExporting(true);
+    try {
+      await onDownload(icon, options);
+      onClose();
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Padded icon on the solid background, clipped to the platform's shape
+  const renderTile = (label, shapeClass) => (
+    <div className="flex flex-col items-center gap-1.5">
+      <div
+        className={`w-20 h-20 overflow-hidden ${shapeClass}`}
+        style={{ backgroundColor: options.background, padding: `${options.padding}%` }}
+      >
+        <img src={previewUrl} alt={label} className="w-full h-full object-contain" />
+      </div>
+      <span className="text-[10px] text-gray-500">{label}</span>
+    </div>
+  );
+
+  // Portal to <body> so the card's hover transform doesn't offset the fixed panel
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Export panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-md max-h-[90vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800">
+          <h2 className="text-white font-semibold text-sm">Favicon Bundle</h2>
+          <p className="text-gray-500 text-xs truncate" title={icon.name}>{icon.name}</p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {/* Previews */}
+          <div className="flex items-end justify-around">
+            <div className="flex flex-col items-center gap-1.5">
+              <div className="flex items-end gap-2 h-20">
+                {ICO_SIZES.map((size) => (
+                  <img key={size} src={previewUrl} alt={`${size}px`} style={{ width: size, height: size }} className="object-contain" />
+                ))}
+              </div>
+              <span className="text-[10px] text-gray-500">favicon.ico</span>
+            </div>
+            {renderTile('Apple touch', 'rounded-[22%]')}
+            {renderTile('Maskable', 'rounded-full')}
+          </div>
+
+          {/* Background */}
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-500">Background</span>
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={options.background}
+                onChange={(e) => setOptions({ ...options, background: e.target.value.toUpperCase() })}
+                className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+                title="Background of the Apple touch and maskable icons"
+              />
+              <span className="text-xs text-gray-400 font-mono">{options.background}</span>
+            </div>
+          </div>
+
+          {/* Safe-zone padding */}
+          <div className="space-y-1.5">
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Safe-zone padding</span>
+              <span className="text-xs text-gray-400 font-mono">{options.padding}%</span>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={MAX_RASTER_PADDING}
+              value={options.padding}
+              onChange={(e) => setOptions({ ...options, padding: parseInt(e.target.value, 10) })}
+              className="w-full accent-yellow-500"
+            />
+            {options.padding < MASKABLE_SAFE_PADDING && (
+              <p className="text-[10px] text-amber-400">
+                Below {MASKABLE_SAFE_PADDING}% Android may crop the maskable icon.
+              </p>
+            )}
+          </div>
+
+          <p className="text-[10px] text-gray-500">
+            favicon.ico (16/32/48), favicon.svg, apple-touch-icon.png, android-chrome and maskable PNGs
+            (192/512) and site.webmanifest. The .ico and android-chrome icons stay transparent.
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg text-xs font-medium transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={isExporting}
+            className="flex-1 px-3 py-2 bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed text-gray-900 rounded-lg text-xs font-medium transition-all"
+          >
+            {isExporting ? 'Rendering…' : 'Download ZIP'}
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default FaviconExport;
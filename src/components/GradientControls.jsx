@@ -0,0 +1,87 @@
+/**
+ * GradientControls Component
+ * Compact type, angle and stop position controls for the gradient paint mode
+ */
+
+import { resolveGradient, gradientToCss } from '../utils/colorMapper';
+
+const GradientControls = ({ gradient, brand, onChange }) => {
+  const resolved = resolveGradient(brand, gradient);
+
+  // Update one stop's position, keeping the others in place
+  const handleStopChange = (index, offset) => {
+    const stops = gradient.stops.map((stop, i) => (i === index ? { ...stop, offset } : stop));
+    onChange({ ...gradient, stops });
+  };
+
+  return (
+    <div className="flex flex-col gap-1.5 p-2 bg-gray-800/50 rounded-lg">
+      {/* Preview bar */}
+      <div className="h-3 rounded border border-white/10" style={{ background: gradientToCss(resolved) }} />
+
+      {/* Type toggle */}
+      <div className="flex gap-1">
+        {['linear', 'radial'].map((type) => (
+          <button
+            key={type}
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onChange({ ...gradient, type });
+            }}
+            className={`flex-1 px-1.5 py-0.5 rounded text-[9px] font-medium capitalize transition-all ${
+              gradient.type === type
+                ? 'bg-yellow-500 text-gray-900'
+                : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-gray-300'
+            }`}
+          >
+            {type}
+          </button>
+        ))}
+      </div>
+
+      {/* Angle (linear only) */}
+      {gradient.type !== 'radial' && (
+        <div className="flex items-center gap-2">
+          <span className="text-[10px] text-gray-500 w-10">Angle</span>
+          <input
+            type="range"
+            min="0"
+            max="360"
+            step="15"
+            value={gradient.angle}
+            onChange={(e) => onChange({ ...gradient, angle: parseFloat(e.target.value) })}
+            onClick={(e) => e.stopPropagation()}
+            className="flex-1 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-yellow-500"
+          />
+          <span className="text-[10px] text-gray-400 w-6 text-right">{gradient.angle}°</span>
+        </div>
+      )}
+
+      {/* Stop positions */}
+      {gradient.stops.map((stop, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <span
+            className="w-2.5 h-2.5 rounded-sm border border-white/20 flex-shrink-0"
+            style={{ backgroundColor: resolveGradient(brand, { stops: [stop] }).stops[0].color }}
+            title={stop.color}
+          />
+          <span className="text-[10px] text-gray-500 w-6">Stop</span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={stop.offset}
+            onChange={(e) => handleStopChange(index, parseFloat(e.target.value))}
+            onClick={(e) => e.stopPropagation()}
+            className="flex-1 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-yellow-500"
+          />
+          <span className="text-[10px] text-gray-400 w-6 text-right">{stop.offset}%</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GradientControls;
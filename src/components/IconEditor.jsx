@@ -0,0 +1,220 @@
+/**
+ * IconEditor Component
+ * Zoomed paint bucket editor: hover highlights a single path, shape or group,
+ * clicking fills just that element with a brand role or custom color
+ */
+
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { recolorSvg, adjustStrokeWidth, createPalette } from '../utils/colorMapper';
+import { createIdPrefix } from '../utils/svgIds';
+import { sanitizeInlineSvg } from '../utils/svgSanitize';
+import { getScaleReferences, resolveScaleReference } from '../utils/colorScale';
+
+const IconEditor = ({ icon, brand, onElementPaintChange, onClose }) => {
+  const [tool, setTool] = useState('primary');
+  const [customColor, setCustomColor] = useState('#E53935');
+  const [scaleStep, setScaleStep] = useState('primary-100');
+  const [selectGroups, setSelectGroups] = useState(false);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  // One tool per palette color, plus the tint/shade steps of each
+  const palette = useMemo(() => (brand ? createPalette(brand) : {}), [brand]);
+  const roleTools = useMemo(() => Object.keys(palette), [palette]);
+  const scaleTools = useMemo(() => getScaleReferences(roleTools), [roleTools]);
+
+  const elementPaint = icon.elementPaint || {};
+  const overrideCount = Object.keys(elementPaint).length;
+
+  // Painted markup with every element tagged by its index, sanitized for inline use
+  const markup = useMemo(() => {
+    if (!brand) return '';
+    const scopeId = `editor-${createIdPrefix(icon.name, icon.originalContent)}`;
+    let content = recolorSvg(icon.originalContent, brand, icon.colorMode || 'primary', {
+      preserve: icon.preserve,
+      colorMap: icon.colorMap,
+      elementPaint: icon.elementPaint,
+      gradient: icon.gradient,
+      annotate: true,
+      // Inline markup shares the page, so keep its IDs to itself
+      idPrefix: scopeId,
+    });
+    if (icon.strokeMultiplier && icon.strokeMultiplier !== 1) {
+      content = adjustStrokeWidth(content, icon.strokeMultiplier);
+    }
+    return sanitizeInlineSvg(content, scopeId);
+  }, [icon.originalContent, icon.colorMode, icon.preserve, icon.colorMap, icon.elementPaint, icon.gradient, icon.strokeMultiplier, icon.name, brand]);
+
+  // Find the paintable element under the pointer (the root <svg> is not one)
+  const findTarget = (node) => {
+    const selector = selectGroups ? 'g[data-paint-index]' : '[data-paint-index]';
+    const element = node.closest?.(selector) || node.closest?.('[data-paint-index]');
+    if (!element || !element.ownerSVGElement) return null;
+    return element.getAttribute('data-paint-index');
+  };
+
+  // Paint (or erase) the clicked element
+  const handleClick = (e) => {
+    const index = findTarget(e.target);
+    if (index === null) return;
+
+    const next = { ...elementPaint };
+    if (tool === 'erase') {
+      delete next[index];
+    } else {
+      next[index] = tool === 'custom' ? customColor : tool === 'scale' ? scaleStep : tool;
+    }
+    onElementPaintChange(icon.id, next);
+  };
+
+  const toolButtonClass = (active) => `flex-1 px-2 py-1.5 rounded text-[10px] font-medium transition-all ${
+    active ? 'ring-2 ring-yellow-400 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-gray-300'
+  }`;
+
+  // Portal to <body> so the card's hover transform doesn't offset the fixed panel
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Editor panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-xl max-h-[90vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+          <div>
+            <h2 className="text-white font-semibold text-sm">Paint Regions</h2>
+            <p className="text-gray-500 text-xs truncate max-w-xs" title={icon.name}>{icon.name}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-800 rounded-lg transition-colors"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!brand ? (
+          <p className="p-6 text-gray-500 text-sm text-center">Select a paint bucket first</p>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-4 space-y-3">
+            {/* Tools: brand roles, custom color, eraser */}
+            <div className="flex flex-wrap gap-1">
+              {roleTools.map((role) => (
+                <button
+                  key={role}
+                  type="button"
+                  onClick={() => setTool(role)}
+                  className={toolButtonClass(tool === role)}
+                  style={tool === role ? { backgroundColor: palette[role] } : {}}
+                >
+                  <span className="inline-block w-2.5 h-2.5 rounded-sm mr-1 align-middle border border-white/20" style={{ backgroundColor: palette[role] }} />
+                  <span className="capitalize">{role}</span>
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => setTool('custom')}
+                className={`${toolButtonClass(tool === 'custom')} flex items-center justify-center gap-1`}
+              >
+                <input
+                  type="color"
+                  value={customColor}
+                  onChange={(e) => {
+                    setCustomColor(e.target.value.toUpperCase());
+                    setTool('custom');
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  className="w-4 h-4 rounded cursor-pointer border-0 bg-transparent"
+                />
+                Custom
+              </button>
+              <button
+                type="button"
+                onClick={() => setTool('scale')}
+                className={`${toolButtonClass(tool === 'scale')} flex items-center justify-center gap-1`}
+                title="Paint with a tint or shade of a brand color"
+              >
+                <span
+                  className="inline-block w-2.5 h-2.5 rounded-sm border border-white/20"
+                  style={{ backgroundColor: resolveScaleReference(scaleStep, palette) }}
+                />
+                <select
+                  value={scaleStep}
+                  onChange={(e) => {
+                    setScaleStep(e.target.value);
+                    setTool('scale');
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  className="bg-transparent text-[10px] focus:outline-none"
+                >
+                  {scaleTools.map((reference) => (
+                    <option key={reference} value={reference} className="bg-gray-800">{reference}</option>
+                  ))}
+                </select>
+              </button>
+              <button
+                type="button"
+                onClick={() => setTool('erase')}
+                className={toolButtonClass(tool === 'erase')}
+                title="Remove the override from an element"
+              >
+                Erase
+              </button>
+            </div>
+
+            {/* Zoomed icon: hover highlights, click fills */}
+            <div className="region-editor aspect-square w-full bg-white rounded-lg p-8 [&>div>svg]:w-full [&>div>svg]:h-full">
+              {hoverIndex !== null && (
+                <style>{`.region-editor [data-paint-index="${hoverIndex}"] { filter: drop-shadow(0 0 1px #FACC15) drop-shadow(0 0 3px #FACC15); cursor: pointer; }`}</style>
+              )}
+              <div
+                className="w-full h-full"
+                onMouseOver={(e) => setHoverIndex(findTarget(e.target))}
+                onMouseLeave={() => setHoverIndex(null)}
+                onClick={handleClick}
+                dangerouslySetInnerHTML={{ __html: markup }}
+              />
+            </div>
+
+            {/* Selection options */}
+            <div className="flex items-center justify-between">
+              <label className="flex items-center gap-1.5 text-xs text-gray-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectGroups}
+                  onChange={(e) => setSelectGroups(e.target.checked)}
+                  className="accent-yellow-500"
+                />
+                Select whole groups
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-500">
+                  {overrideCount} region{overrideCount !== 1 ? 's' : ''} painted
+                </span>
+                {overrideCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onElementPaintChange(icon.id, {})}
+                    className="px-2 py-1 bg-gray-800 hover:bg-gray-700 text-gray-300 hover:text-white rounded text-xs font-medium transition-all"
+                  >
+                    Clear all
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default IconEditor;
@@ -0,0 +1,139 @@
+/**
+ * IconFontExport Component
+ * Picks the icons compiled into an icon font and names the font and its CSS
+ * classes. Icons a font can't reproduce faithfully (several colors, strokes,
+ * text) are flagged and left unchecked.
+ */
+
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { svgToDataUrl } from '../utils/colorMapper';
+import { toIdSlug } from '../utils/svgIds';
+import { DEFAULT_ICON_FONT_OPTIONS, inspectIconForFont } from '../utils/iconFont';
+
+const IconFontExport = ({ icons, onDownload, onClose }) => {
+  const [options, setOptions] = useState(DEFAULT_ICON_FONT_OPTIONS);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const rows = useMemo(() => icons.map((icon) => ({
+    icon,
+    previewUrl: svgToDataUrl(icon.currentContent),
+    issues: inspectIconForFont(icon.currentContent),
+  })), [icons]);
+
+  const [selectedIds, setSelectedIds] = useState(
+    () => new Set(rows.filter(({ issues }) => issues.length === 0).map(({ icon }) => icon.id))
+  );
+
+  const toggleIcon = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelectedIds(next);
+  };
+
+  const handleDownload = async () => {
+    setIsExporting(true);
+    try {
+      await onDownload(icons.filter((icon) => selectedIds.has(icon.id)), options);
+      onClose();
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const classPrefix = toIdSlug(options.classPrefix);
+
+  // Portal to <body> so the panel sits above the sticky header
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Export panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-md max-h-[80vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800">
+          <h2 className="text-white font-semibold text-sm">Icon Font</h2>
+          <p className="text-gray-500 text-xs">
+            {selectedIds.size} of {icons.length} icons · SVG, TTF and WOFF2 with a CSS class per icon
+          </p>
+        </div>
+
+        {/* Names */}
+        <div className="p-4 border-b border-gray-800 grid grid-cols-2 gap-3">
+          <label className="space-y-1.5">
+            <span className="text-xs text-gray-500">Font name</span>
+            <input
+              type="text"
+              value={options.fontName}
+              onChange={(e) => setOptions({ ...options, fontName: e.target.value })}
+              className="w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded-md text-xs text-white focus:outline-none focus:border-yellow-500"
+            />
+          </label>
+          <label className="space-y-1.5">
+            <span className="text-xs text-gray-500">Class prefix</span>
+            <input
+              type="text"
+              value={options.classPrefix}
+              onChange={(e) => setOptions({ ...options, classPrefix: e.target.value })}
+              className="w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded-md text-xs text-white font-mono focus:outline-none focus:border-yellow-500"
+            />
+          </label>
+          <p className="col-span-2 text-[10px] text-gray-500 font-mono">
+            &lt;i class=&quot;{classPrefix}-{rows[0] ? toIdSlug(rows[0].icon.name) : 'home'}&quot;&gt;&lt;/i&gt;
+          </p>
+        </div>
+
+        {/* Icons */}
+        <div className="flex-1 overflow-y-auto p-2">
+          {rows.map(({ icon, previewUrl, issues }) => (
+            <label
+              key={icon.id}
+              className="flex items-center gap-3 px-2 py-1.5 rounded-lg hover:bg-gray-800/50 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.has(icon.id)}
+                onChange={() => toggleIcon(icon.id)}
+                className="accent-yellow-500"
+              />
+              <img src={previewUrl} alt={icon.name} className="w-6 h-6 object-contain" />
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-gray-300 truncate" title={icon.name}>{icon.name}</p>
+                {issues.map((issue) => (
+                  <p key={issue} className="text-[10px] text-amber-400">{issue}</p>
+                ))}
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-300 rounded-lg text-xs font-medium transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={isExporting || selectedIds.size === 0 || !options.fontName.trim()}
+            className="flex-1 px-3 py-2 bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed text-gray-900 rounded-lg text-xs font-medium transition-all"
+          >
+            {isExporting ? 'Building…' : 'Download ZIP'}
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default IconFontExport;
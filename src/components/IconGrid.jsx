@@ -5,7 +5,7 @@
 
 import IconItem from './IconItem';
 
-const IconGrid = ({ icons, selectedBrand, favorites, onPaint, onDownload, onRemove, onColorModeChange, onToggleFavorite, onStrokeWidthChange }) => {
+const IconGrid = ({ icons, selectedBrand, getPaintedBrand, favorites, contrastReports, onPaint, onDownload, onDownloadThemable, onDownloadColorScheme, onDownloadFavicon, onRemove, onColorModeChange, onToggleFavorite, onStrokeWidthChange, onPreserveChange, onColorMapChange, onElementPaintChange, onGradientChange }) => {
   // Show empty state if no icons
   if (icons.length === 0) {
     return null;
@@ -24,13 +24,22 @@ const IconGrid = ({ icons, selectedBrand, favorites, onPaint, onDownload, onRemo
             <IconItem
               icon={icon}
               selectedBrand={selectedBrand}
+              paintedBrand={getPaintedBrand(icon)}
               isFavorite={favorites?.has(icon.id)}
+              contrastReport={contrastReports?.get(icon.id)}
               onPaint={onPaint}
               onDownload={onDownload}
+              onDownloadThemable={onDownloadThemable}
+              onDownloadColorScheme={onDownloadColorScheme}
+              onDownloadFavicon={onDownloadFavicon}
               onRemove={onRemove}
               onColorModeChange={onColorModeChange}
               onToggleFavorite={onToggleFavorite}
               onStrokeWidthChange={onStrokeWidthChange}
+              onPreserveChange={onPreserveChange}
+              onColorMapChange={onColorMapChange}
+              onElementPaintChange={onElementPaintChange}
+              onGradientChange={onGradientChange}
             />
           </div>
         ))}
@@ -5,17 +5,37 @@
  */
 
 import { useState, useCallback, useMemo } from 'react';
-import { svgToDataUrl } from '../utils/colorMapper';
-import { getBrandById } from '../constants/brands';
+import { COLOR_MODES, svgToDataUrl, getBrandTonalRamp, resolveGradient, gradientToCss } from '../utils/colorMapper';
+import { DEFAULT_PAINT_GRADIENT } from '../constants/brands';
+import ColorMapEditor from './ColorMapEditor';
+import IconEditor from './IconEditor';
+import GradientControls from './GradientControls';
+import VisionPreview from './VisionPreview';
+import FaviconExport from './FaviconExport';
+import { collectPaintedColors } from '../utils/contrastAudit';
+import { VISION_TYPES, auditVision } from '../utils/visionSimulation';
 
-const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemove, onColorModeChange, onToggleFavorite, onStrokeWidthChange }) => {
+// Button labels for contrast suggestions
+const MODE_LABELS = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  'duo-primary': 'Duo-P',
+  'duo-secondary': 'Duo-S',
+};
+
+// Split a comma/space separated list into trimmed entries
+const parseList = (text) => text.split(/[,\s]+/).map((item) => item.trim()).filter(Boolean);
+
+const IconItem = ({ icon, selectedBrand, paintedBrand, isFavorite, contrastReport, onPaint, onDownload, onDownloadThemable, onDownloadColorScheme, onDownloadFavicon, onRemove, onColorModeChange, onToggleFavorite, onStrokeWidthChange, onPreserveChange, onColorMapChange, onElementPaintChange, onGradientChange }) => {
   const [isAnimating, setIsAnimating] = useState(false);
   const [showSplash, setShowSplash] = useState(false);
-
-  // Get the brand that was used to paint this icon
-  const paintedBrand = useMemo(() => {
-    return icon.paintedWith ? getBrandById(icon.paintedWith) : null;
-  }, [icon.paintedWith]);
+  const [showPreserve, setShowPreserve] = useState(false);
+  const [showColorMap, setShowColorMap] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  const [showVision, setShowVision] = useState(false);
+  const [showFavicon, setShowFavicon] = useState(false);
+  const [preserveColorsText, setPreserveColorsText] = useState((icon.preserve?.colors || []).join(', '));
+  const [preserveIdsText, setPreserveIdsText] = useState((icon.preserve?.elementIds || []).join(', '));
 
   // Convert SVG to data URL for preview
   const previewUrl = useMemo(() => {
@@ -53,8 +73,60 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
     }
   }, [icon.id, icon.isPainted, onColorModeChange]);
 
+  // Commit the icon's preserve settings (colors, element IDs, whites)
+  const handlePreserveCommit = useCallback((changes = {}) => {
+    if (!onPreserveChange) return;
+    const next = {
+      colors: parseList(preserveColorsText),
+      elementIds: parseList(preserveIdsText),
+      ...(icon.preserve?.whites !== undefined && { whites: icon.preserve.whites }),
+      ...changes,
+    };
+    onPreserveChange(icon.id, next);
+  }, [icon.id, icon.preserve, preserveColorsText, preserveIdsText, onPreserveChange]);
+
+  const preserveCount = (icon.preserve?.colors?.length || 0) + (icon.preserve?.elementIds?.length || 0);
+
   const colorMode = icon.colorMode || 'primary';
 
+  // Backgrounds this icon fails on, for the contrast badge
+  const contrastFailures = contrastReport && !contrastReport.passes
+    ? contrastReport.results.filter(({ passes }) => !passes)
+    : [];
+  const contrastTitle = contrastFailures
+    .map(({ label, colors }) => `${label}: ${colors
+      .filter(({ passes }) => !passes)
+      .map(({ color, ratio }) => `${color} ${ratio.toFixed(2)}:1`)
+      .join(', ')}`)
+    .join('; ');
+
+  // Simulations under which two painted colors become indistinguishable
+  const visionIssues = useMemo(() => {
+    return icon.isPainted ? auditVision(collectPaintedColors(icon.currentContent)) : [];
+  }, [icon.isPainted, icon.currentContent]);
+  const visionTitle = visionIssues
+    .map(({ type }) => VISION_TYPES.find(({ id }) => id === type).label)
+    .join(', ');
+
+  // Ramp swatch for the tonal mode button
+  const tonalGradient = useMemo(() => {
+    if (!paintedBrand) return null;
+    const { steps } = getBrandTonalRamp(paintedBrand);
+    return `linear-gradient(90deg, ${steps.join(', ')})`;
+  }, [paintedBrand]);
+
+  // Gradient settings: icon overrides over the brand's gradient over the default
+  const gradient = useMemo(() => ({
+    ...DEFAULT_PAINT_GRADIENT,
+    ...(paintedBrand?.paintGradient || {}),
+    ...(icon.gradient || {}),
+  }), [paintedBrand, icon.gradient]);
+
+  // Swatch for the gradient mode button
+  const gradientCss = useMemo(() => {
+    return paintedBrand ? gradientToCss(resolveGradient(paintedBrand, icon.gradient)) : null;
+  }, [paintedBrand, icon.gradient]);
+
   return (
     <div
       className={`
@@ -151,11 +223,10 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
           type="button"
           onClick={(e) => {
             e.stopPropagation();
-            // Cycle through modes: primary → secondary → duo-primary → duo-secondary → primary
-            const modes = ['primary', 'secondary', 'duo-primary', 'duo-secondary'];
-            const currentIndex = modes.indexOf(colorMode);
-            const nextIndex = (currentIndex + 1) % modes.length;
-            handleModeChange(modes[nextIndex]);
+            // Cycle through modes: primary → secondary → gradient → tonal → duo-primary → duo-secondary → primary
+            const currentIndex = COLOR_MODES.indexOf(colorMode);
+            const nextIndex = (currentIndex + 1) % COLOR_MODES.length;
+            handleModeChange(COLOR_MODES[nextIndex]);
           }}
           className="w-full aspect-square p-6 flex items-center justify-center bg-white relative cursor-pointer hover:bg-gray-50 transition-colors"
           title={`Click to cycle color mode (current: ${colorMode})`}
@@ -165,6 +236,27 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
             alt={icon.name}
             className="w-full h-full object-contain"
           />
+          {/* Low contrast badge (below 3:1 on a target background) */}
+          {contrastFailures.length > 0 && (
+            <span
+              className="absolute bottom-2 left-2 px-1.5 py-0.5 rounded-md text-[10px] font-bold bg-amber-500/90 text-gray-900 shadow flex items-center gap-1"
+              title={`Below 3:1 contrast on ${contrastTitle}`}
+            >
+              <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+              </svg>
+              {contrastReport.worstRatio.toFixed(1)}:1
+            </span>
+          )}
+          {/* Color-vision badge (colors collapse under a simulation) */}
+          {visionIssues.length > 0 && (
+            <span
+              className="absolute bottom-2 right-2 px-1.5 py-0.5 rounded-md text-[10px] font-bold bg-amber-500/90 text-gray-900 shadow"
+              title={`Colors look alike with ${visionTitle}`}
+            >
+              CVD
+            </span>
+          )}
         </button>
       ) : (
         <button
@@ -237,6 +329,79 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
           </div>
         )}
 
+        {/* Preserve settings - colors and element IDs this icon never rebrands */}
+        {!icon.isLocked && onPreserveChange && (
+          <div className="mb-2">
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowPreserve(!showPreserve);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-500 hover:text-gray-300 transition-colors"
+              title="Colors and elements to keep as-is"
+            >
+              <span>Protect{preserveCount > 0 ? ` (${preserveCount})` : ''}</span>
+              <svg className={`w-3 h-3 transition-transform ${showPreserve ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+            {showPreserve && (
+              <div className="mt-1.5 space-y-1.5 animate-fade-in">
+                <input
+                  type="text"
+                  value={preserveColorsText}
+                  onChange={(e) => setPreserveColorsText(e.target.value)}
+                  onBlur={() => handlePreserveCommit()}
+                  onKeyDown={(e) => e.key === 'Enter' && handlePreserveCommit()}
+                  placeholder="Colors, e.g. #E53935"
+                  className="w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded text-[10px] text-white font-mono placeholder-gray-600 focus:outline-none focus:border-yellow-500/50"
+                />
+                <input
+                  type="text"
+                  value={preserveIdsText}
+                  onChange={(e) => setPreserveIdsText(e.target.value)}
+                  onBlur={() => handlePreserveCommit()}
+                  onKeyDown={(e) => e.key === 'Enter' && handlePreserveCommit()}
+                  placeholder="Element IDs, e.g. alert-dot"
+                  className="w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded text-[10px] text-white font-mono placeholder-gray-600 focus:outline-none focus:border-yellow-500/50"
+                />
+                <label className="flex items-center gap-1.5 text-[10px] text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={icon.preserve?.whites ?? paintedBrand?.preserve?.whites ?? true}
+                    onChange={(e) => handlePreserveCommit({ whites: e.target.checked })}
+                    className="accent-yellow-500"
+                  />
+                  Keep whites
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Contrast suggestion - a mode that passes every background */}
+        {contrastFailures.length > 0 && (
+          <div className="flex items-center justify-between gap-2 mb-2 text-[10px]">
+            <span className="text-amber-400 truncate" title={contrastTitle}>
+              Low contrast on {contrastFailures.map(({ label }) => label).join(', ')}
+            </span>
+            {contrastReport.suggestion && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleModeChange(contrastReport.suggestion);
+                }}
+                className="flex-shrink-0 px-1.5 py-0.5 rounded bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 font-medium transition-all"
+                title="Switch to a mode that passes 3:1 on every background"
+              >
+                Try {MODE_LABELS[contrastReport.suggestion]}
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Color mode toggle - only show when painted and not locked */}
         {icon.isPainted && paintedBrand && !icon.isLocked && (
           <div className="flex flex-col gap-1 mb-2">
@@ -274,6 +439,38 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
               >
                 Sec
               </button>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleModeChange('gradient');
+                }}
+                className={`flex-1 px-1.5 py-1 rounded text-[9px] font-medium transition-all ${
+                  colorMode === 'gradient'
+                    ? 'text-white'
+                    : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-gray-300'
+                }`}
+                style={colorMode === 'gradient' ? { background: gradientCss } : {}}
+                title="Gradient"
+              >
+                Grad
+              </button>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleModeChange('tonal');
+                }}
+                className={`flex-1 px-1.5 py-1 rounded text-[9px] font-medium transition-all ${
+                  colorMode === 'tonal'
+                    ? 'text-white'
+                    : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-gray-300'
+                }`}
+                style={colorMode === 'tonal' ? { background: tonalGradient } : {}}
+                title="Tonal: grays follow a lightness ramp of the primary"
+              >
+                Tone
+              </button>
             </div>
             {/* Row 2: Duotone modes (dark outline + accent fill) */}
             <div className="flex gap-1">
@@ -314,6 +511,14 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
                 Duo-S
               </button>
             </div>
+            {/* Gradient settings - only in gradient mode */}
+            {colorMode === 'gradient' && onGradientChange && (
+              <GradientControls
+                gradient={gradient}
+                brand={paintedBrand}
+                onChange={(next) => onGradientChange(icon.id, next)}
+              />
+            )}
           </div>
         )}
 
@@ -335,6 +540,117 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
             <span>Save</span>
           </button>
 
+          {/* Themable download: currentColor + CSS custom properties */}
+          {icon.isPainted && onDownloadThemable && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onDownloadThemable(icon);
+              }}
+              className="flex items-center justify-center px-2 py-1.5 bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white rounded-lg transition-all duration-200 text-[10px] font-mono"
+              title="Download themable SVG (currentColor, var(--icon-secondary), var(--icon-accent))"
+            >
+              var
+            </button>
+          )}
+
+          {/* Light/dark download: prefers-color-scheme switches to the brand's dark palette */}
+          {icon.isPainted && onDownloadColorScheme && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onDownloadColorScheme(icon);
+              }}
+              className="flex items-center justify-center px-2 py-1.5 bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white rounded-lg transition-all duration-200"
+              title="Download light/dark SVG (follows prefers-color-scheme)"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
+              </svg>
+            </button>
+          )}
+
+          {/* Favicon bundle: .ico, Apple touch, Android icons and web manifest */}
+          {onDownloadFavicon && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowFavicon(true);
+              }}
+              className="flex items-center justify-center px-2 py-1.5 bg-gray-800 hover:bg-gray-700 border border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white rounded-lg transition-all duration-200 text-[10px] font-mono"
+              title="Download favicon bundle (favicon.ico, apple-touch-icon, Android icons, site.webmanifest)"
+            >
+              ico
+            </button>
+          )}
+
+          {/* Color vision preview button */}
+          {icon.isPainted && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowVision(true);
+              }}
+              className={`flex items-center justify-center px-3 py-1.5 border rounded-lg transition-all duration-200 ${
+                visionIssues.length > 0
+                  ? 'bg-amber-500/10 hover:bg-amber-500/20 border-amber-500/30 text-amber-400'
+                  : 'bg-gray-800 hover:bg-gray-700 border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white'
+              }`}
+              title="Preview with color vision deficiencies"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+              </svg>
+            </button>
+          )}
+
+          {/* Region paint editor button */}
+          {!icon.isLocked && onElementPaintChange && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowEditor(true);
+              }}
+              className={`flex items-center justify-center px-3 py-1.5 border rounded-lg transition-all duration-200 ${
+                icon.elementPaint && Object.keys(icon.elementPaint).length > 0
+                  ? 'bg-yellow-500/10 hover:bg-yellow-500/20 border-yellow-500/30 text-yellow-400'
+                  : 'bg-gray-800 hover:bg-gray-700 border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white'
+              }`}
+              title="Paint individual regions"
+            >
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M16.56 8.94L7.62 0 6.21 1.41l2.38 2.38-5.15 5.15a1.49 1.49 0 000 2.12l5.5 5.5c.29.29.68.44 1.06.44s.77-.15 1.06-.44l5.5-5.5c.59-.58.59-1.53 0-2.12zM5.21 10L10 5.21 14.79 10H5.21zM19 11.5s-2 2.17-2 3.5c0 1.1.9 2 2 2s2-.9 2-2c0-1.33-2-3.5-2-3.5z" />
+              </svg>
+            </button>
+          )}
+
+          {/* Color map editor button */}
+          {!icon.isLocked && onColorMapChange && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowColorMap(true);
+              }}
+              className={`flex items-center justify-center px-3 py-1.5 border rounded-lg transition-all duration-200 ${
+                icon.colorMap && Object.keys(icon.colorMap).length > 0
+                  ? 'bg-yellow-500/10 hover:bg-yellow-500/20 border-yellow-500/30 text-yellow-400'
+                  : 'bg-gray-800 hover:bg-gray-700 border-gray-700 hover:border-gray-600 text-gray-300 hover:text-white'
+              }`}
+              title="Edit color map"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
+              </svg>
+            </button>
+          )}
+
           {/* Remove button */}
           <button
             type="button"
@@ -351,6 +667,44 @@ const IconItem = ({ icon, selectedBrand, isFavorite, onPaint, onDownload, onRemo
           </button>
         </div>
       </div>
+
+      {/* Per-icon color map editor */}
+      {showColorMap && (
+        <ColorMapEditor
+          icon={icon}
+          brand={paintedBrand || selectedBrand}
+          onSave={(colorMap) => onColorMapChange(icon.id, colorMap)}
+          onClose={() => setShowColorMap(false)}
+        />
+      )}
+
+      {/* Zoomed region paint editor */}
+      {showEditor && (
+        <IconEditor
+          icon={icon}
+          brand={paintedBrand || selectedBrand}
+          onElementPaintChange={onElementPaintChange}
+          onClose={() => setShowEditor(false)}
+        />
+      )}
+
+      {/* Color vision simulations */}
+      {showVision && (
+        <VisionPreview
+          icon={icon}
+          brand={paintedBrand || selectedBrand}
+          onClose={() => setShowVision(false)}
+        />
+      )}
+
+      {/* Favicon bundle export */}
+      {showFavicon && (
+        <FaviconExport
+          icon={icon}
+          onDownload={onDownloadFavicon}
+          onClose={() => setShowFavicon(false)}
+        />
+      )}
     </div>
   );
 };
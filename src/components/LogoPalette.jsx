@@ -0,0 +1,66 @@
+/**
+ * LogoPalette Component
+ * Reads a client's logo SVG and pre-fills the add-brand palette with its
+ * dominant colors, showing every color found ranked by painted area
+ */
+
+import { useState, useRef } from 'react';
+import { extractLogoPalette } from '../utils/logoPalette';
+import { isValidSvg, readFileAsText } from '../utils/fileHandler';
+
+const LogoPalette = ({ onExtract, onError }) => {
+  const [clusters, setClusters] = useState([]);
+  const inputRef = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!isValidSvg(file)) {
+      onError?.('Logo must be an SVG file');
+      return;
+    }
+
+    try {
+      const { colors, clusters: found } = extractLogoPalette(await readFileAsText(file));
+      if (found.length === 0) {
+        onError?.('No filled shapes found in logo');
+        return;
+      }
+      setClusters(found);
+      onExtract({ name: file.name.replace(/\.svg$/i, ''), colors });
+    } catch (error) {
+      console.error(`Failed to read logo ${file.name}:`, error);
+      onError?.(error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <input ref={inputRef} type="file" accept=".svg,image/svg+xml" onChange={handleFileChange} className="hidden" />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="w-full px-3 py-1.5 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded-lg text-xs font-medium transition-all"
+        title="Fill the palette with the logo's dominant colors"
+      >
+        From logo SVG…
+      </button>
+
+      {/* Logo colors by painted area (near-identical fills merged) */}
+      {clusters.length > 0 && (
+        <div className="flex h-3 rounded overflow-hidden border border-white/10">
+          {clusters.map(({ color, share, members }) => (
+            <div
+              key={color}
+              style={{ backgroundColor: color, flexGrow: share, minWidth: 4 }}
+              title={`${color}: ${Math.round(share * 100)}% of the logo${members.length > 1 ? ` (${members.join(', ')})` : ''}`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LogoPalette;
@@ -5,9 +5,41 @@
  */
 
 import { useState } from 'react';
+import { DEFAULT_ROLE_MAP, getBrandColors } from '../constants/brands';
+import { COLOR_MODES, resolveRoleMap } from '../utils/colorMapper';
+import { createDarkPalette } from '../utils/darkMode';
+import { SCALE_STEPS, createBrandScales, getScaleReferences } from '../utils/colorScale';
+import { BRAND_EXPORT_FORMATS, exportBrand } from '../utils/brandExport';
+import { DEFAULT_RULE_ICON_SIZE } from '../utils/brandCompliance';
+import { downloadTextFile } from '../utils/fileHandler';
+import PaletteEditor from './PaletteEditor';
+
+// Role map sliders: L* thresholds (0-100) and chroma cutoff
+const ROLE_MAP_FIELDS = [
+  { key: 'primaryMaxLightness', label: 'Primary ≤ L*', max: 100 },
+  { key: 'secondaryMaxLightness', label: 'Second. ≤ L*', max: 100 },
+  { key: 'accentMaxLightness', label: 'Accent ≤ L*', max: 100 },
+  { key: 'chromaThreshold', label: 'Chroma >', max: 40 },
+];
+
+// Lightness thresholds must stay in ascending order
+const LIGHTNESS_KEYS = ['primaryMaxLightness', 'secondaryMaxLightness', 'accentMaxLightness'];
 
 const PaintBucket = ({ brand, isSelected, isEdited, onClick, onColorChange, onDelete, onReset }) => {
   const [isEditing, setIsEditing] = useState(false);
+  const [showRoleMap, setShowRoleMap] = useState(false);
+  const [showPreserve, setShowPreserve] = useState(false);
+  const [showDark, setShowDark] = useState(false);
+  const [showScale, setShowScale] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [newCombination, setNewCombination] = useState(['primary', 'accent']);
+  const [newPreserveColor, setNewPreserveColor] = useState('#E53935');
+
+  const roleMap = { ...DEFAULT_ROLE_MAP, ...(brand.roleMap || {}) };
+  const colors = getBrandColors(brand);
+  const colorNames = colors.map(({ name }) => name);
+  const colorValues = Object.fromEntries(colors.map(({ name, value }) => [name, value]));
+  const { bands } = resolveRoleMap(brand);
 
   // Handle color input change
   const handleColorChange = (colorType, value) => {
@@ -16,6 +48,94 @@ const PaintBucket = ({ brand, isSelected, isEdited, onClick, onColorChange, onDe
     }
   };
 
+  // Handle role map threshold change, keeping lightness thresholds ordered
+  const handleRoleMapChange = (key, value) => {
+    const next = { ...roleMap, [key]: value };
+    const index = LIGHTNESS_KEYS.indexOf(key);
+    if (index !== -1) {
+      LIGHTNESS_KEYS.forEach((other, i) => {
+        if (i < index) next[other] = Math.min(next[other], value);
+        if (i > index) next[other] = Math.max(next[other], value);
+      });
+    }
+    handleColorChange('roleMap', next);
+  };
+
+  const preserve = {
+    colors: brand.preserve?.colors || [],
+    elementIds: brand.preserve?.elementIds || [],
+    whites: brand.preserve?.whites ?? true,
+  };
+
+  // Handle preserve list change (colors, element IDs, whites)
+  const handlePreserveChange = (changes) => {
+    handleColorChange('preserve', { ...preserve, ...changes });
+  };
+
+  const scales = createBrandScales(brand);
+  const scaleReferences = getScaleReferences(colorNames);
+
+  // Send a detected role to another role or scale step ('' paints it with itself)
+  const handleRoleTargetChange = (role, target) => {
+    const next = { ...(brand.roleTargets || {}), [role]: target };
+    if (!target) delete next[role];
+    handleColorChange('roleTargets', next);
+  };
+
+  // Download the brand colors with their scales
+  const handleExportScale = (e) => {
+    e.stopPropagation();
+    const data = {
+      id: brand.id,
+      name: brand.name,
+      colors,
+      ...(brand.roleTargets && { roleTargets: brand.roleTargets }),
+      scale: scales,
+    };
+    downloadTextFile(JSON.stringify(data, null, 2), `${brand.id}-scale.json`, 'application/json');
+  };
+
+  const darkPalette = createDarkPalette(brand);
+
+  // Set one explicit dark color (null goes back to the derived one)
+  const handleDarkChange = (key, value) => {
+    const next = { ...(brand.dark || {}), [key]: value };
+    if (!value) delete next[key];
+    handleColorChange('dark', next);
+  };
+
+  const rules = brand.rules || {};
+
+  // Set one rule; empty values remove it so the brand stays unrestricted
+  const handleRuleChange = (key, value) => {
+    const next = { ...rules, [key]: value };
+    const isEmpty = value === null || value === undefined ||
+      (Array.isArray(value) ? value.length === 0 : typeof value === 'object' && Object.keys(value).length === 0);
+    if (isEmpty) delete next[key];
+    handleColorChange('rules', Object.keys(next).length > 0 ? next : null);
+  };
+
+  // Set a per-color rule (minStrokeWidth, allowedBackgrounds)
+  const handleColorRuleChange = (key, name, value) => {
+    const next = { ...(rules[key] || {}), [name]: value };
+    if (value === null || value === undefined) delete next[name];
+    handleRuleChange(key, next);
+  };
+
+  // Toggle a paint mode; all modes allowed is the same as no rule
+  const handleModeToggle = (mode) => {
+    const allowed = rules.allowedModes?.length ? rules.allowedModes : COLOR_MODES;
+    const next = allowed.includes(mode) ? allowed.filter((m) => m !== mode) : [...allowed, mode];
+    handleRuleChange('allowedModes', next.length === COLOR_MODES.length ? null : COLOR_MODES.filter((m) => next.includes(m)));
+  };
+
+  // Download the palette for developers (tokens, CSS, SCSS, Tailwind)
+  const handleExportBrand = (e, formatId) => {
+    e.stopPropagation();
+    const file = exportBrand(brand, formatId);
+    if (file) downloadTextFile(file.content, file.filename, file.mimeType);
+  };
+
   // Toggle edit mode
   const handleEditClick = (e) => {
     e.stopPropagation();
@@ -105,41 +225,18 @@ const PaintBucket = ({ brand, isSelected, isEdited, onClick, onColorChange, onDe
         {/* Color swatches (non-editing mode) */}
         {!isEditing && (
           <div className="flex gap-2">
-            {/* Primary color swatch */}
-            <div className="flex-1 flex flex-col items-center">
-              <div
-                className="w-full h-6 rounded-md shadow-inner transition-transform duration-300 group-hover:scale-105 border border-white/10"
-                style={{ backgroundColor: brand.primary }}
-                title={`Primary: ${brand.primary}`}
-              />
-              <span className="text-[9px] text-gray-600 mt-1 uppercase tracking-wide font-medium">
-                Primary
-              </span>
-            </div>
-
-            {/* Secondary color swatch */}
-            <div className="flex-1 flex flex-col items-center">
-              <div
-                className="w-full h-6 rounded-md shadow-inner transition-transform duration-300 group-hover:scale-105 border border-white/10"
-                style={{ backgroundColor: brand.secondary }}
-                title={`Secondary: ${brand.secondary}`}
-              />
-              <span className="text-[9px] text-gray-600 mt-1 uppercase tracking-wide font-medium">
-                Secondary
-              </span>
-            </div>
-
-            {/* Accent color swatch */}
-            <div className="flex-1 flex flex-col items-center">
-              <div
-                className="w-full h-6 rounded-md shadow-inner transition-transform duration-300 group-hover:scale-105 border border-white/10"
-                style={{ backgroundColor: brand.accent }}
-                title={`Accent: ${brand.accent}`}
-              />
-              <span className="text-[9px] text-gray-600 mt-1 uppercase tracking-wide font-medium">
-                Accent
-              </span>
-            </div>
+            {colors.map(({ name, value }) => (
+              <div key={name} className="flex-1 min-w-0 flex flex-col items-center">
+                <div
+                  className="w-full h-6 rounded-md shadow-inner transition-transform duration-300 group-hover:scale-105 border border-white/10"
+                  style={{ backgroundColor: value }}
+                  title={`${name}: ${value}`}
+                />
+                <span className="text-[9px] text-gray-600 mt-1 uppercase tracking-wide font-medium truncate max-w-full">
+                  {name}
+                </span>
+              </div>
+            ))}
           </div>
         )}
       </button>
@@ -147,75 +244,393 @@ const PaintBucket = ({ brand, isSelected, isEdited, onClick, onColorChange, onDe
       {/* Color picker panel (editing mode) */}
       {isEditing && (
         <div className="mt-2 p-3 bg-neutral-800 border border-neutral-700 rounded-xl space-y-3 animate-fade-in">
-          {/* Primary color picker */}
-          <div className="flex items-center gap-3">
-            <label className="text-[10px] text-gray-400 uppercase tracking-wide font-medium w-16">
-              Primary
-            </label>
-            <div className="flex-1 flex items-center gap-2">
-              <input
-                type="color"
-                value={brand.primary}
-                onChange={(e) => handleColorChange('primary', e.target.value)}
-                className="w-8 h-8 rounded cursor-pointer bg-transparent border-0"
-                onClick={(e) => e.stopPropagation()}
-              />
-              <input
-                type="text"
-                value={brand.primary}
-                onChange={(e) => handleColorChange('primary', e.target.value)}
-                onClick={(e) => e.stopPropagation()}
-                className="flex-1 px-2 py-1 bg-neutral-900 border border-neutral-600 rounded text-xs text-neutral-300 font-mono focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
-                placeholder="#000000"
-              />
-            </div>
+          {/* Palette: named colors in order, with their lightness bands */}
+          <PaletteEditor
+            colors={colors}
+            onChange={(next) => handleColorChange('colors', next)}
+          />
+
+          {/* Role map (which source grays become which role) */}
+          <div className="pt-2 border-t border-neutral-700">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowRoleMap(!showRoleMap);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-400 uppercase tracking-wide font-medium hover:text-white"
+            >
+              Role Map
+              <svg className={`w-3 h-3 transition-transform ${showRoleMap ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showRoleMap && (
+              <div className="mt-2 space-y-2 animate-fade-in">
+                {/* Lightness scale: which band of grays maps to which role */}
+                <div className="flex h-3 rounded overflow-hidden border border-white/10" title="Source lightness, black → white">
+                  {bands.map(({ role, maxLightness }, i) => (
+                    <div
+                      key={role}
+                      style={{ width: `${maxLightness - (i > 0 ? bands[i - 1].maxLightness : 0)}%`, backgroundColor: colorValues[role] }}
+                      title={`${role}: L* ≤ ${maxLightness}`}
+                    />
+                  ))}
+                  <div className="flex-1 bg-white" />
+                </div>
+
+                {ROLE_MAP_FIELDS.map(({ key, label, max }) => (
+                  <div key={key} className="flex items-center gap-2">
+                    <span className="text-[10px] text-gray-500 w-20">{label}</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max={max}
+                      step="1"
+                      value={roleMap[key]}
+                      onChange={(e) => handleRoleMapChange(key, parseFloat(e.target.value))}
+                      onClick={(e) => e.stopPropagation()}
+                      className="flex-1 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-yellow-500"
+                    />
+                    <span className="text-[10px] text-gray-400 w-6 text-right">{roleMap[key]}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
-          {/* Secondary color picker */}
-          <div className="flex items-center gap-3">
-            <label className="text-[10px] text-gray-400 uppercase tracking-wide font-medium w-16">
-              Secondary
-            </label>
-            <div className="flex-1 flex items-center gap-2">
-              <input
-                type="color"
-                value={brand.secondary}
-                onChange={(e) => handleColorChange('secondary', e.target.value)}
-                className="w-8 h-8 rounded cursor-pointer bg-transparent border-0"
-                onClick={(e) => e.stopPropagation()}
-              />
-              <input
-                type="text"
-                value={brand.secondary}
-                onChange={(e) => handleColorChange('secondary', e.target.value)}
-                onClick={(e) => e.stopPropagation()}
-                className="flex-1 px-2 py-1 bg-neutral-900 border border-neutral-600 rounded text-xs text-neutral-300 font-mono focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
-                placeholder="#666666"
-              />
-            </div>
+          {/* Tint/shade scales and role targets */}
+          <div className="pt-2 border-t border-neutral-700">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowScale(!showScale);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-400 uppercase tracking-wide font-medium hover:text-white"
+            >
+              Scale
+              <svg className={`w-3 h-3 transition-transform ${showScale ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showScale && (
+              <div className="mt-2 space-y-2 animate-fade-in">
+                {colorNames.map((role) => (
+                  <div key={role} className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <span className="text-[10px] text-gray-500 w-20 capitalize">{role} paints</span>
+                      <select
+                        value={brand.roleTargets?.[role] || ''}
+                        onChange={(e) => handleRoleTargetChange(role, e.target.value)}
+                        onClick={(e) => e.stopPropagation()}
+                        className="flex-1 bg-neutral-700 text-white text-[10px] px-1.5 py-1 rounded border border-neutral-600"
+                      >
+                        <option value="">{role}</option>
+                        {colorNames.filter((other) => other !== role).map((other) => (
+                          <option key={other} value={other}>{other}</option>
+                        ))}
+                        {scaleReferences.map((reference) => (
+                          <option key={reference} value={reference}>{reference}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {scales[role] && (
+                      <div className="flex h-4 rounded overflow-hidden border border-white/10">
+                        {SCALE_STEPS.map((step) => (
+                          <div
+                            key={step}
+                            className="flex-1"
+                            style={{ backgroundColor: scales[role][step] }}
+                            title={`${role}-${step}: ${scales[role][step]}`}
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+                <button
+                  onClick={handleExportScale}
+                  className="w-full px-2 py-1 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px] font-medium"
+                >
+                  Export brand + scale (JSON)
+                </button>
+              </div>
+            )}
           </div>
 
-          {/* Accent color picker */}
-          <div className="flex items-center gap-3">
-            <label className="text-[10px] text-gray-400 uppercase tracking-wide font-medium w-16">
-              Accent
-            </label>
-            <div className="flex-1 flex items-center gap-2">
-              <input
-                type="color"
-                value={brand.accent}
-                onChange={(e) => handleColorChange('accent', e.target.value)}
-                className="w-8 h-8 rounded cursor-pointer bg-transparent border-0"
-                onClick={(e) => e.stopPropagation()}
-              />
-              <input
-                type="text"
-                value={brand.accent}
-                onChange={(e) => handleColorChange('accent', e.target.value)}
-                onClick={(e) => e.stopPropagation()}
-                className="flex-1 px-2 py-1 bg-neutral-900 border border-neutral-600 rounded text-xs text-neutral-300 font-mono focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
-                placeholder="#CCCCCC"
-              />
+          {/* Preserve list (colors and element IDs that are never rebranded) */}
+          <div className="pt-2 border-t border-neutral-700">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowPreserve(!showPreserve);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-400 uppercase tracking-wide font-medium hover:text-white"
+            >
+              Preserve
+              <svg className={`w-3 h-3 transition-transform ${showPreserve ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showPreserve && (
+              <div className="mt-2 space-y-2 animate-fade-in">
+                {/* Preserved color chips */}
+                <div className="flex flex-wrap gap-1">
+                  {preserve.colors.map((color) => (
+                    <button
+                      key={color}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handlePreserveChange({ colors: preserve.colors.filter((c) => c !== color) });
+                      }}
+                      className="flex items-center gap-1 px-1.5 py-0.5 bg-neutral-700 hover:bg-neutral-600 rounded text-[10px] text-gray-300 font-mono"
+                      title="Remove"
+                    >
+                      <span className="w-2.5 h-2.5 rounded-sm border border-white/20" style={{ backgroundColor: color }} />
+                      {color}
+                      <span className="text-gray-500">×</span>
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="color"
+                    value={newPreserveColor}
+                    onChange={(e) => setNewPreserveColor(e.target.value.toUpperCase())}
+                    onClick={(e) => e.stopPropagation()}
+                    className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+                  />
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      if (!preserve.colors.includes(newPreserveColor)) {
+                        handlePreserveChange({ colors: [...preserve.colors, newPreserveColor] });
+                      }
+                    }}
+                    className="flex-1 px-2 py-1 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px] font-medium"
+                  >
+                    Add {newPreserveColor}
+                  </button>
+                </div>
+
+                {/* Protected element IDs */}
+                <input
+                  type="text"
+                  defaultValue={preserve.elementIds.join(', ')}
+                  onBlur={(e) => handlePreserveChange({
+                    elementIds: e.target.value.split(/[,\s]+/).filter(Boolean),
+                  })}
+                  onClick={(e) => e.stopPropagation()}
+                  className="w-full bg-neutral-700 text-white text-[10px] px-2 py-1 rounded border border-neutral-600 font-mono"
+                  placeholder="Element IDs, e.g. alert-dot"
+                />
+
+                <label className="flex items-center gap-1.5 text-[10px] text-gray-400 cursor-pointer" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    checked={preserve.whites}
+                    onChange={(e) => handlePreserveChange({ whites: e.target.checked })}
+                    className="accent-yellow-500"
+                  />
+                  Keep whites (off: white becomes accent)
+                </label>
+              </div>
+            )}
+          </div>
+
+          {/* Dark palette (explicit colors, derived for the rest) */}
+          <div className="pt-2 border-t border-neutral-700">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowDark(!showDark);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-400 uppercase tracking-wide font-medium hover:text-white"
+            >
+              Dark Mode
+              <svg className={`w-3 h-3 transition-transform ${showDark ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showDark && (
+              <div className="mt-2 space-y-1.5 animate-fade-in">
+                {[...colorNames, 'background'].map((key) => (
+                  <div key={key} className="flex items-center gap-2">
+                    <span className="text-[10px] text-gray-500 w-20 capitalize">{key}</span>
+                    <input
+                      type="color"
+                      value={darkPalette[key]}
+                      onChange={(e) => handleDarkChange(key, e.target.value.toUpperCase())}
+                      onClick={(e) => e.stopPropagation()}
+                      className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+                    />
+                    <span className="flex-1 text-[10px] text-gray-400 font-mono">{darkPalette[key]}</span>
+                    {brand.dark?.[key] ? (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDarkChange(key, null);
+                        }}
+                        className="text-[10px] text-gray-500 hover:text-white"
+                        title="Derive from the light palette"
+                      >
+                        ×
+                      </button>
+                    ) : (
+                      <span className="text-[10px] text-gray-600">auto</span>
+                    )}
+                  </div>
+                ))}
+                <p className="text-[10px] text-gray-500">Background replaces kept whites in dark variants</p>
+              </div>
+            )}
+          </div>
+
+          {/* Brand guide rules checked before export */}
+          <div className="pt-2 border-t border-neutral-700">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowRules(!showRules);
+              }}
+              className="w-full flex items-center justify-between text-[10px] text-gray-400 uppercase tracking-wide font-medium hover:text-white"
+            >
+              Rules
+              <svg className={`w-3 h-3 transition-transform ${showRules ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showRules && (
+              <div className="mt-2 space-y-2 animate-fade-in" onClick={(e) => e.stopPropagation()}>
+                {/* Allowed modes */}
+                <div className="flex flex-wrap gap-1">
+                  {COLOR_MODES.map((mode) => {
+                    const allowed = !rules.allowedModes?.length || rules.allowedModes.includes(mode);
+                    return (
+                      <button
+                        key={mode}
+                        onClick={() => handleModeToggle(mode)}
+                        className={`px-1.5 py-0.5 rounded text-[10px] ${
+                          allowed ? 'bg-yellow-500/20 text-yellow-300' : 'bg-neutral-900 text-gray-600 line-through'
+                        }`}
+                        title={allowed ? 'Allowed (click to forbid)' : 'Not allowed (click to allow)'}
+                      >
+                        {mode}
+                      </button>
+                    );
+                  })}
+                </div>
+
+                {/* Per color: minimum stroke width and allowed backgrounds */}
+                <div className="flex items-center gap-2 text-[10px] text-gray-500">
+                  <span className="w-16">Color</span>
+                  <span className="w-12">Min px</span>
+                  <span className="flex-1">Backgrounds</span>
+                </div>
+                {colorNames.map((name) => {
+                  const backgrounds = rules.allowedBackgrounds?.[name];
+                  const backgroundValue = backgrounds?.join(',') || '';
+                  return (
+                    <div key={name} className="flex items-center gap-2">
+                      <span className="w-16 text-[10px] text-gray-400 truncate capitalize">{name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.25"
+                        value={rules.minStrokeWidth?.[name] ?? ''}
+                        onChange={(e) => handleColorRuleChange('minStrokeWidth', name, e.target.value === '' ? null : parseFloat(e.target.value))}
+                        className="w-12 px-1 py-0.5 bg-neutral-900 border border-neutral-600 rounded text-[10px] text-neutral-300"
+                        placeholder="—"
+                      />
+                      <select
+                        value={backgroundValue}
+                        onChange={(e) => handleColorRuleChange('allowedBackgrounds', name, e.target.value ? e.target.value.split(',') : null)}
+                        className="flex-1 bg-neutral-700 text-white text-[10px] px-1.5 py-0.5 rounded border border-neutral-600"
+                      >
+                        <option value="">Any</option>
+                        <option value="dark">Dark only</option>
+                        <option value="light">Light only</option>
+                        {backgroundValue && !['dark', 'light'].includes(backgroundValue) && (
+                          <option value={backgroundValue}>{backgrounds.join(', ')}</option>
+                        )}
+                      </select>
+                    </div>
+                  );
+                })}
+                <label className="flex items-center gap-2 text-[10px] text-gray-500">
+                  Stroke widths judged at
+                  <input
+                    type="number"
+                    min="8"
+                    value={rules.iconSize ?? ''}
+                    onChange={(e) => handleRuleChange('iconSize', e.target.value === '' ? null : parseFloat(e.target.value))}
+                    className="w-12 px-1 py-0.5 bg-neutral-900 border border-neutral-600 rounded text-[10px] text-neutral-300"
+                    placeholder={String(DEFAULT_RULE_ICON_SIZE)}
+                  />
+                  px
+                </label>
+
+                {/* Forbidden color combinations */}
+                <div className="space-y-1">
+                  {(rules.forbiddenCombinations || []).map((combination, index) => (
+                    <div key={combination.join('+')} className="flex items-center gap-2 text-[10px] text-gray-400">
+                      <span className="flex-1">Never {combination.join(' + ')}</span>
+                      <button
+                        onClick={() => handleRuleChange('forbiddenCombinations', rules.forbiddenCombinations.filter((_, i) => i !== index))}
+                        className="text-gray-500 hover:text-red-400"
+                        title="Remove rule"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex items-center gap-1">
+                    {newCombination.map((name, slot) => (
+                      <select
+                        key={slot}
+                        value={name}
+                        onChange={(e) => setNewCombination((prev) => prev.map((n, i) => (i === slot ? e.target.value : n)))}
+                        className="flex-1 bg-neutral-700 text-white text-[10px] px-1 py-0.5 rounded border border-neutral-600"
+                      >
+                        {colorNames.map((option) => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ))}
+                    <button
+                      onClick={() => {
+                        if (newCombination[0] === newCombination[1]) return;
+                        handleRuleChange('forbiddenCombinations', [...(rules.forbiddenCombinations || []), newCombination]);
+                      }}
+                      className="px-2 py-0.5 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px]"
+                      title="Forbid using these colors together"
+                    >
+                      Forbid
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Developer exports of the palette, scales and dark palette */}
+          <div className="pt-2 border-t border-neutral-700">
+            <p className="text-[10px] text-gray-400 uppercase tracking-wide font-medium mb-1.5">Export</p>
+            <div className="flex gap-1">
+              {BRAND_EXPORT_FORMATS.map(({ id, label, extension }) => (
+                <button
+                  key={id}
+                  onClick={(e) => handleExportBrand(e, id)}
+                  className="flex-1 px-1.5 py-1 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px] font-medium"
+                  title={`Download .${extension}`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
 
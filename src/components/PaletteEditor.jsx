@@ -0,0 +1,125 @@
+/**
+ * PaletteEditor Component
+ * Edits an ordered list of named brand colors: value, name and the lightness
+ * band (role metadata) that decides which source grays each color paints
+ */
+
+import { useState } from 'react';
+import { CORE_ROLES, toPaletteName } from '../constants/brands';
+
+const PaletteEditor = ({ colors, onChange }) => {
+  const [newColor, setNewColor] = useState('#0099A8');
+
+  // Update one entry; an empty band removes the key so the default applies
+  const updateEntry = (index, changes) => {
+    // Names are keys: never let two colors share one
+    if (changes.name !== undefined && colors.some((entry, i) => i !== index && entry.name === changes.name)) return;
+    onChange(colors.map((entry, i) => {
+      if (i !== index) return entry;
+      const next = { ...entry, ...changes };
+      if (next.maxLightness === undefined || next.maxLightness === null) delete next.maxLightness;
+      return next;
+    }));
+  };
+
+  // Swap an entry with its neighbour
+  const moveEntry = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= colors.length) return;
+    const next = [...colors];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  // Add a color with a name that isn't taken yet
+  const addEntry = () => {
+    const names = new Set(colors.map(({ name }) => name));
+    let n = colors.length + 1;
+    while (names.has(`color-${n}`)) n++;
+    onChange([...colors, { name: `color-${n}`, value: newColor }]);
+  };
+
+  return (
+    <div className="space-y-1.5" onClick={(e) => e.stopPropagation()}>
+      {colors.map((entry, index) => {
+        const isCore = CORE_ROLES.includes(entry.name);
+        return (
+          <div key={index} className="flex items-center gap-1.5">
+            <input
+              type="color"
+              value={entry.value}
+              onChange={(e) => updateEntry(index, { value: e.target.value.toUpperCase() })}
+              className="w-7 h-7 rounded cursor-pointer bg-transparent border-0 flex-shrink-0"
+            />
+            <input
+              type="text"
+              value={entry.value}
+              onChange={(e) => updateEntry(index, { value: e.target.value })}
+              className="w-[4.5rem] px-1.5 py-1 bg-neutral-900 border border-neutral-600 rounded text-[10px] text-neutral-300 font-mono focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
+              placeholder="#000000"
+            />
+            <input
+              type="text"
+              value={entry.name}
+              readOnly={isCore}
+              onChange={(e) => updateEntry(index, { name: toPaletteName(e.target.value) })}
+              className={`flex-1 min-w-0 px-1.5 py-1 bg-neutral-900 border border-neutral-600 rounded text-[10px] font-mono ${
+                isCore ? 'text-gray-500' : 'text-neutral-300 focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500'
+              }`}
+              title={isCore ? 'Core role (always present)' : 'Name used by color maps, scale steps and --icon-<name>'}
+            />
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={entry.maxLightness ?? ''}
+              onChange={(e) => updateEntry(index, {
+                maxLightness: e.target.value === '' ? undefined : Math.min(100, Math.max(0, Number(e.target.value))),
+              })}
+              className="w-11 px-1 py-1 bg-neutral-900 border border-neutral-600 rounded text-[10px] text-neutral-300 focus:ring-1 focus:ring-yellow-500"
+              placeholder={isCore ? 'map' : '—'}
+              title="Paints source grays up to this lightness (L*). Empty: core roles use the role map, other colors are only used when picked."
+            />
+            <button
+              type="button"
+              onClick={() => moveEntry(index, -1)}
+              disabled={index === 0}
+              className="text-[10px] text-gray-500 hover:text-white disabled:opacity-30"
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(colors.filter((_, i) => i !== index))}
+              disabled={isCore}
+              className="text-[10px] text-gray-500 hover:text-red-400 disabled:opacity-30"
+              title={isCore ? 'Core roles can\'t be removed' : 'Remove color'}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+
+      {/* Add a color */}
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value.toUpperCase())}
+          className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+        />
+        <button
+          type="button"
+          onClick={addEntry}
+          className="flex-1 px-2 py-1 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px] font-medium"
+        >
+          + Add color
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PaletteEditor;
@@ -0,0 +1,118 @@
+/**
+ * PaletteImport Component
+ * Reads a swatch file from a brand guide, shows the proposed role of each
+ * swatch for review, and hands the resulting palette to the add-brand flow
+ */
+
+import { useState, useRef } from 'react';
+import {
+  PALETTE_EXTENSIONS,
+  SWATCH_ROLES,
+  parsePaletteFile,
+  proposeSwatchRoles,
+  buildImportedColors,
+} from '../utils/paletteImport';
+
+const PaletteImport = ({ onCreate, onError }) => {
+  const [pending, setPending] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const palette = await parsePaletteFile(file);
+      setPending({ ...palette, roles: proposeSwatchRoles(palette.swatches) });
+    } catch (error) {
+      console.error(`Failed to import palette ${file.name}:`, error);
+      onError?.(error.message);
+    }
+  };
+
+  // A core role belongs to one swatch: giving it to another frees the old one
+  const handleRoleChange = (index, role) => {
+    setPending((prev) => ({
+      ...prev,
+      roles: prev.roles.map((current, i) => {
+        if (i === index) return role;
+        return role !== 'extra' && role !== 'skip' && current === role ? 'extra' : current;
+      }),
+    }));
+  };
+
+  const handleCreate = () => {
+    onCreate({ name: pending.name, colors: buildImportedColors(pending.swatches, pending.roles) });
+    setPending(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={PALETTE_EXTENSIONS.map((ext) => `.${ext}`).join(',')}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="w-full px-3 py-1.5 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded-lg text-xs font-medium transition-all"
+        title="Adobe Swatch Exchange (.ase), GIMP (.gpl), Photoshop (.aco) or W3C Design Tokens (.json)"
+      >
+        Import palette file…
+      </button>
+
+      {/* Proposed roles, editable before the brand is created */}
+      {pending && (
+        <div className="p-2 bg-neutral-900 border border-neutral-700 rounded-lg space-y-1.5">
+          <input
+            type="text"
+            value={pending.name}
+            onChange={(e) => setPending((prev) => ({ ...prev, name: e.target.value }))}
+            className="w-full px-2 py-1 bg-neutral-800 border border-neutral-600 rounded text-xs text-neutral-300 focus:ring-1 focus:ring-yellow-500 focus:border-yellow-500"
+          />
+          <div className="max-h-48 overflow-y-auto space-y-1">
+            {pending.swatches.map(({ name, value }, index) => (
+              <div key={`${value}-${index}`} className="flex items-center gap-2">
+                <span className="w-4 h-4 rounded-sm border border-white/20 flex-shrink-0" style={{ backgroundColor: value }} />
+                <span className="flex-1 min-w-0 truncate text-[10px] text-neutral-300" title={`${name} (${value})`}>{name}</span>
+                <select
+                  value={pending.roles[index]}
+                  onChange={(e) => handleRoleChange(index, e.target.value)}
+                  className="bg-neutral-800 text-white text-[10px] px-1 py-0.5 rounded border border-neutral-600 focus:outline-none"
+                >
+                  {SWATCH_ROLES.map((role) => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <p className="text-[10px] text-gray-500">Core roles left unassigned are derived from primary.</p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setPending(null)}
+              className="flex-1 px-2 py-1 bg-neutral-700 hover:bg-neutral-600 text-neutral-300 rounded text-[10px] font-medium"
+            >
+              Discard
+            </button>
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={!pending.name.trim()}
+              className="flex-1 px-2 py-1 bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 text-neutral-900 rounded text-[10px] font-medium"
+            >
+              Create brand
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaletteImport;
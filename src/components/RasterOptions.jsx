@@ -0,0 +1,186 @@
+/**
+ * RasterOptions Component
+ * Chooses the PNG/WebP/JPEG renditions added to Download ZIP: formats, sizes,
+ * densities, background and padding
+ */
+
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  RASTER_FORMATS,
+  RASTER_SIZES,
+  RASTER_SCALES,
+  MIN_RASTER_SIZE,
+  MAX_RASTER_SIZE,
+  MAX_RASTER_PADDING,
+  getRenditions,
+} from '../utils/rasterExport';
+
+const RasterOptions = ({ options, onChange, onClose }) => {
+  const [customSize, setCustomSize] = useState('');
+
+  const renditionCount = getRenditions(options).length;
+  const sizes = [...new Set([...RASTER_SIZES, ...options.sizes])].sort((a, b) => a - b);
+
+  // Add or remove a value from one of the option lists
+  const toggle = (key, value) => {
+    const list = options[key];
+    const next = list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+    onChange({ ...options, [key]: key === 'formats' ? next : next.sort((a, b) => a - b) });
+  };
+
+  // Add a size outside the presets
+  const handleAddSize = () => {
+    const size = parseInt(customSize, 10);
+    if (size >= MIN_RASTER_SIZE && size <= MAX_RASTER_SIZE && !options.sizes.includes(size)) {
+      toggle('sizes', size);
+    }
+    setCustomSize('');
+  };
+
+  const chipClass = (active) => `px-2 py-1 rounded-md text-xs font-medium transition-all ${
+    active ? 'bg-yellow-500 text-gray-900' : 'bg-gray-800 text-gray-400 hover:text-white'
+  }`;
+
+  // Portal to <body> so the panel sits above the sticky header
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Options panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-md max-h-[80vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800">
+          <h2 className="text-white font-semibold text-sm">Raster Export</h2>
+          <p className="text-gray-500 text-xs">
+            {renditionCount === 0
+              ? 'Download ZIP contains SVGs only'
+              : `Download ZIP adds ${renditionCount} image${renditionCount !== 1 ? 's' : ''} per icon`}
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {/* Formats */}
+          <div className="space-y-1.5">
+            <span className="text-xs text-gray-500">Formats</span>
+            <div className="flex gap-1.5">
+              {RASTER_FORMATS.map(({ id, label }) => (
+                <button key={id} type="button" onClick={() => toggle('formats', id)} className={chipClass(options.formats.includes(id))}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Sizes */}
+          <div className="space-y-1.5">
+            <span className="text-xs text-gray-500">Sizes (px)</span>
+            <div className="flex flex-wrap gap-1.5">
+              {sizes.map((size) => (
+                <button key={size} type="button" onClick={() => toggle('sizes', size)} className={chipClass(options.sizes.includes(size))}>
+                  {size}
+                </button>
+              ))}
+              <input
+                type="number"
+                min={MIN_RASTER_SIZE}
+                max={MAX_RASTER_SIZE}
+                value={customSize}
+                onChange={(e) => setCustomSize(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddSize()}
+                placeholder={`${MIN_RASTER_SIZE}–${MAX_RASTER_SIZE}`}
+                className="w-20 px-2 py-1 bg-gray-800 border border-gray-700 rounded-md text-xs text-white placeholder-gray-500 focus:outline-none focus:border-yellow-500"
+              />
+              <button
+                type="button"
+                onClick={handleAddSize}
+                className="px-2 py-1 rounded-md text-xs font-medium bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-white transition-all"
+              >
+                + Add
+              </button>
+            </div>
+          </div>
+
+          {/* Densities */}
+          <div className="space-y-1.5">
+            <span className="text-xs text-gray-500">Densities</span>
+            <div className="flex gap-1.5">
+              {RASTER_SCALES.map((scale) => (
+                <button key={scale} type="button" onClick={() => toggle('scales', scale)} className={chipClass(options.scales.includes(scale))}>
+                  @{scale}x
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Background */}
+          <div className="space-y-1.5">
+            <span className="text-xs text-gray-500">Background</span>
+            <div className="flex items-center gap-1.5">
+              <button
+                type="button"
+                onClick={() => onChange({ ...options, background: null })}
+                className={chipClass(options.background === null)}
+              >
+                Transparent
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange({ ...options, background: options.background || '#FFFFFF' })}
+                className={chipClass(options.background !== null)}
+              >
+                Solid
+              </button>
+              {options.background !== null && (
+                <input
+                  type="color"
+                  value={options.background}
+                  onChange={(e) => onChange({ ...options, background: e.target.value.toUpperCase() })}
+                  className="w-6 h-6 rounded cursor-pointer border-0 bg-transparent"
+                  title="Background color"
+                />
+              )}
+            </div>
+            {options.background === null && options.formats.includes('jpeg') && (
+              <p className="text-[10px] text-gray-500">JPEG has no transparency and gets a white background.</p>
+            )}
+          </div>
+
+          {/* Padding */}
+          <div className="space-y-1.5">
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Padding</span>
+              <span className="text-xs text-gray-400 font-mono">{options.padding}%</span>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={MAX_RASTER_PADDING}
+              value={options.padding}
+              onChange={(e) => onChange({ ...options, padding: parseInt(e.target.value, 10) })}
+              className="w-full accent-yellow-500"
+            />
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t border-gray-800 flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-3 py-2 bg-yellow-500 hover:bg-yellow-400 text-gray-900 rounded-lg text-xs font-medium transition-all"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default RasterOptions;
@@ -0,0 +1,107 @@
+/**
+ * VisionPreview Component
+ * Shows a painted icon side by side under color-vision-deficiency simulations
+ * and lists brand colors that collapse to the same perceived color
+ */
+
+import { useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { svgToDataUrl, createPalette } from '../utils/colorMapper';
+import { collectPaintedColors } from '../utils/contrastAudit';
+import { VISION_TYPES, simulateSvg, simulateColor, findCollapsedColors } from '../utils/visionSimulation';
+
+const VisionPreview = ({ icon, brand, onClose }) => {
+  const colors = useMemo(() => collectPaintedColors(icon.currentContent), [icon.currentContent]);
+
+  // Original plus one preview per simulation
+  const previews = useMemo(() => [
+    { id: 'original', label: 'Original', description: 'Typical color vision', url: svgToDataUrl(icon.currentContent), collapsed: [] },
+    ...VISION_TYPES.map((type) => ({
+      ...type,
+      url: svgToDataUrl(simulateSvg(icon.currentContent, type.id)),
+      collapsed: findCollapsedColors(colors, type.id),
+    })),
+  ], [icon.currentContent, colors]);
+
+  const palette = useMemo(() => (brand ? createPalette(brand) : {}), [brand]);
+
+  // Name a painted color after the palette color it came from, if any
+  const colorLabel = (color) => {
+    const role = Object.keys(palette).find((name) => palette[name]?.toUpperCase() === color.slice(0, 7).toUpperCase());
+    return role ? `${role} (${color})` : color;
+  };
+
+  // Portal to <body> so the card's hover transform doesn't offset the fixed panel
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Preview panel */}
+      <div className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-4xl max-h-[90vh] bg-gray-900 border border-gray-800 rounded-xl z-50 flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+          <div>
+            <h2 className="text-white font-semibold text-sm">Color Vision Preview</h2>
+            <p className="text-gray-500 text-xs truncate max-w-xs" title={icon.name}>{icon.name}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-800 rounded-lg transition-colors"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {/* Side-by-side simulations */}
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+            {previews.map(({ id, label, description, url, collapsed }) => (
+              <div key={id} className="space-y-2">
+                <div className={`aspect-square bg-white rounded-lg p-4 ${collapsed.length > 0 ? 'ring-2 ring-amber-500' : ''}`}>
+                  <img src={url} alt={`${icon.name} (${label})`} className="w-full h-full object-contain" />
+                </div>
+                <div>
+                  <p className="text-xs font-medium text-gray-300">{label}</p>
+                  <p className="text-[10px] text-gray-500">{description}</p>
+                </div>
+
+                {/* Painted colors as perceived */}
+                <div className="flex flex-wrap gap-1">
+                  {colors.map((color) => {
+                    const perceived = id === 'original' ? color : simulateColor(color, id);
+                    return (
+                      <span
+                        key={color}
+                        className="w-4 h-4 rounded-sm border border-white/20"
+                        style={{ backgroundColor: perceived }}
+                        title={`${colorLabel(color)} → ${perceived}`}
+                      />
+                    );
+                  })}
+                </div>
+
+                {/* Colors that become indistinguishable */}
+                {collapsed.map(({ a, b, deltaE }) => (
+                  <p key={`${a}-${b}`} className="text-[10px] text-amber-400" title={`ΔE ${deltaE.toFixed(1)} after simulation`}>
+                    {colorLabel(a)} and {colorLabel(b)} look alike
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </>,
+    document.body
+  );
+};
+
+export default VisionPreview;
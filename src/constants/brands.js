@@ -1,6 +1,7 @@
 /**
  * Brand color configurations for the paint bucket selector
- * Each brand has a primary, secondary, and accent color
+ * Each brand has a primary, secondary, and accent color; brands with more
+ * colors list them all, in order, under `colors` (see getBrandColors)
  */
 
 export const BRANDS = [
@@ -71,6 +72,84 @@ export const BRANDS = [
   },
 ];
 
+/**
+ * Default role map: how source colors are assigned to brand roles
+ * Achromatic colors are classified by CIELAB lightness (L*, 0 = black, 100 = white):
+ * up to primaryMaxLightness → primary, up to secondaryMaxLightness → secondary,
+ * up to accentMaxLightness → accent, anything lighter is left alone.
+ * Colors with chroma (C*ab) above chromaThreshold count as chromatic.
+ * A brand can override any of these with its own `roleMap` object.
+ */
+export const DEFAULT_ROLE_MAP = {
+  primaryMaxLightness: 38,
+  secondaryMaxLightness: 66,
+  accentMaxLightness: 96,
+  chromaThreshold: 8,
+};
+
+/**
+ * Default paint gradient for the "gradient" mode: primary → secondary on a diagonal
+ * type is 'linear' or 'radial'; angle follows CSS (0 = to top, 90 = to right).
+ * Stop colors are brand roles ('primary', 'secondary', 'accent') or any color,
+ * offsets are percentages. A brand can declare its own `paintGradient`.
+ */
+export const DEFAULT_PAINT_GRADIENT = {
+  type: 'linear',
+  angle: 135,
+  stops: [
+    { offset: 0, color: 'primary' },
+    { offset: 100, color: 'secondary' },
+  ],
+};
+
+/**
+ * Surface color of dark variants: preserved whites (knockouts that show the
+ * page behind the icon) are repainted with it. A brand can set `dark.background`.
+ * Its other `dark` keys (primary, secondary, accent) replace the light roles;
+ * roles it leaves out are derived from the light palette.
+ */
+export const DEFAULT_DARK_BACKGROUND = '#121212';
+
+// Roles every brand has; they keep their special meaning in each color mode
+export const CORE_ROLES = ['primary', 'secondary', 'accent'];
+
+/**
+ * Get a brand's ordered palette
+ * Each entry is { name, value, maxLightness? }. The name is what color maps,
+ * painted regions, gradient stops and scale steps ("slate-100") refer to.
+ * maxLightness is the entry's role metadata: source grays up to that L* (and
+ * above the next darker band) are painted with it. Core roles without one use
+ * the role map thresholds; other colors without one are only used when picked.
+ * Brands without a `colors` list get one from primary, secondary and accent.
+ * @param {object} brand - Brand object
+ * @returns {Array<{name: string, value: string, maxLightness?: number}>} Palette entries
+ */
+export const getBrandColors = (brand) => {
+  if (brand?.colors?.length) return brand.colors;
+  return CORE_ROLES.filter((name) => brand?.[name]).map((name) => ({ name, value: brand[name] }));
+};
+
+/**
+ * Turn a typed name into a palette name (used in scale steps and CSS variables)
+ * @param {string} text - Typed name
+ * @returns {string} Lowercase name with hyphens
+ */
+export const toPaletteName = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+/, '');
+
+/**
+ * Give a brand both shapes: the `colors` list and the primary/secondary/accent keys
+ * The list wins, so edits made to it show up under the core keys.
+ * @param {object} brand - Brand object
+ * @returns {object} Brand with colors and core keys in sync
+ */
+export const normalizeBrand = (brand) => {
+  const colors = getBrandColors(brand);
+  const core = Object.fromEntries(
+    colors.filter(({ name }) => CORE_ROLES.includes(name)).map(({ name, value }) => [name, value])
+  );
+  return { ...brand, ...core, colors };
+};
+
 /**
  * Default brand to use when app loads (can be overridden by localStorage)
  */
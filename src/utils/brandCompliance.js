@@ -0,0 +1,169 @@
+/**
+ * Brand compliance
+ * Evaluates painted icons against the declarative rules of a brand guide:
+ * allowed paint modes, minimum stroke width per color, allowed backgrounds
+ * per color and forbidden color combinations
+ */
+
+import { parseSvg, walkElements, getAttribute, getRootSvg, getTransformScale } from './svgDocument';
+import { SHAPE_ELEMENTS, computePaintStyles } from './svgStyles';
+import { parseColor, formatHex } from './colorParser';
+import { createPalette, getViewBox } from './colorMapper';
+import { createPaintColorReader, isNotRenderedInPlace, getRelativeLuminance } from './contrastAudit';
+
+// Size stroke widths are judged at when a brand doesn't set rules.iconSize
+export const DEFAULT_RULE_ICON_SIZE = 24;
+
+// Backgrounds darker than this relative luminance count as "dark" (where white
+// and black text have equal contrast)
+const DARK_LUMINANCE = 0.179;
+
+/**
+ * Normalize a color for comparison
+ * @param {string} color - Any CSS color
+ * @returns {string|null} Opaque uppercase hex, or null if not a color
+ */
+const toKey = (color) => {
+  const rgb = parseColor(color);
+  return rgb ? formatHex({ ...rgb, alpha: 1 }) : null;
+};
+
+/**
+ * Find which palette colors a painted SVG uses, and the thinnest stroke of each
+ * @param {string} svgString - Painted SVG content
+ * @param {object} palette - Name → color (from createPalette)
+ * @param {number} iconSize - Rendered icon size in px
+ * @returns {Map<string, {strokeWidth: number|null}>} Palette name → usage (strokeWidth in px, null if never stroked)
+ */
+const collectPaletteUsage = (svgString, palette, iconSize) => {
+  const usage = new Map();
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for compliance check:', error);
+    return usage;
+  }
+
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return usage;
+  const box = getViewBox(rootSvg);
+  // px per user unit when the icon is drawn at iconSize
+  const pxPerUnit = box ? iconSize / Math.max(box.width, box.height) : 1;
+
+  const namesByColor = new Map();
+  Object.entries(palette).forEach(([name, color]) => {
+    const key = toKey(color);
+    if (key && !namesByColor.has(key)) namesByColor.set(key, name);
+  });
+
+  const styles = computePaintStyles(doc, { 'stroke-width': '1' });
+  const paintColors = createPaintColorReader(doc, styles);
+
+  walkElements(rootSvg, (element) => {
+    if (!SHAPE_ELEMENTS.includes(element.localName) || isNotRenderedInPlace(element)) return;
+    const style = styles.get(element);
+    if (!style) return;
+
+    ['fill', 'stroke'].forEach((property) => {
+      paintColors(style[property]).forEach((color) => {
+        const name = namesByColor.get(toKey(color));
+        if (!name) return;
+        const entry = usage.get(name) || { strokeWidth: null };
+
+        if (property === 'stroke') {
+          const value = style['stroke-width'].value;
+          let width = parseFloat(value);
+          if (/%\s*$/.test(value) && box) width = (width / 100) * Math.sqrt((box.width ** 2 + box.height ** 2) / 2);
+          // Non-scaling strokes are already in screen px
+          if (getAttribute(element, 'vector-effect') !== 'non-scaling-stroke') {
+            width *= Math.sqrt(getTransformScale(element)) * pxPerUnit;
+          }
+          if (Number.isFinite(width) && (entry.strokeWidth === null || width < entry.strokeWidth)) {
+            entry.strokeWidth = width;
+          }
+        }
+        usage.set(name, entry);
+      });
+    });
+  });
+
+  return usage;
+};
+
+/**
+ * Check whether a background satisfies one allowed-background entry
+ * @param {string} background - Background color
+ * @param {string} allowed - 'dark', 'light', a palette name or a color
+ * @param {object} palette - Name → color
+ * @returns {boolean} True if the background is allowed by the entry
+ */
+const matchesBackground = (background, allowed, palette) => {
+  const rgb = parseColor(background);
+  if (!rgb) return false;
+  if (allowed === 'dark') return getRelativeLuminance(rgb) < DARK_LUMINANCE;
+  if (allowed === 'light') return getRelativeLuminance(rgb) >= DARK_LUMINANCE;
+  return toKey(palette[allowed] || allowed) === toKey(background);
+};
+
+/**
+ * Check one painted icon against its brand's rules
+ * `brand.rules` is optional; color keys are palette names:
+ *   allowedModes: ['primary', 'secondary']     paint modes icons may use
+ *   minStrokeWidth: { primary: 1.5 }           px at iconSize; '*' applies to every color
+ *   iconSize: 24                               px size stroke widths are judged at
+ *   allowedBackgrounds: { primary: ['dark'] }  'dark', 'light', a palette name or a color
+ *   forbiddenCombinations: [['primary', 'accent']]
+ * @param {object} icon - Workspace icon (painted content and color mode)
+ * @param {object} brand - Brand the icon was painted with (rules under brand.rules)
+ * @param {Array<{label: string, color: string}>} backgrounds - Target backgrounds (from resolveBackgrounds)
+ * @returns {Array<{rule: string, message: string}>} Violations; rule is 'mode', 'stroke', 'background' or 'combination'
+ */
+export const checkIconCompliance = (icon, brand, backgrounds = []) => {
+  const rules = brand?.rules;
+  if (!rules) return [];
+
+  const violations = [];
+  const mode = icon.colorMode || 'primary';
+  if (rules.allowedModes?.length && !rules.allowedModes.includes(mode)) {
+    violations.push({ rule: 'mode', message: `${mode} mode is not allowed (use ${rules.allowedModes.join(', ')})` });
+  }
+
+  const palette = createPalette(brand);
+  const usage = collectPaletteUsage(icon.currentContent, palette, rules.iconSize || DEFAULT_RULE_ICON_SIZE);
+
+  // Minimum stroke width: per color, '*' for any color
+  Object.entries(rules.minStrokeWidth || {}).forEach(([name, min]) => {
+    const names = name === '*' ? [...usage.keys()] : [name];
+    names.forEach((used) => {
+      const width = usage.get(used)?.strokeWidth;
+      if (width !== null && width !== undefined && width < min) {
+        violations.push({ rule: 'stroke', message: `${used} stroke is ${width.toFixed(2)}px (minimum ${min}px)` });
+      }
+    });
+  });
+
+  // Allowed backgrounds: a used color must suit every target background
+  Object.entries(rules.allowedBackgrounds || {}).forEach(([name, allowed]) => {
+    if (!usage.has(name) || !allowed?.length) return;
+    backgrounds
+      .filter(({ color }) => !allowed.some((entry) => matchesBackground(color, entry, palette)))
+      .forEach(({ label }) => {
+        violations.push({ rule: 'background', message: `${name} on ${label} (allowed: ${allowed.join(', ')})` });
+      });
+  });
+
+  // Forbidden combinations: every color of the combination appears in the icon
+  (rules.forbiddenCombinations || []).forEach((combination) => {
+    if (combination.length > 1 && combination.every((name) => usage.has(name))) {
+      violations.push({ rule: 'combination', message: `${combination.join(' + ')} may not be used together` });
+    }
+  });
+
+  return violations;
+};
+
+export default {
+  DEFAULT_RULE_ICON_SIZE,
+  checkIconCompliance,
+};
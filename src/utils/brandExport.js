@@ -0,0 +1,178 @@
+/**
+ * Brand export
+ * Writes a brand's palette, its 50–900 scales and its dark palette as W3C
+ * Design Tokens, CSS custom properties, SCSS variables or a Tailwind
+ * `theme.extend.colors` snippet, so code uses the colors icons were painted with
+ */
+
+import { getBrandColors, toPaletteName } from '../constants/brands';
+import { SCALE_STEPS, createBrandScales } from './colorScale';
+import { createDarkPalette } from './darkMode';
+
+// Export formats offered in the brand editor
+export const BRAND_EXPORT_FORMATS = [
+  { id: 'tokens', label: 'Tokens', extension: 'tokens.json', mimeType: 'application/json' },
+  { id: 'css', label: 'CSS', extension: 'css', mimeType: 'text/css' },
+  { id: 'scss', label: 'SCSS', extension: 'scss', mimeType: 'text/x-scss' },
+  { id: 'tailwind', label: 'Tailwind', extension: 'tailwind.js', mimeType: 'text/javascript' },
+];
+
+// Prefix of every exported name: --brand-primary, $brand-primary, bg-brand-primary
+const PREFIX = 'brand';
+
+/**
+ * Gather what every format writes
+ * @param {object} brand - Brand object
+ * @returns {{colors: Array, scales: object, dark: object}} Palette entries, name → (step → hex), name → dark color (plus background)
+ */
+const collectBrandColors = (brand) => ({
+  colors: getBrandColors(brand),
+  scales: createBrandScales(brand),
+  dark: createDarkPalette(brand),
+});
+
+/**
+ * Write W3C Design Tokens (DTCG) JSON
+ * Base colors live under brand.color, scales under brand.scale (500 aliases the
+ * base color) and the dark palette under brand.dark.
+ * @param {object} brand - Brand object
+ * @returns {string} JSON
+ */
+export const toDesignTokens = (brand) => {
+  const { colors, scales, dark } = collectBrandColors(brand);
+  const tokens = {
+    [PREFIX]: {
+      $type: 'color',
+      $description: brand.name,
+      color: Object.fromEntries(colors.map(({ name, value }) => [name, { $value: value }])),
+      scale: Object.fromEntries(Object.entries(scales).map(([name, scale]) => [
+        name,
+        Object.fromEntries(SCALE_STEPS.map((step) => [
+          step,
+          { $value: step === 500 ? `{${PREFIX}.color.${name}}` : scale[step] },
+        ])),
+      ])),
+      dark: Object.fromEntries(Object.entries(dark).map(([name, value]) => [name, { $value: value }])),
+    },
+  };
+  return `${JSON.stringify(tokens, null, 2)}\n`;
+};
+
+/**
+ * Write CSS custom properties
+ * The dark palette overrides the base colors under prefers-color-scheme: dark.
+ * --icon-* variables point at the brand so themable SVGs pick it up.
+ * @param {object} brand - Brand object
+ * @returns {string} CSS
+ */
+export const toCssVariables = (brand) => {
+  const { colors, scales, dark } = collectBrandColors(brand);
+  const lines = [`/* ${brand.name} */`, ':root {'];
+
+  colors.forEach(({ name, value }) => {
+    lines.push(`  --${PREFIX}-${name}: ${value};`);
+    SCALE_STEPS.filter((step) => scales[name] && step !== 500).forEach((step) => {
+      lines.push(`  --${PREFIX}-${name}-${step}: ${scales[name][step]};`);
+    });
+  });
+  // Surface behind kept whites; dark variants repaint them with the dark background
+  lines.push(`  --${PREFIX}-background: #FFFFFF;`);
+
+  // Themable SVG exports paint primary with currentColor and the rest with --icon-<name>
+  colors.filter(({ name }) => name !== 'primary').forEach(({ name }) => {
+    lines.push(`  --icon-${name}: var(--${PREFIX}-${name});`);
+  });
+  lines.push('}', '', '@media (prefers-color-scheme: dark) {', '  :root {');
+  Object.entries(dark).forEach(([name, value]) => lines.push(`    --${PREFIX}-${name}: ${value};`));
+  lines.push('  }', '}', '');
+
+  return lines.join('\n');
+};
+
+/**
+ * Write SCSS variables, plus a map for loops
+ * @param {object} brand - Brand object
+ * @returns {string} SCSS
+ */
+export const toScssVariables = (brand) => {
+  const { colors, scales, dark } = collectBrandColors(brand);
+  const lines = [`// ${brand.name}`];
+
+  colors.forEach(({ name, value }) => {
+    lines.push(`$${PREFIX}-${name}: ${value};`);
+    SCALE_STEPS.filter((step) => scales[name] && step !== 500).forEach((step) => {
+      lines.push(`$${PREFIX}-${name}-${step}: ${scales[name][step]};`);
+    });
+  });
+  lines.push('');
+  Object.entries(dark).forEach(([name, value]) => lines.push(`$${PREFIX}-dark-${name}: ${value};`));
+
+  lines.push('', `$${PREFIX}-colors: (`);
+  colors.forEach(({ name }) => lines.push(`  '${name}': $${PREFIX}-${name},`));
+  lines.push(');', '');
+
+  return lines.join('\n');
+};
+
+/**
+ * Write a Tailwind config snippet extending theme.colors
+ * Each color is a shade object (DEFAULT plus 50–900), so `bg-brand-primary`
+ * and `bg-brand-primary-100` both work; the dark palette is `brand-dark-*`.
+ * @param {object} brand - Brand object
+ * @returns {string} JavaScript
+ */
+export const toTailwindConfig = (brand) => {
+  const { colors, scales, dark } = collectBrandColors(brand);
+  const palette = Object.fromEntries(colors.map(({ name, value }) => [
+    name,
+    scales[name] ? { DEFAULT: value, ...scales[name] } : value,
+  ]));
+  const colorsConfig = { [PREFIX]: { ...palette, dark } };
+
+  // Indent the colors object to sit under theme.extend
+  const body = JSON.stringify(colorsConfig, null, 2).replace(/\n/g, '\n      ');
+  return [
+    `// ${brand.name}: merge into tailwind.config.js`,
+    'export default {',
+    '  theme: {',
+    '    extend: {',
+    `      colors: ${body},`,
+    '    },',
+    '  },',
+    '};',
+    '',
+  ].join('\n');
+};
+
+const WRITERS = {
+  tokens: toDesignTokens,
+  css: toCssVariables,
+  scss: toScssVariables,
+  tailwind: toTailwindConfig,
+};
+
+/**
+ * Export a brand in one of the BRAND_EXPORT_FORMATS
+ * @param {object} brand - Brand object
+ * @param {string} formatId - 'tokens', 'css', 'scss' or 'tailwind'
+ * @returns {{content: string, filename: string, mimeType: string}|null} File to download, or null for an unknown format
+ */
+export const exportBrand = (brand, formatId) => {
+  const format = BRAND_EXPORT_FORMATS.find(({ id }) => id === formatId);
+  if (!format) return null;
+  const slug = toPaletteName(brand.name || brand.id).replace(/-+$/, '') || brand.id;
+  return {
+    content: WRITERS[format.id](brand),
+    filename: `${slug}.${format.extension}`,
+    mimeType: format.mimeType,
+  };
+};
+
+export default {
+  BRAND_EXPORT_FORMATS,
+  toDesignTokens,
+  toCssVariables,
+  toScssVariables,
+  toTailwindConfig,
+  exportBrand,
+};
@@ -0,0 +1,146 @@
+/**
+ * Brand packs
+ * A versioned JSON file holding a team's whole brand library (overrides of the
+ * built-in brands, custom brands and deleted brands), so everyone can paint
+ * with identical colors
+ */
+
+import { BRANDS, normalizeBrand } from '../constants/brands';
+
+// Identifies brand pack files
+export const BRAND_PACK_FORMAT = 'icon-paint-bucket/brand-pack';
+
+// Current pack version; older versions are upgraded on import, newer ones refused
+export const BRAND_PACK_VERSION = 1;
+
+/**
+ * Resolve the brand list a library state produces
+ * Built-in brands get their overrides and deleted ones are dropped; custom
+ * brands follow. Every brand gets both its color list and core keys.
+ * @param {{brandOverrides: object, deletedBrands: Set<string>, customBrands: Array}} state - Library state
+ * @returns {Array} Brands in display order
+ */
+export const resolveBrandLibrary = ({ brandOverrides, deletedBrands, customBrands }) => {
+  const defaultBrands = BRANDS
+    .filter((brand) => !deletedBrands.has(brand.id))
+    .map((brand) => {
+      const override = brandOverrides[brand.id];
+      if (override) {
+        return { ...brand, ...override };
+      }
+      return brand;
+    });
+
+  return [...defaultBrands, ...customBrands].map(normalizeBrand);
+};
+
+/**
+ * Write a library state as a brand pack
+ * @param {{brandOverrides: object, deletedBrands: Set<string>, customBrands: Array}} state - Library state
+ * @returns {string} Pack JSON
+ */
+export const createBrandPack = ({ brandOverrides, deletedBrands, customBrands }) => {
+  const pack = {
+    format: BRAND_PACK_FORMAT,
+    version: BRAND_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    brandOverrides,
+    customBrands,
+    deletedBrands: [...deletedBrands],
+  };
+  return `${JSON.stringify(pack, null, 2)}\n`;
+};
+
+/**
+ * Read and validate a brand pack
+ * @param {string} text - Pack JSON
+ * @returns {{brandOverrides: object, deletedBrands: Set<string>, customBrands: Array, exportedAt: string|null}} Library state
+ * @throws {Error} If the file isn't a brand pack this version can read
+ */
+export const parseBrandPack = (text) => {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+
+  if (pack?.format !== BRAND_PACK_FORMAT) throw new Error('Not a brand pack');
+  if (!Number.isInteger(pack.version) || pack.version < 1) throw new Error('Brand pack has no valid version');
+  if (pack.version > BRAND_PACK_VERSION) {
+    throw new Error(`Brand pack version ${pack.version} needs a newer version of this app`);
+  }
+
+  const brandOverrides = pack.brandOverrides && typeof pack.brandOverrides === 'object' && !Array.isArray(pack.brandOverrides)
+    ? pack.brandOverrides
+    : {};
+  const customBrands = Array.isArray(pack.customBrands)
+    ? pack.customBrands.filter((brand) => brand && typeof brand.id === 'string' && typeof brand.name === 'string')
+    : [];
+  const deletedBrands = new Set(Array.isArray(pack.deletedBrands) ? pack.deletedBrands.filter((id) => typeof id === 'string') : []);
+
+  return { brandOverrides, customBrands, deletedBrands, exportedAt: pack.exportedAt || null };
+};
+
+/**
+ * Combine the current library with a pack
+ * 'merge' layers the pack on top: its overrides win key by key, its custom
+ * brands replace ones with the same ID, and its deletions are added.
+ * 'replace' makes the library exactly the pack.
+ * @param {object} current - Current library state
+ * @param {object} pack - Library state from parseBrandPack
+ * @param {string} strategy - 'merge' or 'replace'
+ * @returns {{brandOverrides: object, deletedBrands: Set<string>, customBrands: Array}} Next library state
+ */
+export const combineBrandPack = (current, pack, strategy = 'merge') => {
+  if (strategy === 'replace') {
+    return { brandOverrides: pack.brandOverrides, customBrands: pack.customBrands, deletedBrands: pack.deletedBrands };
+  }
+
+  const brandOverrides = { ...current.brandOverrides };
+  Object.entries(pack.brandOverrides).forEach(([id, override]) => {
+    brandOverrides[id] = { ...(brandOverrides[id] || {}), ...override };
+  });
+
+  const packIds = new Set(pack.customBrands.map(({ id }) => id));
+  const customBrands = [
+    ...current.customBrands.map((brand) => (packIds.has(brand.id) ? pack.customBrands.find(({ id }) => id === brand.id) : brand)),
+    ...pack.customBrands.filter(({ id }) => !current.customBrands.some((brand) => brand.id === id)),
+  ];
+
+  return {
+    brandOverrides,
+    customBrands,
+    deletedBrands: new Set([...current.deletedBrands, ...pack.deletedBrands]),
+  };
+};
+
+/**
+ * Preview what importing a pack would change, brand by brand
+ * @param {object} current - Current library state
+ * @param {object} next - Library state after import (from combineBrandPack)
+ * @returns {Array<{id: string, name: string, change: string}>} Every brand; change is 'added', 'updated', 'removed' or 'unchanged'
+ */
+export const diffBrandLibraries = (current, next) => {
+  const before = new Map(resolveBrandLibrary(current).map((brand) => [brand.id, brand]));
+  const after = new Map(resolveBrandLibrary(next).map((brand) => [brand.id, brand]));
+  const ids = [...new Set([...before.keys(), ...after.keys()])];
+
+  return ids.map((id) => {
+    const old = before.get(id);
+    const updated = after.get(id);
+    if (!old) return { id, name: updated.name, change: 'added' };
+    if (!updated) return { id, name: old.name, change: 'removed' };
+    return { id, name: updated.name, change: JSON.stringify(old) === JSON.stringify(updated) ? 'unchanged' : 'updated' };
+  });
+};
+
+export default {
+  BRAND_PACK_FORMAT,
+  BRAND_PACK_VERSION,
+  resolveBrandLibrary,
+  createBrandPack,
+  parseBrandPack,
+  combineBrandPack,
+  diffBrandLibraries,
+};
@@ -3,6 +3,35 @@
  * Handles various color formats: hex, RGB, named colors
  */
 
+import {
+  parseSvg,
+  serializeSvg,
+  getRootSvg,
+  walkElements,
+  findAttribute,
+  setAttribute,
+  replaceRange,
+  prependChildMarkup,
+  appendChildMarkup,
+} from './svgDocument';
+import {
+  PAINT_PROPERTIES,
+  SHAPE_ELEMENTS,
+  parseDeclarations,
+  collectStylesheets,
+  computePaintStyles,
+  matchesSelector,
+  mapColorTokens,
+} from './svgStyles';
+import { parseColor, detectColorFormat, withAlpha, formatHex, rgbToLab, labToRgb } from './colorParser';
+import { hashString, collectIds, createUniqueId, prefixIds } from './svgIds';
+import { createDarkPalette, createDarkBrand } from './darkMode';
+import { resolveScaleReference } from './colorScale';
+import { DEFAULT_ROLE_MAP, DEFAULT_PAINT_GRADIENT, CORE_ROLES, getBrandColors } from '../constants/brands';
+
+// Paint modes, in the order the icon card cycles through them
+export const COLOR_MODES = ['primary', 'secondary', 'gradient', 'tonal', 'duo-primary', 'duo-secondary'];
+
 // Colors to preserve (should not be changed)
 const PRESERVED_COLORS = [
   'white',
@@ -14,61 +43,8 @@ const PRESERVED_COLORS = [
   'rgb(255,255,255)',
 ];
 
-// Map of colors to their roles (black-ish → primary, gray → secondary, light gray → accent)
-const COLOR_MAPPINGS = {
-  // Black and dark colors → Primary
-  primary: [
-    '#000',
-    '#000000',
-    'black',
-    '#333',
-    '#333333',
-    '#111',
-    '#111111',
-    '#222',
-    '#222222',
-    'rgb(0, 0, 0)',
-    'rgb(0,0,0)',
-    'rgb(51, 51, 51)',
-    'rgb(51,51,51)',
-  ],
-  // Gray colors → Secondary
-  secondary: [
-    '#666',
-    '#666666',
-    '#808080',
-    'gray',
-    'grey',
-    '#777',
-    '#777777',
-    '#888',
-    '#888888',
-    '#999',
-    '#999999',
-    'rgb(128, 128, 128)',
-    'rgb(128,128,128)',
-    'rgb(102, 102, 102)',
-    'rgb(102,102,102)',
-  ],
-  // Light gray colors → Accent
-  accent: [
-    '#ccc',
-    '#cccccc',
-    '#ddd',
-    '#dddddd',
-    '#eee',
-    '#eeeeee',
-    '#aaa',
-    '#aaaaaa',
-    '#bbb',
-    '#bbbbbb',
-    'lightgray',
-    'lightgrey',
-    'silver',
-    'rgb(204, 204, 204)',
-    'rgb(204,204,204)',
-  ],
-};
+// Keywords that are never rebranded, even when whites are not preserved
+const NON_PAINT_KEYWORDS = ['none', 'transparent'];
 
 /**
  * Normalize a color string for comparison
@@ -80,124 +56,391 @@ const normalizeColor = (color) => {
   return color.toLowerCase().trim().replace(/\s+/g, '');
 };
 
+/**
+ * Check whether two parsed colors have the same RGB channels (alpha ignored)
+ * @param {object|null} a - Parsed color
+ * @param {object|null} b - Parsed color
+ * @returns {boolean} True if the channels match
+ */
+const sameRgb = (a, b) => {
+  if (!a || !b) return false;
+  return ['r', 'g', 'b'].every((channel) => Math.round(a[channel]) === Math.round(b[channel]));
+};
+
+// Parsed form of the list above, so any notation (#FFF, hsl(0 0% 100%), rgba(...)) matches.
+// 'transparent' is handled by its alpha, not its (black) channels.
+const PARSED_PRESERVED = PRESERVED_COLORS.map(parseColor).filter((c) => c && c.alpha > 0);
+
+/**
+ * Merge brand-level and icon-level preserve settings
+ * Colors and element IDs are combined; the icon's `whites` flag wins over the brand's.
+ * @param {object} brandPreserve - Brand preserve settings ({ colors, elementIds, whites })
+ * @param {object} iconPreserve - Icon preserve settings, same shape
+ * @returns {{colors: string[], elementIds: string[], whites: boolean}} Merged settings
+ */
+export const resolvePreserve = (brandPreserve = {}, iconPreserve = {}) => ({
+  colors: [...new Set([...(brandPreserve?.colors || []), ...(iconPreserve?.colors || [])])],
+  elementIds: [...new Set([...(brandPreserve?.elementIds || []), ...(iconPreserve?.elementIds || [])])],
+  whites: iconPreserve?.whites ?? brandPreserve?.whites ?? true,
+});
+
 /**
  * Check if a color should be preserved
  * @param {string} color - The color to check
+ * @param {object} preserve - Resolved preserve settings (see resolvePreserve)
  * @returns {boolean} True if color should be preserved
  */
-const shouldPreserve = (color) => {
+const shouldPreserve = (color, preserve = resolvePreserve()) => {
   const normalized = normalizeColor(color);
-  return PRESERVED_COLORS.some((p) => normalizeColor(p) === normalized);
+  if (NON_PAINT_KEYWORDS.includes(normalized)) {
+    return true;
+  }
+  if (preserve.whites && PRESERVED_COLORS.some((p) => normalizeColor(p) === normalized)) {
+    return true;
+  }
+
+  const rgb = parseColor(color);
+  if (!rgb) return false;
+
+  // Fully transparent paint is never rebranded
+  if (rgb.alpha === 0) return true;
+
+  // Another spelling of a preserved white, or a user-protected color
+  if (preserve.whites && PARSED_PRESERVED.some((p) => sameRgb(p, rgb))) return true;
+  return preserve.colors.some((p) => sameRgb(parseColor(p), rgb));
 };
 
 /**
- * Get the role (primary/secondary/accent) for a given color
- * @param {string} color - The color to categorize
- * @returns {string|null} The role or null if not mapped
+ * Check if a color is white in any notation (the colors `whites` preserves)
+ * @param {string} color - The color to check
+ * @returns {boolean} True for visible white
  */
-const getColorRole = (color) => {
-  const normalized = normalizeColor(color);
+const isWhite = (color) => {
+  const rgb = parseColor(color);
+  return Boolean(rgb && rgb.alpha > 0 && PARSED_PRESERVED.some((p) => sameRgb(p, rgb)));
+};
 
-  for (const [role, colors] of Object.entries(COLOR_MAPPINGS)) {
-    if (colors.some((c) => normalizeColor(c) === normalized)) {
-      return role;
-    }
-  }
-  return null;
+/**
+ * Build the lightness bands that assign source grays to palette colors
+ * Core roles fall back to the role map thresholds; other colors need their own maxLightness.
+ * @param {Array} colors - Palette entries (see getBrandColors)
+ * @param {object} thresholds - Role map thresholds
+ * @returns {Array<{role: string, maxLightness: number}>} Bands, darkest first
+ */
+const buildRoleBands = (colors, thresholds) => {
+  const entries = colors.length ? colors : CORE_ROLES.map((name) => ({ name }));
+  return entries
+    .map(({ name, maxLightness }) => ({ role: name, maxLightness: maxLightness ?? thresholds[`${name}MaxLightness`] }))
+    .filter(({ maxLightness }) => typeof maxLightness === 'number')
+    .sort((a, b) => a.maxLightness - b.maxLightness);
 };
 
 /**
- * Parse a color string to RGB values
- * @param {string} color - The color to parse (hex or rgb format)
- * @returns {{r: number, g: number, b: number}|null} RGB values or null if unparseable
+ * Merge a brand's role map over the defaults
+ * @param {object} brand - Brand object, optionally with a roleMap and colors
+ * @returns {object} Complete role map, with the lightness bands of the brand's palette
  */
-const parseColorToRgb = (color) => {
-  if (!color) return null;
-  const normalized = normalizeColor(color);
-  
-  // Handle hex colors
-  if (normalized.startsWith('#')) {
-    let hex = normalized.slice(1);
-    if (hex.length === 3) {
-      hex = hex.split('').map(c => c + c).join('');
-    }
-    if (hex.length === 6) {
-      return {
-        r: parseInt(hex.slice(0, 2), 16),
-        g: parseInt(hex.slice(2, 4), 16),
-        b: parseInt(hex.slice(4, 6), 16),
-      };
-    }
-  }
-  
-  // Handle rgb() colors
-  const rgbMatch = normalized.match(/rgb\((\d+),(\d+),(\d+)\)/);
-  if (rgbMatch) {
-    return {
-      r: parseInt(rgbMatch[1], 10),
-      g: parseInt(rgbMatch[2], 10),
-      b: parseInt(rgbMatch[3], 10),
-    };
+export const resolveRoleMap = (brand) => {
+  const thresholds = { ...DEFAULT_ROLE_MAP, ...(brand?.roleMap || {}) };
+  return { ...thresholds, bands: buildRoleBands(brand ? getBrandColors(brand) : [], thresholds) };
+};
+
+/**
+ * Classify a color by perceptual lightness (CIELAB L*) and chroma (C*ab)
+ * Achromatic colors get the role of the first lightness band they fall in:
+ * by default dark → primary, mid → secondary, light → accent, near-white → none.
+ * @param {string} color - The color to classify
+ * @param {object} roleMap - Thresholds (see DEFAULT_ROLE_MAP), optionally with bands
+ * @returns {{role: string|null, lightness: number, chroma: number, chromatic: boolean}|null}
+ *   Classification, or null if the color cannot be parsed
+ */
+export const classifyColor = (color, roleMap = DEFAULT_ROLE_MAP) => {
+  const rgb = parseColor(color);
+  if (!rgb) return null;
+
+  const { l, a, b } = rgbToLab(rgb);
+  const chroma = Math.sqrt(a * a + b * b);
+  const chromatic = chroma > roleMap.chromaThreshold;
+
+  let role = null;
+  if (!chromatic) {
+    const bands = roleMap.bands || buildRoleBands([], roleMap);
+    role = bands.find(({ maxLightness }) => l <= maxLightness)?.role ?? null;
   }
-  
-  return null;
+
+  return { role, lightness: l, chroma, chromatic };
 };
 
 /**
  * Check if a color is chromatic (has color, not grayscale)
  * @param {string} color - The color to check
+ * @param {object} roleMap - Chroma threshold for the brand
  * @returns {boolean} True if color is chromatic
  */
-const isChromatic = (color) => {
-  const rgb = parseColorToRgb(color);
-  if (!rgb) return false;
-  
-  // A color is chromatic if the RGB values differ significantly
-  const maxDiff = Math.max(
-    Math.abs(rgb.r - rgb.g),
-    Math.abs(rgb.g - rgb.b),
-    Math.abs(rgb.r - rgb.b)
-  );
-  
-  // If any channel differs by more than 10, it's not grayscale
-  return maxDiff > 10;
+const isChromatic = (color, roleMap) => {
+  return classifyColor(color, roleMap)?.chromatic ?? false;
 };
 
 /**
  * Check if a color is dark (for distinguishing outlines from fills)
  * @param {string} color - The color to check
+ * @param {object} roleMap - Lightness thresholds for the brand
  * @returns {boolean} True if color is dark
  */
-const isDarkColor = (color) => {
-  const rgb = parseColorToRgb(color);
-  if (!rgb) return false;
-  
-  // Calculate luminance (simplified)
-  const luminance = (rgb.r * 0.299 + rgb.g * 0.587 + rgb.b * 0.114);
-  return luminance < 80; // Dark threshold
+const isDarkColor = (color, roleMap) => {
+  const classification = classifyColor(color, roleMap);
+  return !!classification && classification.lightness <= roleMap.primaryMaxLightness;
 };
 
 // Dark gray color for duotone outline
 const DUOTONE_OUTLINE = '#2D2D2D';
 
+// Tonal ramp: number of steps and the lightness (L*) limits it may reach
+const TONAL_STEPS = 7;
+const TONAL_LIGHTEST = 95;
+const TONAL_DARKEST = 25;
+// Primaries lighter than this ramp downward into shades instead of up into tints
+const TONAL_LIGHT_PRIMARY = 60;
+
 /**
- * Replace a color with the appropriate brand color
- * @param {string} color - The original color
+ * Generate a lightness ramp that holds the hue of a brand color
+ * Dark and mid colors ramp up toward light tints; light colors (e.g. yellows)
+ * ramp down toward shades. Chroma eases off away from the base color so tints
+ * stay in gamut.
+ * @param {string} baseColor - The brand color to build the ramp from
+ * @param {number} steps - Number of ramp steps
+ * @returns {{steps: string[], anchorIndex: number}} Hex colors from darkest to lightest,
+ *   and the index holding the exact base color
+ */
+export const generateTonalRamp = (baseColor, steps = TONAL_STEPS) => {
+  const base = parseColor(baseColor);
+  if (!base) return { steps: [baseColor], anchorIndex: 0 };
+
+  const lab = rgbToLab(base);
+  const ascending = lab.l <= TONAL_LIGHT_PRIMARY;
+  const from = ascending ? lab.l : Math.min(TONAL_DARKEST, lab.l);
+  const to = ascending ? Math.max(TONAL_LIGHTEST, lab.l) : lab.l;
+  const span = Math.abs(to - from) || 1;
+
+  const ramp = Array.from({ length: steps }, (_, i) => {
+    const l = from + ((to - from) * i) / Math.max(1, steps - 1);
+    const chromaScale = 1 - 0.7 * (Math.abs(l - lab.l) / span);
+    return formatHex(labToRgb({ l, a: lab.a * chromaScale, b: lab.b * chromaScale }));
+  });
+
+  // Keep the brand color itself exact at its end of the ramp
+  const anchorIndex = ascending ? 0 : steps - 1;
+  ramp[anchorIndex] = baseColor;
+
+  return { steps: ramp, anchorIndex };
+};
+
+/**
+ * Build a brand's palette: every named color, keyed by name
+ * @param {object} brand - Brand object
+ * @returns {object} Name → color
+ */
+export const createPalette = (brand) => {
+  return Object.fromEntries(getBrandColors(brand).map(({ name, value }) => [name, value]));
+};
+
+/**
+ * Build the runtime-themable stand-ins for a brand's palette
+ * Primary follows the surrounding text color; every other color reads a custom
+ * property (--icon-<name>), with the brand hex value as fallback.
+ * @param {object} brand - Brand object
+ * @returns {object} Name → theme value
+ */
+export const createThemePalette = (brand) => {
+  return Object.fromEntries(getBrandColors(brand).map(({ name, value }) => [
+    name,
+    name === 'primary' ? 'currentColor' : `var(--icon-${name}, ${value})`,
+  ]));
+};
+
+/**
+ * Build the context shared by every color replacement in one recolor pass
  * @param {object} brand - Brand object with primary, secondary, accent
- * @param {string} mode - Color mode: 'primary', 'secondary', 'gradient', 'duo-primary', 'duo-secondary'
- * @param {string} gradientId - Optional gradient ID for gradient mode
- * @returns {string} The replaced color or original if preserved
+ * @param {string} mode - Color mode
+ * @param {string|null} gradientId - Gradient ID for gradient mode
+ * @param {object} options - recolorSvg options (preserve, colorMap, themable, dark)
+ * @returns {object} Paint context; palette holds the values written for each role,
+ *   whiteReplacement the dark surface that preserved whites take in dark variants
  */
-const replaceColor = (color, brand, mode = 'primary', gradientId = null) => {
-  if (!color || shouldPreserve(color)) {
-    return color;
+const createPaintContext = (brand, mode, gradientId = null, options = {}) => ({
+  brand,
+  palette: applyRoleTargets(options.themable ? createThemePalette(brand) : createPalette(brand), brand.roleTargets),
+  mode,
+  gradientId,
+  roleMap: resolveRoleMap(brand),
+  preserve: resolvePreserve(brand.preserve, options.preserve),
+  colorMap: options.colorMap || {},
+  whiteReplacement: options.dark ? createDarkPalette(brand).background : null,
+  tonal: null,
+});
+
+/**
+ * Apply a source alpha to a replacement value
+ * Theme values (currentColor, var()) can't carry alpha themselves, so they are
+ * mixed with transparent instead.
+ * @param {string} replacement - Replacement color or theme value
+ * @param {string} source - The original color
+ * @returns {string} Replacement with the source alpha
+ */
+const keepSourceAlpha = (replacement, source) => {
+  const alpha = parseColor(source)?.alpha ?? 1;
+  if (alpha >= 1) return replacement;
+  if (!parseColor(replacement)) {
+    return `color-mix(in srgb, ${replacement} ${Math.round(alpha * 1000) / 10}%, transparent)`;
   }
+  return withAlpha(replacement, alpha, detectColorFormat(source));
+};
 
-  const role = getColorRole(color);
+/**
+ * Key a color for an explicit color map: opaque uppercase hex, so every
+ * spelling of the same color (and any alpha) shares one entry
+ * @param {string} color - Any CSS color
+ * @returns {string|null} Hex key or null if not a color
+ */
+const colorMapKey = (color) => {
+  const rgb = parseColor(color);
+  return rgb ? formatHex({ ...rgb, alpha: 1 }) : null;
+};
+
+/**
+ * Check whether a name is one of a palette's colors
+ * @param {string} name - Candidate name
+ * @param {object} palette - Name → color
+ * @returns {boolean} True if the palette has that color
+ */
+const isPaletteName = (name, palette) => Object.prototype.hasOwnProperty.call(palette, name);
+
+/**
+ * Resolve a paint target chosen by the user
+ * @param {string} target - Palette color name ('primary', 'slate'...), a scale
+ *   step of one ('primary-100'), or a color
+ * @param {object} palette - Name → value (brand colors or theme values)
+ * @returns {string} The color to paint with
+ */
+const resolvePaintTarget = (target, palette) => {
+  if (isPaletteName(target, palette)) return palette[target];
+  return resolveScaleReference(target, palette) || target;
+};
+
+/**
+ * Apply a brand's role targets to its palette
+ * `roleTargets` sends a detected role to another role or to a step of a role's
+ * 50–900 tint/shade scale, e.g. { accent: 'primary-100' } paints light-gray
+ * fills with the primary at 20% over white. Unlisted roles keep their own color.
+ * @param {object} palette - Role values
+ * @param {object} roleTargets - Role → role, scale step or color
+ * @returns {object} Palette with the targets resolved
+ */
+const applyRoleTargets = (palette, roleTargets = {}) => {
+  const targeted = { ...palette };
+  Object.entries(roleTargets || {}).forEach(([role, target]) => {
+    if (isPaletteName(role, palette) && target) targeted[role] = resolvePaintTarget(target, palette);
+  });
+  return targeted;
+};
+
+/**
+ * Look up a source color in the icon's explicit color map
+ * @param {string} color - The original color
+ * @param {object} context - Paint context
+ * @returns {string|null} Palette name, scale step, 'keep', a hex color, or null if unmapped
+ */
+const lookupColorMap = (color, context) => {
+  const key = colorMapKey(color);
+  return key ? context.colorMap[key] || null : null;
+};
+
+/**
+ * Build the tonal ramp a brand paints with
+ * The ramp follows the primary after role targets, so retargeting the primary
+ * changes tonal icons like every other mode (always hex, even for themable output).
+ * @param {object} brand - Brand object
+ * @returns {{steps: string[], anchorIndex: number}} Ramp (see generateTonalRamp)
+ */
+export const getBrandTonalRamp = (brand) => {
+  return generateTonalRamp(applyRoleTargets(createPalette(brand), brand.roleTargets).primary);
+};
+
+/**
+ * Measure the gray range of an icon for tonal mode
+ * The darkest and lightest mapped grays become the ends of the brand ramp.
+ * @param {Array} paintValues - Entries from collectPaintValues
+ * @param {object} context - Paint context
+ * @returns {{ramp: object, minLightness: number, maxLightness: number}} Tonal mapping
+ */
+const buildTonalMapping = (paintValues, context) => {
+  const lightnesses = [];
+  paintValues.forEach(({ value }) => {
+    mapColorTokens(value, (token) => {
+      if (lookupColorMap(token, context) || shouldPreserve(token, context.preserve)) return token;
+      const classification = classifyColor(token, context.roleMap);
+      if (classification && getRole(classification, context)) lightnesses.push(classification.lightness);
+      return token;
+    });
+  });
+
+  return {
+    ramp: getBrandTonalRamp(context.brand),
+    minLightness: lightnesses.length ? Math.min(...lightnesses) : 0,
+    maxLightness: lightnesses.length ? Math.max(...lightnesses) : 0,
+  };
+};
+
+/**
+ * Pick the ramp step for a gray at the same relative lightness within the icon
+ * @param {number} lightness - Source L*
+ * @param {object} tonal - Tonal mapping from buildTonalMapping
+ * @returns {string} Ramp color
+ */
+const pickTonalStep = (lightness, tonal) => {
+  const { ramp, minLightness, maxLightness } = tonal;
+  if (maxLightness - minLightness < 1) {
+    return ramp.steps[ramp.anchorIndex];
+  }
+  const t = Math.min(1, Math.max(0, (lightness - minLightness) / (maxLightness - minLightness)));
+  return ramp.steps[Math.round(t * (ramp.steps.length - 1))];
+};
+
+/**
+ * Get the role of a classified color within a paint context
+ * Near-white colors that are not preserved take the accent role.
+ * @param {object} classification - Result of classifyColor
+ * @param {object} context - Paint context
+ * @returns {string|null} The role or null if not mapped
+ */
+const getRole = (classification, context) => {
+  if (classification.role) return classification.role;
+  if (!classification.chromatic && !context.preserve.whites) return 'accent';
+  return null;
+};
+
+/**
+ * Pick the brand color that replaces a (non-preserved) source color
+ * @param {string} color - The original color
+ * @param {object} context - Paint context (palette, mode, gradientId, roleMap, tonal)
+ * @returns {string} The brand color, or the original color if unmapped
+ */
+const pickBrandColor = (color, context) => {
+  const { palette, mode, gradientId, roleMap } = context;
+  const classification = classifyColor(color, roleMap);
+  const role = classification ? getRole(classification, context) : null;
+
+  // Tonal mode: grays follow a lightness ramp of the primary
+  if (mode === 'tonal' && context.tonal) {
+    if (role) {
+      return pickTonalStep(classification.lightness, context.tonal);
+    }
+    return isChromatic(color, roleMap) ? palette.primary : color;
+  }
   
   // Duotone modes: dark outline + colored accent
   if (mode === 'duo-primary' || mode === 'duo-secondary') {
-    const accentColor = mode === 'duo-primary' ? brand.primary : brand.secondary;
+    const accentColor = mode === 'duo-primary' ? palette.primary : palette.secondary;
     
     // Check if it's in our predefined roles
     if (role) {
@@ -205,20 +448,18 @@ const replaceColor = (color, brand, mode = 'primary', gradientId = null) => {
       if (role === 'primary') {
         return DUOTONE_OUTLINE;
       }
-      // Secondary (gray) and accent (light gray) → brand accent color
-      if (role === 'secondary' || role === 'accent') {
-        return accentColor;
-      }
+      // Every lighter band (gray, light gray...) → brand accent color
+      return accentColor;
     }
     
     // For colors NOT in our mapping, check if chromatic or dark
     // Chromatic colors (any hue) → accent color
-    if (isChromatic(color)) {
+    if (isChromatic(color, roleMap)) {
       return accentColor;
     }
     
     // Dark non-chromatic colors → dark outline
-    if (isDarkColor(color)) {
+    if (isDarkColor(color, roleMap)) {
       return DUOTONE_OUTLINE;
     }
     
@@ -233,185 +474,611 @@ const replaceColor = (color, brand, mode = 'primary', gradientId = null) => {
       if (mode === 'gradient' && gradientId) {
         return `url(#${gradientId})`;
       } else if (mode === 'secondary') {
-        return brand.secondary;
+        return palette.secondary;
       } else {
-        return brand.primary;
+        return palette.primary;
       }
     }
-    // For secondary and accent, always use their respective brand colors
-    if (role === 'secondary' && brand.secondary) {
-      return brand.secondary;
-    }
-    if (role === 'accent' && brand.accent) {
-      return brand.accent;
+    // Every other band always uses its own palette color
+    if (palette[role]) {
+      return palette[role];
     }
   }
   
   // For standard modes, also replace chromatic colors as accent
-  if (isChromatic(color)) {
+  if (isChromatic(color, roleMap)) {
     if (mode === 'secondary') {
-      return brand.secondary;
+      return palette.secondary;
     }
-    return brand.primary;
+    return palette.primary;
   }
 
   return color;
 };
 
 /**
- * Process inline style attribute and replace colors
- * @param {string} style - The style attribute value
- * @param {object} brand - Brand colors
- * @param {string} mode - Color mode: 'primary', 'secondary', or 'gradient'
- * @param {string} gradientId - Optional gradient ID for gradient mode
- * @returns {string} Updated style string
+ * Replace a color with the appropriate brand color
+ * Colors in the icon's explicit color map take their mapped role or hex.
+ * The source alpha is kept, so 40%-opacity black becomes 40%-opacity primary.
+ * @param {string} color - The original color
+ * @param {object} context - Paint context from createPaintContext
+ * @returns {string} The replaced color or original if preserved
+ */
+const replaceColor = (color, context) => {
+  if (!color || NON_PAINT_KEYWORDS.includes(normalizeColor(color))) {
+    return color;
+  }
+
+  // An explicit per-icon mapping wins over the preserve lists and the role map
+  const mapped = lookupColorMap(color, context);
+
+  // Dark variants turn preserved whites into the dark surface, unless the user protected white itself
+  if (!mapped && context.whiteReplacement && context.preserve.whites && isWhite(color)
+    && !context.preserve.colors.some((p) => sameRgb(parseColor(p), parseColor(color)))) {
+    return keepSourceAlpha(context.whiteReplacement, color);
+  }
+
+  if (mapped === 'keep' || (!mapped && shouldPreserve(color, context.preserve))) {
+    return color;
+  }
+
+  const replacement = mapped ? resolvePaintTarget(mapped, context.palette) : pickBrandColor(color, context);
+  if (replacement === color || replacement.startsWith('url(')) {
+    return replacement;
+  }
+
+  return keepSourceAlpha(replacement, color);
+};
+
+/**
+ * Replace the color tokens of a paint value found in a specific property
+ * Gradients are paint servers, so they only apply to fill and stroke. A
+ * url() can't carry alpha, so a translucent color replaced by the gradient
+ * reports its alpha as opacity, to be written as fill-opacity/stroke-opacity.
+ * @param {string} property - The property the value appears in (fill, stroke, stop-color...)
+ * @param {string} value - The original paint value
+ * @param {object} context - Paint context
+ * @returns {{value: string, opacity: number}} The replaced value and the source alpha it dropped
+ */
+const replacePaintValue = (property, value, context) => {
+  const acceptsPaintServer = property === 'fill' || property === 'stroke';
+  const tokenContext = acceptsPaintServer ? context : { ...context, gradientId: null };
+  let opacity = 1;
+  const replaced = mapColorTokens(value, (token) => {
+    const replacement = replaceColor(token, tokenContext);
+    if (replacement !== token && replacement.startsWith('url(')) {
+      opacity = Math.min(opacity, parseColor(token)?.alpha ?? 1);
+    }
+    return replacement;
+  });
+  return { value: replaced, opacity };
+};
+
+/**
+ * Check whether an element sits inside a mask or clip path (not visibly painted)
+ * @param {object} element - Document element
+ * @returns {boolean} True if inside <mask> or <clipPath>
+ */
+const isInsideMaskOrClip = (element) => {
+  for (let node = element.parent; node && node.type === 'element'; node = node.parent) {
+    if (node.localName === 'mask' || node.localName === 'clipPath') return true;
+  }
+  return false;
+};
+
+/**
+ * Find the elements protected by ID, including everything inside them
+ * @param {object} doc - Parsed SVG document
+ * @param {string[]} elementIds - IDs of protected elements
+ * @returns {Set} Protected elements
+ */
+const findProtectedElements = (doc, elementIds = []) => {
+  const protectedElements = new Set();
+  if (elementIds.length === 0) return protectedElements;
+
+  walkElements(doc.root, (element) => {
+    const id = findAttribute(element, 'id')?.value;
+    if (protectedElements.has(element.parent) || (id && elementIds.includes(id))) {
+      protectedElements.add(element);
+    }
+  });
+  return protectedElements;
+};
+
+/**
+ * Collect every paint value declared in a parsed SVG
+ * Covers presentation attributes, style="" declarations and <style> rules, plus
+ * "implicit" entries for shapes that render in the initial black because no fill
+ * (or, with currentColor, no color) is declared anywhere up their ancestry.
+ * Declarations on protected elements, and rules that only reach protected
+ * elements, are left out.
+ * @param {object} doc - Parsed SVG document
+ * @param {Set} protectedElements - Elements that must not be repainted
+ * @returns {Array} Entries: { kind, property, value, element, declaration, declarations }
+ *   kind is 'attribute', 'inline', 'rule' or 'implicit'; declarations lists the
+ *   declaration's block (inline and rule entries)
+ */
+const collectPaintValues = (doc, protectedElements = new Set()) => {
+  const entries = [];
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return entries;
+
+  // Presentation attributes and inline styles
+  walkElements(doc.root, (element) => {
+    if (isInsideMaskOrClip(element) || protectedElements.has(element)) return;
+
+    element.attributes.forEach((attr) => {
+      if (attr.name === 'style' || !PAINT_PROPERTIES.includes(attr.name) || attr.valueStart === -1) return;
+      entries.push({ kind: 'attribute', property: attr.name, value: attr.value, element });
+    });
+
+    const styleAttr = findAttribute(element, 'style');
+    if (styleAttr && styleAttr.valueStart !== -1) {
+      const declarations = parseDeclarations(styleAttr.value);
+      declarations.forEach((declaration) => {
+        if (!PAINT_PROPERTIES.includes(declaration.property)) return;
+        entries.push({ kind: 'inline', property: declaration.property, value: declaration.value, element, declaration, declarations });
+      });
+    }
+  });
+
+  // <style> blocks (CSS within SVG): only paint declarations, never selectors or comments
+  collectStylesheets(doc).forEach((rule) => {
+    if (protectedElements.size > 0) {
+      const matched = [];
+      walkElements(doc.root, (element) => {
+        if (rule.selectors.some((selector) => matchesSelector(element, selector))) matched.push(element);
+      });
+      if (matched.length > 0 && matched.every((element) => protectedElements.has(element))) return;
+    }
+
+    rule.declarations.forEach((declaration) => {
+      if (!PAINT_PROPERTIES.includes(declaration.property)) return;
+      entries.push({
+        kind: 'rule', property: declaration.property, value: declaration.value, element: null, declaration, declarations: rule.declarations,
+      });
+    });
+  });
+
+  // Shapes with no declared fill (or currentColor with no declared color) render in the initial black
+  const paintedShapes = [...computePaintStyles(doc)].filter(([element]) => {
+    return SHAPE_ELEMENTS.includes(element.localName) && !isInsideMaskOrClip(element) && !protectedElements.has(element);
+  });
+  if (paintedShapes.some(([, style]) => style.fill.source === 'initial')) {
+    entries.push({ kind: 'implicit', property: 'fill', value: 'black', element: rootSvg });
+  }
+  const usesInitialColor = paintedShapes.some(([, style]) => {
+    return ['fill', 'stroke'].some((property) => style[property].currentColor && style[property].colorSource.source === 'initial');
+  });
+  if (usesInitialColor) {
+    entries.push({ kind: 'implicit', property: 'color', value: 'black', element: rootSvg });
+  }
+
+  return entries;
+};
+
+/**
+ * Read an opacity value ("0.4" or "40%")
+ * @param {string} value - Opacity value
+ * @returns {number} Opacity between 0 and 1 (1 if unreadable)
+ */
+const parseOpacity = (value) => {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return 1;
+  return Math.min(1, Math.max(0, value.trim().endsWith('%') ? number / 100 : number));
+};
+
+/**
+ * Write new paint values back into the document
+ * Implicit entries are declared once on the root <svg> so the shapes inherit them.
+ * An opacity below 1 is multiplied into the entry's fill-opacity/stroke-opacity
+ * (the attribute, or the declaration in the same block), added if missing.
+ * @param {object} doc - Parsed SVG document
+ * @param {Array} entries - Entries from collectPaintValues
+ * @param {Function} mapEntry - Called with each entry, returns its new value
+ *   or { value, opacity }
+ */
+const applyPaintValues = (doc, entries, mapEntry) => {
+  const inlineEdits = new Map();
+
+  entries.forEach((entry) => {
+    const mapped = mapEntry(entry);
+    const { value: next, opacity = 1 } = typeof mapped === 'string' ? { value: mapped } : mapped;
+    if (next === entry.value) return;
+
+    const opacityProperty = `${entry.property}-opacity`;
+    const existing = opacity < 1 && entry.declarations
+      ? entry.declarations.filter(({ property }) => property === opacityProperty).pop()
+      : null;
+    const combined = String(round(parseOpacity(existing?.value ?? '1') * opacity));
+    // Without a declaration to update, the opacity follows the paint in its block
+    const declared = opacity < 1 && !existing
+      ? `${next}${entry.declaration?.important ? ' !important' : ''};${opacityProperty}:${combined}`
+      : next;
+
+    if (entry.kind === 'rule') {
+      replaceRange(doc, entry.declaration.valueStart, entry.declaration.valueEnd, declared);
+      if (existing) replaceRange(doc, existing.valueStart, existing.valueEnd, combined);
+    } else if (entry.kind === 'inline') {
+      if (!inlineEdits.has(entry.element)) inlineEdits.set(entry.element, []);
+      inlineEdits.get(entry.element).push({ declaration: entry.declaration, next: declared });
+      if (existing) inlineEdits.get(entry.element).push({ declaration: existing, next: combined });
+    } else {
+      setAttribute(doc, entry.element, entry.property, next);
+      if (opacity < 1) {
+        const current = findAttribute(entry.element, opacityProperty)?.value ?? '1';
+        setAttribute(doc, entry.element, opacityProperty, String(round(parseOpacity(current) * opacity)));
+      }
+    }
+  });
+
+  // Rebuild each changed style="" value, walking backwards so earlier offsets stay valid
+  inlineEdits.forEach((edits, element) => {
+    let style = findAttribute(element, 'style').value;
+    [...edits]
+      .sort((a, b) => b.declaration.valueStart - a.declaration.valueStart)
+      .forEach(({ declaration, next }) => {
+        style = style.slice(0, declaration.valueStart) + next + style.slice(declaration.valueEnd);
+      });
+    setAttribute(doc, element, 'style', style);
+  });
+};
+
+/**
+ * Run every paint color of an SVG through a mapping function
+ * Uses the same collection as recolorSvg (attributes, style="", <style> rules and
+ * the implicit initial black), without any brand logic.
+ * @param {string} svgString - The SVG content
+ * @param {Function} mapper - Called with each color token, returns its replacement
+ * @returns {string} SVG with mapped colors
  */
-const processInlineStyle = (style, brand, mode = 'primary', gradientId = null) => {
-  if (!style) return style;
+export const mapSvgColors = (svgString, mapper) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for color mapping:', error);
+    return svgString;
+  }
 
-  // Match color properties: fill, stroke, stop-color, color, background, background-color
-  const colorProps = ['fill', 'stroke', 'stop-color', 'color', 'background', 'background-color'];
+  const paintValues = collectPaintValues(doc);
+  applyPaintValues(doc, paintValues, (entry) => mapColorTokens(entry.value, (token) => {
+    if (NON_PAINT_KEYWORDS.includes(normalizeColor(token)) || !parseColor(token)) return token;
+    return mapper(token);
+  }));
+  return serializeSvg(doc);
+};
+
+/**
+ * List the distinct colors used by an SVG, most used first
+ * Every spelling of a color is counted under one opaque hex key, the same key
+ * the explicit color map uses. Shapes left in the initial black count as #000000.
+ * @param {string} svgString - The SVG content
+ * @returns {Array<{color: string, count: number, properties: string[]}>} Colors with usage
+ */
+export const extractColors = (svgString) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for color extraction:', error);
+    return [];
+  }
 
-  let updatedStyle = style;
+  const colors = new Map();
+  collectPaintValues(doc).forEach(({ property, value }) => {
+    mapColorTokens(value, (token) => {
+      if (NON_PAINT_KEYWORDS.includes(normalizeColor(token))) return token;
+      const key = colorMapKey(token);
+      if (!key) return token;
 
-  colorProps.forEach((prop) => {
-    // Match property: value patterns
-    const regex = new RegExp(`(${prop})\\s*:\\s*([^;]+)`, 'gi');
-    updatedStyle = updatedStyle.replace(regex, (match, property, value) => {
-      const newColor = replaceColor(value.trim(), brand, mode, gradientId);
-      return `${property}:${newColor}`;
+      const entry = colors.get(key) || { color: key, count: 0, properties: [] };
+      entry.count += 1;
+      if (!entry.properties.includes(property)) entry.properties.push(property);
+      colors.set(key, entry);
+      return token;
     });
   });
 
-  return updatedStyle;
+  return [...colors.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Append declarations to an element's inline style
+ * @param {object} doc - Parsed SVG document
+ * @param {object} element - The element
+ * @param {string[]} declarations - Declarations such as "fill:#000"
+ */
+const appendInlineStyle = (doc, element, declarations) => {
+  const style = (findAttribute(element, 'style')?.value || '').trim().replace(/;$/, '');
+  setAttribute(doc, element, 'style', style ? `${style};${declarations.join(';')}` : declarations.join(';'));
+};
+
+/**
+ * Keep protected elements looking exactly as they did before recoloring
+ * Inherited values and shared <style> rules can still reach a protected element
+ * after its own declarations are skipped; any paint property whose computed value
+ * changed is pinned back with an inline declaration.
+ * @param {object} originalDoc - Parsed source document
+ * @param {Map} originalStyles - computePaintStyles result for the source, taken before edits
+ * @param {string} recolored - Recolored SVG string
+ * @param {Set} protectedElements - Protected elements of the source document
+ * @returns {string} SVG string with pins applied
+ */
+const pinProtectedPaint = (originalDoc, originalStyles, recolored, protectedElements) => {
+  if (protectedElements.size === 0) return recolored;
+
+  const doc = parseSvg(recolored);
+  const recoloredStyles = computePaintStyles(doc);
+
+  // Only attribute values changed, so elements line up by document order
+  const originalElements = [];
+  const recoloredElements = [];
+  walkElements(originalDoc.root, (element) => originalElements.push(element));
+  walkElements(doc.root, (element) => recoloredElements.push(element));
+
+  originalElements.forEach((element, index) => {
+    if (!protectedElements.has(element)) return;
+    const target = recoloredElements[index];
+    const before = originalStyles.get(element);
+    const after = recoloredStyles.get(target);
+    if (!before || !after) return;
+
+    const pins = Object.keys(before)
+      .filter((property) => normalizeColor(before[property].value) !== normalizeColor(after[property].value))
+      .map((property) => `${property}:${before[property].value}`);
+    if (pins.length === 0) return;
+
+    appendInlineStyle(doc, target, pins);
+  });
+
+  return serializeSvg(doc);
+};
+
+/**
+ * Fill individually clicked elements with their chosen role or color
+ * Indices count elements in document order of the original SVG. A group passes
+ * its color to every shape inside it; shapes that only have a stroke get their
+ * stroke painted instead. Later (deeper) overrides win over their group.
+ * @param {string} svgString - Recolored SVG string (before any gradient defs are added)
+ * @param {object} elementPaint - Map of element index → role or color
+ * @param {object} palette - Role values (brand colors or theme values)
+ * @returns {string} SVG string with element overrides applied
+ */
+const applyElementPaint = (svgString, elementPaint, palette) => {
+  const indices = Object.keys(elementPaint || {}).map(Number).sort((a, b) => a - b);
+  if (indices.length === 0) return svgString;
+
+  const doc = parseSvg(svgString);
+  const styles = computePaintStyles(doc);
+  const elements = [];
+  walkElements(doc.root, (element) => elements.push(element));
+
+  const colors = new Map();
+  indices.forEach((index) => {
+    const element = elements[index];
+    if (!element) return;
+    const color = resolvePaintTarget(elementPaint[index], palette);
+    colors.set(element, color);
+    walkElements(element, (child) => colors.set(child, color));
+  });
+
+  colors.forEach((color, element) => {
+    if (!SHAPE_ELEMENTS.includes(element.localName)) return;
+    const style = styles.get(element);
+    const strokeOnly = style && style.fill.value === 'none' && style.stroke.value !== 'none';
+    appendInlineStyle(doc, element, [`${strokeOnly ? 'stroke' : 'fill'}:${color}`]);
+  });
+
+  return serializeSvg(doc);
+};
+
+/**
+ * Mark every element with its document-order index for the region editor
+ * The result is still the uploaded markup; run it through sanitizeInlineSvg
+ * before putting it into the page.
+ * @param {string} svgString - SVG string with the original element order
+ * @returns {string} Annotated SVG string
+ */
+const annotateElements = (svgString) => {
+  const doc = parseSvg(svgString);
+  let index = 0;
+  walkElements(doc.root, (element) => {
+    setAttribute(doc, element, 'data-paint-index', String(index));
+    index += 1;
+  });
+  return serializeSvg(doc);
+};
+
+/**
+ * Resolve the gradient for gradient mode: icon settings over the brand's own
+ * paintGradient over the default, with stop names turned into colors
+ * @param {object} brand - Brand object (optionally with paintGradient)
+ * @param {object} iconGradient - Icon-level overrides ({ type, angle, stops })
+ * @param {object} palette - Values for named stops (default: the brand's colors)
+ * @returns {{type: string, angle: number, stops: Array<{offset: number, color: string}>}} Gradient spec
+ */
+export const resolveGradient = (brand, iconGradient = {}, palette = brand ? createPalette(brand) : {}) => {
+  const spec = { ...DEFAULT_PAINT_GRADIENT, ...(brand?.paintGradient || {}), ...(iconGradient || {}) };
+  const stops = [...spec.stops]
+    .map((stop) => ({ offset: Math.min(100, Math.max(0, stop.offset)), color: resolvePaintTarget(stop.color, palette) }))
+    .sort((a, b) => a.offset - b.offset);
+  return { type: spec.type === 'radial' ? 'radial' : 'linear', angle: spec.angle ?? 0, stops };
+};
+
+/**
+ * Format a resolved gradient spec as a CSS background (for UI swatches)
+ * @param {object} spec - Resolved gradient from resolveGradient
+ * @returns {string} CSS gradient
+ */
+export const gradientToCss = (spec) => {
+  const stops = spec.stops.map(({ offset, color }) => `${color} ${offset}%`).join(', ');
+  return spec.type === 'radial'
+    ? `radial-gradient(circle, ${stops})`
+    : `linear-gradient(${spec.angle}deg, ${stops})`;
+};
+
+/**
+ * Get the drawing area of an SVG from its viewBox (or width/height)
+ * @param {object} rootSvg - Root svg element
+ * @returns {{x: number, y: number, width: number, height: number}|null} Box or null if unknown
+ */
+export const getViewBox = (rootSvg) => {
+  const viewBox = (findAttribute(rootSvg, 'viewBox')?.value || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  }
+  const width = parseFloat(findAttribute(rootSvg, 'width')?.value);
+  const height = parseFloat(findAttribute(rootSvg, 'height')?.value);
+  if (width > 0 && height > 0) return { x: 0, y: 0, width, height };
+  return null;
+};
+
+// Trim coordinates so generated markup stays short
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Build the gradient element markup
+ * Coordinates are in user space across the whole viewBox (gradientUnits="userSpaceOnUse"),
+ * so every shape shares one continuous gradient that scales with the icon. Without a
+ * known viewBox the gradient falls back to each shape's bounding box.
+ * @param {string} gradientId - ID for the gradient
+ * @param {object} spec - Resolved gradient spec from resolveGradient
+ * @param {object|null} box - Drawing area from getViewBox
+ * @returns {string} <linearGradient> or <radialGradient> markup
+ */
+const buildGradientMarkup = (gradientId, spec, box) => {
+  const area = box || { x: 0, y: 0, width: 1, height: 1 };
+  const units = box ? 'userSpaceOnUse' : 'objectBoundingBox';
+  const cx = area.x + area.width / 2;
+  const cy = area.y + area.height / 2;
+
+  const stops = spec.stops.map(({ offset, color }) => {
+    const rgb = parseColor(color);
+    const opacity = rgb ? rgb.alpha : 1;
+    const stopColor = rgb && opacity < 1 ? formatHex({ ...rgb, alpha: 1 }) : color;
+    return `
+      <stop offset="${offset}%" style="stop-color:${stopColor};stop-opacity:${opacity}" />`;
+  }).join('');
+
+  if (spec.type === 'radial') {
+    // Like CSS farthest-corner: the last stop reaches the corners
+    const r = Math.sqrt(area.width ** 2 + area.height ** 2) / 2;
+    return `
+    <radialGradient id="${gradientId}" gradientUnits="${units}" cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}">${stops}
+    </radialGradient>`;
+  }
+
+  // CSS angle convention: 0deg points up, 90deg points right; the line spans the box
+  const radians = (spec.angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const half = (Math.abs(area.width * dx) + Math.abs(area.height * dy)) / 2;
+  return `
+    <linearGradient id="${gradientId}" gradientUnits="${units}" x1="${round(cx - dx * half)}" y1="${round(cy - dy * half)}" x2="${round(cx + dx * half)}" y2="${round(cy + dy * half)}">${stops}
+    </linearGradient>`;
+};
+
+/**
+ * Add the brand gradient definition to an SVG string
+ * @param {string} svgString - The SVG content
+ * @param {object} spec - Resolved gradient spec
+ * @param {string} gradientId - ID for the gradient
+ * @returns {string} SVG string with the gradient in <defs>
+ */
+const insertGradientDef = (svgString, spec, gradientId) => {
+  const doc = parseSvg(svgString);
+  const rootSvg = getRootSvg(doc);
+  const gradientDef = buildGradientMarkup(gradientId, spec, getViewBox(rootSvg));
+
+  const defs = rootSvg.children.find((child) => child.type === 'element' && child.localName === 'defs');
+  if (defs) {
+    // Add gradient to existing <defs>, keeping its attributes
+    appendChildMarkup(doc, defs, gradientDef);
+  } else {
+    // Add <defs> after opening <svg> tag
+    prependChildMarkup(doc, rootSvg, `<defs>${gradientDef}</defs>`);
+  }
+
+  return serializeSvg(doc);
 };
 
 /**
  * Main function to recolor an SVG string with brand colors
+ * Parses the SVG, rewrites only real paint values (presentation attributes,
+ * style="" declarations and <style> rules), and paints shapes that inherit the
+ * initial black fill or color. Everything else is left byte-for-byte intact.
  * @param {string} svgString - The SVG content as a string
  * @param {object} brand - Brand object with primary, secondary, accent colors
- * @param {string} mode - Color mode: 'primary', 'secondary', or 'gradient' (default: 'primary')
+ *   (and optional roleMap, roleTargets and preserve settings)
+ * @param {string} mode - Color mode: 'primary', 'secondary', 'gradient', 'tonal',
+ *   'duo-primary' or 'duo-secondary' (default: 'primary')
+ * @param {object} options - Per-icon options
+ * @param {object} options.preserve - Icon preserve settings ({ colors, elementIds, whites })
+ * @param {object} options.colorMap - Explicit source color → role/scale step/hex/'keep' map (hex keys)
+ * @param {object} options.elementPaint - Clicked element index → role/scale step/hex overrides
+ * @param {object} options.gradient - Gradient mode overrides ({ type, angle, stops })
+ * @param {boolean} options.annotate - Add data-paint-index attributes for the region editor
+ * @param {string} options.idPrefix - Namespace every internal ID (see prefixIds)
+ * @param {boolean} options.themable - Write currentColor / var(--icon-*) instead of brand hex
+ * @param {boolean} options.dark - Paint with the brand's dark palette (see createDarkPalette)
  * @returns {string} The recolored SVG string
  */
-export const recolorSvg = (svgString, brand, mode = 'primary') => {
+export const recolorSvg = (svgString, brand, mode = 'primary', options = {}) => {
   if (!svgString || !brand) {
     return svgString;
   }
 
-  let result = svgString;
-  
-  // Generate unique gradient ID for gradient mode
-  const gradientId = mode === 'gradient' ? `gradient-${Date.now()}-${Math.random().toString(36).substr(2, 9)}` : null;
-  
-  // Add gradient definition if in gradient mode
-  if (mode === 'gradient' && gradientId) {
-    // Check if <defs> already exists
-    const defsRegex = /<defs[^>]*>([\s\S]*?)<\/defs>/i;
-    const gradientDef = `
-    <linearGradient id="${gradientId}" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${brand.primary};stop-opacity:1" />
-      <stop offset="100%" style="stop-color:${brand.secondary};stop-opacity:1" />
-    </linearGradient>`;
-    
-    if (defsRegex.test(result)) {
-      // Add gradient to existing <defs>
-      result = result.replace(defsRegex, (match, defsContent) => {
-        return `<defs>${defsContent}${gradientDef}</defs>`;
-      });
-    } else {
-      // Add <defs> after opening <svg> tag
-      const svgTagRegex = /(<svg[^>]*>)/i;
-      result = result.replace(svgTagRegex, `$1<defs>${gradientDef}</defs>`);
-    }
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for recoloring:', error);
+    return svgString;
   }
 
-  // Process fill, stroke, and stop-color attributes
-  const colorAttributes = ['fill', 'stroke', 'stop-color'];
+  if (!getRootSvg(doc)) {
+    return svgString;
+  }
 
-  colorAttributes.forEach((attr) => {
-    // Match attribute="value" patterns (handles both single and double quotes)
-    const regex = new RegExp(`(${attr})\\s*=\\s*["']([^"']+)["']`, 'gi');
-    result = result.replace(regex, (match, attribute, value) => {
-      const newColor = replaceColor(value, brand, mode, gradientId);
-      return `${attribute}="${newColor}"`;
-    });
-  });
+  // Dark variant: the dark palette stands in for the brand's role colors
+  const paintBrand = options.dark ? createDarkBrand(brand) : brand;
 
-  // Process inline styles
-  const styleRegex = /style\s*=\s*["']([^"']+)["']/gi;
-  result = result.replace(styleRegex, (match, styleContent) => {
-    const newStyle = processInlineStyle(styleContent, brand, mode, gradientId);
-    return `style="${newStyle}"`;
-  });
+  // Gradient ID is hashed from the content and gradient, so repaints are byte-identical
+  const palette = options.themable ? createThemePalette(paintBrand) : createPalette(paintBrand);
+  const gradient = mode === 'gradient' ? resolveGradient(paintBrand, options.gradient, palette) : null;
+  const gradientId = gradient
+    ? createUniqueId(`gradient-${hashString(svgString + JSON.stringify(gradient))}`, collectIds(doc))
+    : null;
+  const context = createPaintContext(paintBrand, mode, gradientId, options);
 
-  // Process <style> blocks (CSS within SVG)
-  const styleBlockRegex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-  result = result.replace(styleBlockRegex, (match, cssContent) => {
-    let newCss = cssContent;
-
-    // Replace colors in CSS based on mode
-    Object.entries(COLOR_MAPPINGS).forEach(([role, colors]) => {
-      colors.forEach((color) => {
-        const escapedColor = color.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const cssRegex = new RegExp(escapedColor, 'gi');
-        let replacement;
-        
-        // Duotone modes
-        if (mode === 'duo-primary' || mode === 'duo-secondary') {
-          const accentColor = mode === 'duo-primary' ? brand.primary : brand.secondary;
-          if (role === 'primary') {
-            replacement = DUOTONE_OUTLINE;
-          } else {
-            replacement = accentColor;
-          }
-        }
-        // Standard modes
-        else if (role === 'primary') {
-          if (mode === 'gradient' && gradientId) {
-            replacement = `url(#${gradientId})`;
-          } else if (mode === 'secondary') {
-            replacement = brand.secondary;
-          } else {
-            replacement = brand.primary;
-          }
-        } else {
-          replacement = brand[role];
-        }
-        
-        newCss = newCss.replace(cssRegex, replacement);
-      });
-    });
-    
-    // Also catch any hex colors not in our mapping (chromatic colors)
-    const hexColorRegex = /#([0-9a-fA-F]{3}){1,2}\b/g;
-    newCss = newCss.replace(hexColorRegex, (hexColor) => {
-      // Skip preserved colors
-      if (shouldPreserve(hexColor)) return hexColor;
-      // Skip colors we already processed
-      if (getColorRole(hexColor)) return hexColor;
-      
-      const accentColor = mode === 'duo-primary' ? brand.primary : 
-                         mode === 'duo-secondary' ? brand.secondary :
-                         mode === 'secondary' ? brand.secondary : brand.primary;
-      
-      // For duotone, check if dark or chromatic
-      if (mode === 'duo-primary' || mode === 'duo-secondary') {
-        if (isDarkColor(hexColor) && !isChromatic(hexColor)) {
-          return DUOTONE_OUTLINE;
-        }
-        return accentColor;
-      }
-      
-      // For standard modes, replace chromatic colors
-      if (isChromatic(hexColor)) {
-        return accentColor;
-      }
-      
-      return hexColor;
-    });
+  // Resolve every paint value before any attribute is rewritten
+  const protectedElements = findProtectedElements(doc, context.preserve.elementIds);
+  const originalStyles = protectedElements.size > 0 ? computePaintStyles(doc) : null;
+  const paintValues = collectPaintValues(doc, protectedElements);
 
-    return match.replace(cssContent, newCss);
-  });
+  if (mode === 'tonal') {
+    context.tonal = buildTonalMapping(paintValues, context);
+  }
+
+  applyPaintValues(doc, paintValues, (entry) => replacePaintValue(entry.property, entry.value, context));
+
+  let result = pinProtectedPaint(doc, originalStyles, serializeSvg(doc), protectedElements);
+  result = applyElementPaint(result, options.elementPaint, context.palette);
+
+  if (options.annotate) {
+    result = annotateElements(result);
+  }
+
+  // Add gradient definition if in gradient mode
+  if (mode === 'gradient' && gradientId) {
+    result = insertGradientDef(result, gradient, gradientId);
+  }
+
+  // Namespace internal IDs so the SVG can be inlined next to others
+  if (options.idPrefix) {
+    result = prefixIds(result, options.idPrefix);
+  }
 
   return result;
 };
@@ -0,0 +1,526 @@
+/**
+ * CSS color parsing and serialization (CSS Color Module Level 4)
+ * Parses hex (3/4/6/8 digit), named colors, rgb()/rgba(), hsl()/hsla(), hwb(),
+ * lab(), lch(), oklab(), oklch() and color() into sRGB with alpha.
+ */
+
+import { NAMED_COLORS } from '../constants/namedColors';
+
+// Matrix helpers for color space conversion
+const multiply = (m, [a, b, c]) => [
+  m[0][0] * a + m[0][1] * b + m[0][2] * c,
+  m[1][0] * a + m[1][1] * b + m[1][2] * c,
+  m[2][0] * a + m[2][1] * b + m[2][2] * c,
+];
+
+const LINEAR_SRGB_TO_XYZ_D65 = [
+  [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151036, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559185, 0.11919477979462599, 0.9505321522496606],
+];
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+
+// Bradford chromatic adaptation between the D50 (Lab) and D65 (sRGB) white points
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008],
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// CIE constants
+const LAB_KAPPA = 24389 / 27;
+const LAB_EPSILON = 216 / 24389;
+
+/**
+ * Convert a gamma-encoded sRGB channel (0-1) to linear light
+ * @param {number} value - Encoded channel
+ * @returns {number} Linear channel
+ */
+export const srgbToLinear = (value) => {
+  const abs = Math.abs(value);
+  const linear = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+  return Math.sign(value) * linear;
+};
+
+/**
+ * Convert a linear-light channel (0-1) to gamma-encoded sRGB
+ * @param {number} value - Linear channel
+ * @returns {number} Encoded channel
+ */
+export const linearToSrgb = (value) => {
+  const abs = Math.abs(value);
+  const encoded = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+  return Math.sign(value) * encoded;
+};
+
+/**
+ * Build an sRGB color (0-255 channels) from linear-light channels
+ * @param {number[]} linear - Linear sRGB channels (0-1)
+ * @param {number} alpha - Alpha (0-1)
+ * @returns {{r: number, g: number, b: number, alpha: number}} Color clipped to the sRGB gamut
+ */
+const fromLinearSrgb = ([r, g, b], alpha) => {
+  const encode = (v) => Math.min(255, Math.max(0, linearToSrgb(v) * 255));
+  return { r: encode(r), g: encode(g), b: encode(b), alpha };
+};
+
+/**
+ * Convert CIE XYZ (D50) to CIELAB
+ * @param {number[]} xyz - XYZ relative to D50
+ * @returns {number[]} [L, a, b]
+ */
+const xyzD50ToLab = (xyz) => {
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const v = value / D50_WHITE[i];
+    return v > LAB_EPSILON ? Math.cbrt(v) : (LAB_KAPPA * v + 16) / 116;
+  });
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+/**
+ * Convert CIELAB to CIE XYZ (D50)
+ * @param {number[]} lab - [L, a, b]
+ * @returns {number[]} XYZ relative to D50
+ */
+const labToXyzD50 = ([l, a, b]) => {
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const x = fx ** 3 > LAB_EPSILON ? fx ** 3 : (116 * fx - 16) / LAB_KAPPA;
+  const y = l > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : l / LAB_KAPPA;
+  const z = fz ** 3 > LAB_EPSILON ? fz ** 3 : (116 * fz - 16) / LAB_KAPPA;
+  return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+};
+
+/**
+ * Convert OKLab to linear sRGB
+ * @param {number[]} oklab - [L, a, b]
+ * @returns {number[]} Linear sRGB channels
+ */
+const oklabToLinearSrgb = ([l, a, b]) => {
+  const lms = [
+    (l + 0.3963377774 * a + 0.2158037573 * b) ** 3,
+    (l - 0.1055613458 * a - 0.0638541728 * b) ** 3,
+    (l - 0.0894841775 * a - 1.291485548 * b) ** 3,
+  ];
+  return [
+    4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+    -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+    -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.707614701 * lms[2],
+  ];
+};
+
+/**
+ * Convert an sRGB color to CIELAB (D50, as used by CSS lab())
+ * @param {{r: number, g: number, b: number}} color - sRGB color with 0-255 channels
+ * @returns {{l: number, a: number, b: number}} Lab coordinates (L in 0-100)
+ */
+export const rgbToLab = ({ r, g, b }) => {
+  const linear = [r, g, b].map((v) => srgbToLinear(v / 255));
+  const [l, a, bb] = xyzD50ToLab(multiply(D65_TO_D50, multiply(LINEAR_SRGB_TO_XYZ_D65, linear)));
+  return { l, a, b: bb };
+};
+
+/**
+ * Convert CIELAB (D50) to an sRGB color, clipped to gamut
+ * @param {{l: number, a: number, b: number}} lab - Lab coordinates
+ * @param {number} alpha - Alpha (0-1)
+ * @returns {{r: number, g: number, b: number, alpha: number}} sRGB color
+ */
+export const labToRgb = ({ l, a, b }, alpha = 1) => {
+  const xyzD65 = multiply(D50_TO_D65, labToXyzD50([l, a, b]));
+  return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, xyzD65), alpha);
+};
+
+/**
+ * Convert HSL (degrees, 0-100 percentages) to sRGB
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation percentage
+ * @param {number} l - Lightness percentage
+ * @returns {number[]} [r, g, b] in 0-255
+ */
+const hslToRgb = (h, s, l) => {
+  const sat = Math.min(1, Math.max(0, s / 100));
+  const light = Math.min(1, Math.max(0, l / 100));
+  const hue = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    return (light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+  return [f(0), f(8), f(4)];
+};
+
+/**
+ * Convert an sRGB color to HSL
+ * @param {{r: number, g: number, b: number}} color - sRGB color with 0-255 channels
+ * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation/lightness as percentages
+ */
+export const rgbToHsl = ({ r, g, b }) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return { h: 0, s: 0, l: l * 100 };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+};
+
+/**
+ * Parse a hue component (number in degrees, or with deg/rad/grad/turn)
+ * @param {string} token - Hue token
+ * @returns {number|null} Hue in degrees
+ */
+const parseHue = (token) => {
+  if (token === 'none') return 0;
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/.exec(token);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'rad': return (value * 180) / Math.PI;
+    case 'grad': return value * 0.9;
+    case 'turn': return value * 360;
+    default: return value;
+  }
+};
+
+/**
+ * Parse a number or percentage component
+ * @param {string} token - Component token
+ * @param {number} percentScale - What 100% corresponds to
+ * @returns {number|null} Parsed value
+ */
+const parseComponent = (token, percentScale) => {
+  if (token === 'none') return 0;
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%)?$/.exec(token);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return match[2] ? (value / 100) * percentScale : value;
+};
+
+/**
+ * Parse an alpha component (number 0-1 or percentage)
+ * @param {string|undefined} token - Alpha token
+ * @returns {number|null} Alpha clamped to 0-1
+ */
+const parseAlpha = (token) => {
+  if (token === undefined) return 1;
+  const value = parseComponent(token, 1);
+  return value === null ? null : Math.min(1, Math.max(0, value));
+};
+
+/**
+ * Split the arguments of a color function into components and alpha
+ * Accepts both legacy comma syntax and modern space/slash syntax.
+ * @param {string} args - Text between the parentheses
+ * @returns {{components: string[], alpha: string|undefined}|null} Tokens or null if malformed
+ */
+const splitArguments = (args) => {
+  const text = args.trim();
+  if (text.includes(',')) {
+    const parts = text.split(',').map((p) => p.trim());
+    if (parts.some((p) => !p || /\s/.test(p))) return null;
+    return { components: parts.slice(0, 3), alpha: parts[3], count: parts.length };
+  }
+
+  const [main, alpha, ...rest] = text.split('/').map((p) => p.trim());
+  if (rest.length > 0 || (alpha !== undefined && !alpha)) return null;
+  const components = main.split(/\s+/).filter(Boolean);
+  return { components, alpha, count: components.length + (alpha !== undefined ? 1 : 0) };
+};
+
+/**
+ * Parse a hex color (#rgb, #rgba, #rrggbb, #rrggbbaa)
+ * @param {string} hex - Hex digits without the leading #
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Parsed color
+ */
+const parseHex = (hex) => {
+  if (!/^[0-9a-f]+$/.test(hex)) return null;
+
+  let digits = hex;
+  if (hex.length === 3 || hex.length === 4) {
+    digits = hex.split('').map((c) => c + c).join('');
+  } else if (hex.length !== 6 && hex.length !== 8) {
+    return null;
+  }
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+    alpha: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+  };
+};
+
+/**
+ * Parse a color() function body
+ * @param {string[]} components - Space name followed by three channel tokens
+ * @param {number} alpha - Parsed alpha
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Parsed color
+ */
+const parseColorFunction = ([space, ...channels], alpha) => {
+  if (channels.length !== 3) return null;
+  const values = channels.map((token) => parseComponent(token, 1));
+  if (values.some((v) => v === null)) return null;
+
+  switch (space) {
+    case 'srgb':
+      return fromLinearSrgb(values.map(srgbToLinear), alpha);
+    case 'srgb-linear':
+      return fromLinearSrgb(values, alpha);
+    case 'display-p3':
+      return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, multiply(LINEAR_P3_TO_XYZ_D65, values.map(srgbToLinear))), alpha);
+    case 'xyz':
+    case 'xyz-d65':
+      return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, values), alpha);
+    case 'xyz-d50':
+      return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, multiply(D50_TO_D65, values)), alpha);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse any CSS color string into sRGB channels and alpha
+ * Keywords that are not colors (none, currentColor, inherit) return null.
+ * @param {string} color - The color to parse
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Channels 0-255, alpha 0-1, or null
+ */
+export const parseColor = (color) => {
+  if (!color || typeof color !== 'string') return null;
+  const value = color.trim().toLowerCase();
+
+  if (value.startsWith('#')) {
+    return parseHex(value.slice(1));
+  }
+
+  if (value === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+
+  if (NAMED_COLORS[value]) {
+    return parseHex(NAMED_COLORS[value].slice(1));
+  }
+
+  const fnMatch = /^([a-z-]+)\(([^()]*)\)$/.exec(value);
+  if (!fnMatch) return null;
+
+  const [, name, body] = fnMatch;
+  const args = splitArguments(body);
+  if (!args) return null;
+
+  const alpha = parseAlpha(args.alpha);
+  if (alpha === null) return null;
+
+  if (name === 'color') {
+    return parseColorFunction(args.components, alpha);
+  }
+
+  if (args.components.length !== 3 || args.count > 4) return null;
+  const [c1, c2, c3] = args.components;
+
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      const channels = [c1, c2, c3].map((token) => parseComponent(token, 255));
+      if (channels.some((v) => v === null)) return null;
+      const [r, g, b] = channels.map((v) => Math.min(255, Math.max(0, v)));
+      return { r, g, b, alpha };
+    }
+    case 'hsl':
+    case 'hsla': {
+      const h = parseHue(c1);
+      const s = parseComponent(c2, 100);
+      const l = parseComponent(c3, 100);
+      if (h === null || s === null || l === null) return null;
+      const [r, g, b] = hslToRgb(h, s, l);
+      return { r, g, b, alpha };
+    }
+    case 'hwb': {
+      const h = parseHue(c1);
+      let w = parseComponent(c2, 100);
+      let bl = parseComponent(c3, 100);
+      if (h === null || w === null || bl === null) return null;
+      w /= 100;
+      bl /= 100;
+      if (w + bl >= 1) {
+        const gray = (w / (w + bl)) * 255;
+        return { r: gray, g: gray, b: gray, alpha };
+      }
+      const [r, g, b] = hslToRgb(h, 100, 50).map((v) => v * (1 - w - bl) + w * 255);
+      return { r, g, b, alpha };
+    }
+    case 'lab': {
+      const l = parseComponent(c1, 100);
+      const a = parseComponent(c2, 125);
+      const b = parseComponent(c3, 125);
+      if (l === null || a === null || b === null) return null;
+      return labToRgb({ l: Math.max(0, l), a, b }, alpha);
+    }
+    case 'lch': {
+      const l = parseComponent(c1, 100);
+      const c = parseComponent(c2, 150);
+      const h = parseHue(c3);
+      if (l === null || c === null || h === null) return null;
+      const rad = (h * Math.PI) / 180;
+      return labToRgb({ l: Math.max(0, l), a: Math.max(0, c) * Math.cos(rad), b: Math.max(0, c) * Math.sin(rad) }, alpha);
+    }
+    case 'oklab': {
+      const l = parseComponent(c1, 1);
+      const a = parseComponent(c2, 0.4);
+      const b = parseComponent(c3, 0.4);
+      if (l === null || a === null || b === null) return null;
+      return fromLinearSrgb(oklabToLinearSrgb([Math.max(0, l), a, b]), alpha);
+    }
+    case 'oklch': {
+      const l = parseComponent(c1, 1);
+      const c = parseComponent(c2, 0.4);
+      const h = parseHue(c3);
+      if (l === null || c === null || h === null) return null;
+      const rad = (h * Math.PI) / 180;
+      return fromLinearSrgb(oklabToLinearSrgb([Math.max(0, l), Math.max(0, c) * Math.cos(rad), Math.max(0, c) * Math.sin(rad)]), alpha);
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a string is a parseable CSS color
+ * @param {string} color - The string to check
+ * @returns {boolean} True if it parses as a color
+ */
+export const isColor = (color) => parseColor(color) !== null;
+
+// Round to a fixed number of decimals without trailing zeros
+const round = (value, decimals = 3) => Number(value.toFixed(decimals));
+
+const toHexByte = (value) => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0').toUpperCase();
+
+/**
+ * Serialize a parsed color as hex (#RRGGBB, or #RRGGBBAA when translucent)
+ * @param {{r: number, g: number, b: number, alpha?: number}} color - Parsed color
+ * @returns {string} Uppercase hex string
+ */
+export const formatHex = ({ r, g, b, alpha = 1 }) => {
+  const hex = `#${toHexByte(r)}${toHexByte(g)}${toHexByte(b)}`;
+  return alpha < 1 ? `${hex}${toHexByte(alpha * 255)}` : hex;
+};
+
+/**
+ * Serialize a parsed color as rgb() or rgba()
+ * @param {{r: number, g: number, b: number, alpha?: number}} color - Parsed color
+ * @returns {string} rgb(r, g, b) or rgba(r, g, b, a)
+ */
+export const formatRgb = ({ r, g, b, alpha = 1 }) => {
+  const channels = [r, g, b].map((v) => Math.round(Math.min(255, Math.max(0, v)))).join(', ');
+  return alpha < 1 ? `rgba(${channels}, ${round(alpha)})` : `rgb(${channels})`;
+};
+
+/**
+ * Serialize a parsed color as hsl() or hsla()
+ * @param {{r: number, g: number, b: number, alpha?: number}} color - Parsed color
+ * @returns {string} hsl(h, s%, l%) or hsla(h, s%, l%, a)
+ */
+export const formatHsl = (color) => {
+  const { h, s, l } = rgbToHsl(color);
+  const alpha = color.alpha ?? 1;
+  const body = `${round(h, 1)}, ${round(s, 1)}%, ${round(l, 1)}%`;
+  return alpha < 1 ? `hsla(${body}, ${round(alpha)})` : `hsl(${body})`;
+};
+
+/**
+ * Serialize a parsed color
+ * @param {{r: number, g: number, b: number, alpha?: number}} color - Parsed color
+ * @param {string} format - 'hex', 'rgb' or 'hsl'
+ * @returns {string} Serialized color
+ */
+export const serializeColor = (color, format = 'hex') => {
+  if (format === 'rgb') return formatRgb(color);
+  if (format === 'hsl') return formatHsl(color);
+  return formatHex(color);
+};
+
+/**
+ * Pick the serialization format that best matches how a color was written
+ * Hex stays hex (8-digit for alpha); hsl stays hsl; everything else becomes rgb().
+ * @param {string} color - Original color string
+ * @returns {string} 'hex', 'rgb' or 'hsl'
+ */
+export const detectColorFormat = (color) => {
+  const value = (color || '').trim().toLowerCase();
+  if (value.startsWith('#')) return 'hex';
+  if (value.startsWith('hsl')) return 'hsl';
+  if (/^[a-z]+$/.test(value)) return 'hex';
+  return 'rgb';
+};
+
+/**
+ * Apply an alpha value to a color string
+ * Fully opaque results return the color string unchanged.
+ * @param {string} color - Base color (e.g. a brand hex)
+ * @param {number} alpha - Alpha to apply (0-1), multiplied with the color's own alpha
+ * @param {string} format - Output format when translucent: 'hex', 'rgb' or 'hsl'
+ * @returns {string} Color with alpha
+ */
+export const withAlpha = (color, alpha, format = 'hex') => {
+  const parsed = parseColor(color);
+  if (!parsed || alpha >= 1) return color;
+  return serializeColor({ ...parsed, alpha: parsed.alpha * alpha }, format);
+};
+
+/**
+ * CIE76 color difference between two colors
+ * @param {string} a - Color
+ * @param {string} b - Color
+ * @returns {number} ΔE
+ */
+export const getDeltaE = (a, b) => {
+  const labA = rgbToLab(parseColor(a));
+  const labB = rgbToLab(parseColor(b));
+  return Math.sqrt((labA.l - labB.l) ** 2 + (labA.a - labB.a) ** 2 + (labA.b - labB.b) ** 2);
+};
+
+export default {
+  parseColor,
+  isColor,
+  serializeColor,
+  formatHex,
+  formatRgb,
+  formatHsl,
+  detectColorFormat,
+  withAlpha,
+  rgbToLab,
+  labToRgb,
+  rgbToHsl,
+  getDeltaE,
+  srgbToLinear,
+  linearToSrgb,
+};
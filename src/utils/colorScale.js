@@ -0,0 +1,116 @@
+/**
+ * Brand color scales
+ * Generates a 50–900 tint and shade scale for each brand color and resolves
+ * scale references such as "primary-100" to colors
+ */
+
+import { parseColor, formatHex } from './colorParser';
+import { getBrandColors } from '../constants/brands';
+
+// Scale steps, lightest to darkest; 500 is the brand color itself
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// Share of the brand color in each step, mixed with white (tints) or black (shades).
+// Tints match the color at that opacity over white: 100 is "primary at 20%".
+const SCALE_MIX = {
+  50: { amount: 0.1, with: '#FFFFFF' },
+  100: { amount: 0.2, with: '#FFFFFF' },
+  200: { amount: 0.4, with: '#FFFFFF' },
+  300: { amount: 0.6, with: '#FFFFFF' },
+  400: { amount: 0.8, with: '#FFFFFF' },
+  500: { amount: 1, with: null },
+  600: { amount: 0.8, with: '#000000' },
+  700: { amount: 0.6, with: '#000000' },
+  800: { amount: 0.45, with: '#000000' },
+  900: { amount: 0.3, with: '#000000' },
+};
+
+/**
+ * Get one step of a color's scale
+ * Theme values (currentColor, var()) can't be mixed here, so they become a
+ * CSS color-mix() that the browser resolves.
+ * @param {string} color - Brand color or theme value
+ * @param {number} step - Scale step (50–900)
+ * @returns {string|null} Step color, or null if the step doesn't exist
+ */
+export const getScaleStep = (color, step) => {
+  const mix = SCALE_MIX[step];
+  if (!mix) return null;
+  if (!mix.with) return color;
+
+  const rgb = parseColor(color);
+  if (!rgb) {
+    return `color-mix(in srgb, ${color} ${mix.amount * 100}%, ${mix.with})`;
+  }
+
+  const other = parseColor(mix.with);
+  return formatHex({
+    r: rgb.r * mix.amount + other.r * (1 - mix.amount),
+    g: rgb.g * mix.amount + other.g * (1 - mix.amount),
+    b: rgb.b * mix.amount + other.b * (1 - mix.amount),
+  });
+};
+
+/**
+ * Generate the 50–900 scale of a color
+ * @param {string} color - Brand color
+ * @returns {object} Step → hex color (500 is the color itself)
+ */
+export const generateColorScale = (color) => {
+  return Object.fromEntries(SCALE_STEPS.map((step) => [step, getScaleStep(color, step)]));
+};
+
+/**
+ * Split a scale reference into its role and step
+ * @param {string} reference - e.g. "primary-100"
+ * @returns {{role: string, step: number}|null} Parts, or null if not a scale reference
+ */
+export const parseScaleReference = (reference) => {
+  const match = /^([a-z][\w-]*?)-(\d{2,3})$/i.exec(reference || '');
+  if (!match || !SCALE_MIX[match[2]]) return null;
+  return { role: match[1], step: Number(match[2]) };
+};
+
+/**
+ * List the scale references of some roles, e.g. for a picker
+ * @param {string[]} roles - Role names
+ * @returns {string[]} References such as "primary-50" … "accent-900"
+ */
+export const getScaleReferences = (roles = ['primary', 'secondary', 'accent']) => {
+  return roles.flatMap((role) => SCALE_STEPS.map((step) => `${role}-${step}`));
+};
+
+/**
+ * Resolve a scale reference against a palette of role colors
+ * @param {string} reference - e.g. "accent-700"
+ * @param {object} palette - Role → color (brand colors or theme values)
+ * @returns {string|null} The step color, or null if the reference doesn't resolve
+ */
+export const resolveScaleReference = (reference, palette) => {
+  const parsed = parseScaleReference(reference);
+  if (!parsed || !palette?.[parsed.role]) return null;
+  return getScaleStep(palette[parsed.role], parsed.step);
+};
+
+/**
+ * Generate the scales of every color of a brand
+ * @param {object} brand - Brand object
+ * @returns {object} Color name → (step → hex)
+ */
+export const createBrandScales = (brand) => {
+  return Object.fromEntries(
+    getBrandColors(brand)
+      .filter(({ value }) => parseColor(value))
+      .map(({ name, value }) => [name, generateColorScale(value)])
+  );
+};
+
+export default {
+  SCALE_STEPS,
+  getScaleStep,
+  generateColorScale,
+  parseScaleReference,
+  getScaleReferences,
+  resolveScaleReference,
+  createBrandScales,
+};
@@ -0,0 +1,476 @@
+/**
+ * Component export
+ * Generates React (.tsx), Vue (SFC) and Svelte components from painted icons,
+ * with size, title and color-role props, per-instance IDs and an index barrel
+ * per framework
+ */
+
+import { parseSvg, getRootSvg, decodeEntities } from './svgDocument';
+import { parseDeclarations } from './svgStyles';
+import { parseColor, formatHex } from './colorParser';
+import { createPalette, mapSvgColors } from './colorMapper';
+import { prefixIds, prefixClasses, toIdSlug } from './svgIds';
+
+// Frameworks and the extension of their component files
+export const COMPONENT_FRAMEWORKS = [
+  { id: 'react', label: 'React', extension: 'tsx' },
+  { id: 'vue', label: 'Vue', extension: 'vue' },
+  { id: 'svelte', label: 'Svelte', extension: 'svelte' },
+];
+
+// Default of the size prop (width and height)
+export const DEFAULT_COMPONENT_SIZE = 24;
+
+// Placeholders marking per-instance IDs and color roles in the SVG before code generation
+const UID_TOKEN = '__UID__';
+const TOKEN_PATTERN = /__UID__|__ROLE_([a-z0-9-]+?)__/g;
+
+// Root attributes replaced by props or meaningless on a component
+const ROOT_DROPPED_ATTRIBUTES = ['width', 'height', 'id', 'version', 'x', 'y', 'baseProfile', 'enable-background'];
+
+// Namespace prefixes components keep; other namespaced markup (editor metadata) is dropped
+const KEPT_NAMESPACES = ['xlink', 'xml'];
+
+// Elements left out of components (the root <title> is dropped too: the title prop replaces it)
+const DROPPED_ELEMENTS = ['metadata', 'script'];
+
+// Prop names taken by the component itself
+const RESERVED_PROPS = ['size', 'title', 'props', 'uid', 'css'];
+
+// JSX names that aren't plain camelCase of the SVG attribute
+const REACT_ATTRIBUTE_NAMES = {
+  class: 'className',
+  tabindex: 'tabIndex',
+  'xlink:href': 'xlinkHref',
+  'xml:space': 'xmlSpace',
+  'xml:lang': 'xmlLang',
+};
+
+/**
+ * Convert a hyphenated or namespaced name to camelCase
+ * @param {string} name - Name such as "stroke-width" or "-webkit-mask"
+ * @returns {string} camelCase name ("strokeWidth", "WebkitMask")
+ */
+const toCamelCase = (name) => name.replace(/[-:]([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Build a component name from an icon file name
+ * @param {string} iconName - Icon file name
+ * @returns {string} PascalCase name ending in "Icon" ("home.svg" → "HomeIcon")
+ */
+export const toComponentName = (iconName) => {
+  const pascal = toIdSlug(iconName).replace(/^i-(?=\d)/, '').split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  if (/^\d/.test(pascal)) return `Icon${pascal}`;
+  return /Icon$/.test(pascal) ? pascal : `${pascal}Icon`;
+};
+
+/**
+ * Build the prop name of a palette color
+ * @param {string} name - Palette name (e.g. "brand-blue")
+ * @returns {string} Prop name ("brandBlue"); "color…" when the name can't be a prop
+ */
+const toRoleProp = (name) => {
+  const camel = toCamelCase(name);
+  if (/^[a-z]/.test(camel) && !RESERVED_PROPS.includes(camel)) return camel;
+  return `color${camel.charAt(0).toUpperCase()}${camel.slice(1)}`;
+};
+
+/**
+ * Quote text as a single-quoted JavaScript string
+ * @param {string} text - Raw text
+ * @returns {string} String literal
+ */
+const quote = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+
+/**
+ * Escape text for markup content or a double-quoted attribute in a Vue or
+ * Svelte template, including the braces both treat as expressions
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeTemplate = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/{/g, '&#123;')
+  .replace(/}/g, '&#125;');
+
+/**
+ * Split a value into literal text and placeholder parts
+ * @param {string} value - Attribute, declaration or stylesheet text
+ * @returns {Array<{text: string}|{role: string|null}>} Parts; role is null for the instance ID
+ */
+const splitTokens = (value) => {
+  const parts = [];
+  let pos = 0;
+  value.replace(TOKEN_PATTERN, (match, role, offset) => {
+    if (offset > pos) parts.push({ text: value.slice(pos, offset) });
+    parts.push({ role: role || null });
+    pos = offset + match.length;
+    return match;
+  });
+  if (pos < value.length) parts.push({ text: value.slice(pos) });
+  return parts;
+};
+
+const hasTokens = (value) => new RegExp(TOKEN_PATTERN.source).test(value);
+
+/**
+ * Turn a value with placeholders into a JavaScript expression
+ * A lone placeholder becomes the bare expression, anything else a template literal.
+ * @param {string} value - Value with placeholders
+ * @param {Function} toExpression - Maps a placeholder part to its expression
+ * @returns {string} Expression
+ */
+const toJsExpression = (value, toExpression) => {
+  const parts = splitTokens(value);
+  if (parts.length === 1 && parts[0].text === undefined) return toExpression(parts[0]);
+  const body = parts.map((part) => (part.text !== undefined
+    ? part.text.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${')
+    : `\${${toExpression(part)}}`)).join('');
+  return `\`${body}\``;
+};
+
+/**
+ * Find which palette colors an SVG uses and mark them, and its IDs, with placeholders
+ * Classes its <style> targets get the instance placeholder too: an inline
+ * <style> applies to the whole page, so unprefixed rules would let one
+ * instance's colors restyle every other instance and the host page.
+ * @param {string} svgString - Painted SVG content
+ * @param {object|null} brand - Brand the icon was painted with
+ * @returns {{content: string, roles: Array<{name: string, prop: string, value: string}>}} Marked SVG and the roles it uses
+ */
+const markPlaceholders = (svgString, brand) => {
+  const palette = brand ? createPalette(brand) : {};
+  const namesByColor = new Map();
+  Object.entries(palette).forEach(([name, color]) => {
+    const rgb = parseColor(color);
+    if (rgb && !namesByColor.has(formatHex(rgb))) namesByColor.set(formatHex(rgb), name);
+  });
+
+  const painted = mapSvgColors(svgString, (color) => {
+    const rgb = parseColor(color);
+    const name = rgb && rgb.alpha === 1 ? namesByColor.get(formatHex(rgb)) : null;
+    return name ? `__ROLE_${name}__` : color;
+  });
+  const content = prefixClasses(prefixIds(painted, UID_TOKEN), UID_TOKEN);
+
+  const used = new Set([...content.matchAll(TOKEN_PATTERN)].map(([, role]) => role).filter(Boolean));
+  const roles = Object.keys(palette)
+    .filter((name) => used.has(name))
+    .map((name) => ({ name, prop: toRoleProp(name), value: palette[name] }));
+  return { content, roles };
+};
+
+/**
+ * Check whether a name carries a namespace components drop
+ * @param {string} name - Element or attribute name
+ * @returns {boolean} True for e.g. "inkscape:label" or "xmlns:xlink"
+ */
+const isForeignName = (name) => {
+  const [prefix, local] = name.split(':');
+  return local !== undefined && !KEPT_NAMESPACES.includes(prefix);
+};
+
+/**
+ * Collect the text of a <style> element
+ * @param {object} element - The <style> element
+ * @param {object} doc - Parsed document (for entity declarations)
+ * @returns {string} Stylesheet text
+ */
+const getStyleText = (element, doc) => element.children
+  .map((child) => {
+    if (child.type === 'cdata') return child.value;
+    if (child.type === 'text') return decodeEntities(child.value, doc.entities);
+    return '';
+  })
+  .join('')
+  .trim();
+
+/**
+ * Framework-specific markup writers
+ * Each writes attributes, text and <style> content; expressions in markup read
+ * props directly, expressions in script (Vue computed) read props.*.
+ */
+const WRITERS = {
+  react: {
+    attribute: (name, value, expr) => {
+      const jsxName = REACT_ATTRIBUTE_NAMES[name] || (/^(data|aria)-/.test(name) ? name : toCamelCase(name));
+      if (name === 'style') {
+        const entries = parseDeclarations(value).map(({ property, value: declared }) => {
+          const key = property.startsWith('--') ? quote(property) : toCamelCase(property);
+          return `${key}: ${hasTokens(declared) ? toJsExpression(declared, expr) : quote(declared)}`;
+        });
+        return `style={{ ${entries.join(', ')} }}`;
+      }
+      if (hasTokens(value)) return `${jsxName}={${toJsExpression(value, expr)}}`;
+      return /["&{}<>\\\n]/.test(value) ? `${jsxName}={${quote(value)}}` : `${jsxName}="${value}"`;
+    },
+    text: (text) => `{${quote(text)}}`,
+    style: (cssName) => `<style>{${cssName}}</style>`,
+  },
+  vue: {
+    attribute: (name, value, expr) => {
+      if (hasTokens(value)) return `:${name}="${toJsExpression(value, expr).replace(/"/g, '&quot;')}"`;
+      return `${name}="${escapeTemplate(value)}"`;
+    },
+    text: (text) => escapeTemplate(text),
+    // Vue ignores <style> tags in templates, so render it as a dynamic component
+    style: (cssName) => `<component is="style">{{ ${cssName} }}</component>`,
+  },
+  svelte: {
+    attribute: (name, value, expr) => {
+      if (!hasTokens(value)) return `${name}="${escapeTemplate(value)}"`;
+      const parts = splitTokens(value);
+      if (parts.length === 1) return `${name}={${expr(parts[0])}}`;
+      return `${name}="${parts.map((part) => (part.text !== undefined ? escapeTemplate(part.text) : `{${expr(part)}}`)).join('')}"`;
+    },
+    text: (text) => escapeTemplate(text),
+    // Svelte only scopes top-level <style>; a nested one is rendered as an element
+    style: (cssName) => `<svelte:element this="style">{${cssName}}</svelte:element>`,
+  },
+};
+
+/**
+ * Write the children of an element as indented markup
+ * <style> elements are collected into `styles` and written as a reference to
+ * a generated css constant.
+ * @param {object} node - Parent node
+ * @param {object} context - { doc, writer, expr, styles, depth }
+ * @returns {string[]} Markup lines
+ */
+const writeChildren = (node, context) => {
+  const { doc, writer, expr, styles, depth } = context;
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  node.children.forEach((child) => {
+    if (child.type === 'text' || child.type === 'cdata') {
+      const text = child.type === 'text' ? decodeEntities(child.value, doc.entities) : child.value;
+      if (text.trim()) lines.push(`${indent}${writer.text(text.trim())}`);
+      return;
+    }
+    if (child.type !== 'element' || isForeignName(child.name) || DROPPED_ELEMENTS.includes(child.localName)) return;
+    if (child.localName === 'title' && node.parent?.type === 'root') return;
+
+    if (child.localName === 'style') {
+      const css = getStyleText(child, doc);
+      if (!css) return;
+      const cssName = styles.length === 0 ? 'css' : `css${styles.length + 1}`;
+      styles.push({ name: cssName, css });
+      lines.push(`${indent}${writer.style(cssName)}`);
+      return;
+    }
+
+    const attributes = child.attributes
+      .filter(({ name }) => !isForeignName(name) && !/^on/i.test(name) && name !== 'xmlns')
+      .map(({ name, value }) => writer.attribute(name, value, expr));
+    const open = [child.name, ...attributes].join(' ');
+    const inner = writeChildren(child, { ...context, depth: depth + 1 });
+
+    if (inner.length === 0) {
+      lines.push(`${indent}<${open} />`);
+    } else if (child.children.some((grandchild) => grandchild.type === 'text' && grandchild.value.trim())) {
+      // Text content: keep on one line so no whitespace is added to it
+      lines.push(`${indent}<${open}>${inner.map((line) => line.trim()).join('')}</${child.name}>`);
+    } else {
+      lines.push(`${indent}<${open}>`, ...inner, `${indent}</${child.name}>`);
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Write the root <svg> attributes a component keeps
+ * @param {object} rootSvg - Root element
+ * @param {object} writer - Framework writer
+ * @param {Function} expr - Placeholder → expression
+ * @returns {string[]} Attribute markup
+ */
+const writeRootAttributes = (rootSvg, writer, expr) => rootSvg.attributes
+  .filter(({ name }) => !isForeignName(name) && !name.startsWith('xmlns:') && !/^on/i.test(name)
+    && !ROOT_DROPPED_ATTRIBUTES.includes(name))
+  .map(({ name, value }) => writer.attribute(name, value, expr));
+
+/**
+ * Generate the component source of one icon for one framework
+ * @param {object} icon - Workspace icon (name, currentContent)
+ * @param {object|null} brand - Brand the icon was painted with (its colors become props)
+ * @param {string} framework - 'react', 'vue' or 'svelte'
+ * @param {string} componentName - PascalCase component name
+ * @returns {string|null} Component source, or null if the SVG can't be read
+ */
+export const createComponentSource = (icon, brand, framework, componentName) => {
+  const { content, roles } = markPlaceholders(icon.currentContent || icon.originalContent, brand);
+  let doc;
+  try {
+    doc = parseSvg(content);
+  } catch (error) {
+    console.error('Failed to parse SVG for component export:', error);
+    return null;
+  }
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return null;
+
+  const usesUid = content.includes(UID_TOKEN);
+  const propOf = (role) => roles.find(({ name }) => name === role)?.prop;
+  const markupExpr = (part) => (part.role ? propOf(part.role) : 'uid');
+  const scriptExpr = (part) => (part.role ? `props.${propOf(part.role)}` : 'uid');
+
+  const writer = WRITERS[framework];
+  const styles = [];
+  const depth = framework === 'react' ? 3 : 2;
+  const children = writeChildren(rootSvg, { doc, writer, expr: markupExpr, styles, depth });
+  const rootAttributes = writeRootAttributes(rootSvg, writer, markupExpr);
+  const pad = '  '.repeat(depth);
+  const roleDocs = (role) => `Brand ${role.name} color`;
+
+  if (framework === 'react') {
+    const cssLines = styles.map(({ name, css }) => `  const ${name} = ${toJsExpression(css, markupExpr)};`);
+    return [
+      `import { ${usesUid ? 'useId, ' : ''}type SVGProps } from 'react';`,
+      '',
+      `export interface ${componentName}Props extends SVGProps<SVGSVGElement> {`,
+      '  /** Width and height (px or any CSS length) */',
+      '  size?: number | string;',
+      '  /** Accessible name; without it the icon is hidden from assistive technology */',
+      '  title?: string;',
+      ...roles.flatMap((role) => [`  /** ${roleDocs(role)} */`, `  ${role.prop}?: string;`]),
+      '}',
+      '',
+      `const ${componentName} = ({ size = ${DEFAULT_COMPONENT_SIZE}, title, ${roles.map(({ prop, value }) => `${prop} = ${quote(value)}, `).join('')}...props }: ${componentName}Props) => {`,
+      // useId returns ":r0:"-style IDs; keep characters valid in url(#...) references
+      ...(usesUid ? ["  const uid = useId().replace(/[^\\w-]/g, '');"] : []),
+      ...cssLines,
+      '  return (',
+      '    <svg',
+      ...rootAttributes.map((attribute) => `      ${attribute}`),
+      '      width={size}',
+      '      height={size}',
+      "      role={title ? 'img' : undefined}",
+      '      aria-hidden={title ? undefined : true}',
+      '      {...props}',
+      '    >',
+      `${pad}{title ? <title>{title}</title> : null}`,
+      ...children,
+      '    </svg>',
+      '  );',
+      '};',
+      '',
+      `export default ${componentName};`,
+      '',
+    ].join('\n');
+  }
+
+  if (framework === 'vue') {
+    const imports = [...(styles.length ? ['computed'] : []), ...(usesUid ? ['useId'] : [])];
+    const propTypes = [
+      '  /** Width and height (px or any CSS length) */',
+      '  size?: number | string;',
+      '  /** Accessible name; without it the icon is hidden from assistive technology */',
+      '  title?: string;',
+      ...roles.flatMap((role) => [`  /** ${roleDocs(role)} */`, `  ${role.prop}?: string;`]),
+    ];
+    const defaults = [`size: ${DEFAULT_COMPONENT_SIZE}`, ...roles.map(({ prop, value }) => `${prop}: ${quote(value)}`)];
+    const usesProps = styles.some(({ css }) => /__ROLE_/.test(css));
+    return [
+      '<script setup lang="ts">',
+      ...(imports.length ? [`import { ${imports.join(', ')} } from 'vue';`, ''] : []),
+      `${usesProps ? 'const props = ' : ''}withDefaults(defineProps<{`,
+      ...propTypes,
+      `}>(), { ${defaults.join(', ')} });`,
+      ...(usesUid ? ['', 'const uid = useId();'] : []),
+      ...styles.map(({ name, css }) => `const ${name} = computed(() => ${toJsExpression(css, scriptExpr)});`),
+      '</script>',
+      '',
+      '<template>',
+      '  <svg',
+      ...rootAttributes.map((attribute) => `    ${attribute}`),
+      '    :width="size"',
+      '    :height="size"',
+      `    :role="title ? 'img' : undefined"`,
+      `    :aria-hidden="title ? undefined : 'true'"`,
+      '  >',
+      `${pad}<title v-if="title">{{ title }}</title>`,
+      ...children,
+      '  </svg>',
+      '</template>',
+      '',
+    ].join('\n');
+  }
+
+  return [
+    ...(usesUid ? ['<script context="module" lang="ts">', '  let instances = 0;', '</script>', ''] : []),
+    '<script lang="ts">',
+    '  /** Width and height (px or any CSS length) */',
+    `  export let size: number | string = ${DEFAULT_COMPONENT_SIZE};`,
+    '  /** Accessible name; without it the icon is hidden from assistive technology */',
+    '  export let title: string | undefined = undefined;',
+    ...roles.flatMap((role) => [`  /** ${roleDocs(role)} */`, `  export let ${role.prop} = ${quote(role.value)};`]),
+    ...(usesUid ? ['', `  const uid = \`${toIdSlug(icon.name)}-\${++instances}\`;`] : []),
+    ...styles.map(({ name, css }) => `  $: ${name} = ${toJsExpression(css, markupExpr)};`),
+    '</script>',
+    '',
+    '<svg',
+    ...rootAttributes.map((attribute) => `  ${attribute}`),
+    '  width={size}',
+    '  height={size}',
+    "  role={title ? 'img' : undefined}",
+    "  aria-hidden={title ? undefined : 'true'}",
+    '  {...$$restProps}',
+    '>',
+    `${'  '}{#if title}<title>{title}</title>{/if}`,
+    ...children.map((line) => line.slice(2)),
+    '</svg>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Generate every component and barrel, ready for downloadAsZip
+ * Files go to react/, vue/ and svelte/, each with an index.ts barrel.
+ * @param {Array} icons - Workspace icons
+ * @param {Function} getBrand - Returns the brand an icon was painted with, or null
+ * @returns {Array<{name: string, currentContent: string}>} ZIP entries
+ */
+export const createComponentFiles = (icons, getBrand) => {
+  const usedNames = new Set();
+  const components = icons.map((icon) => {
+    const base = toComponentName(icon.name);
+    let componentName = base;
+    for (let n = 2; usedNames.has(componentName); n++) componentName = `${base}${n}`;
+    usedNames.add(componentName);
+    return { icon, brand: getBrand(icon), componentName };
+  });
+
+  return COMPONENT_FRAMEWORKS.flatMap(({ id, extension }) => {
+    const files = components
+      .map(({ icon, brand, componentName }) => ({
+        componentName,
+        source: createComponentSource(icon, brand, id, componentName),
+      }))
+      .filter(({ source }) => source !== null);
+
+    const barrel = files.map(({ componentName }) => {
+      const path = id === 'react' ? `./${componentName}` : `./${componentName}.${extension}`;
+      const exports = [`export { default as ${componentName} } from '${path}';`];
+      if (id === 'react') exports.push(`export type { ${componentName}Props } from '${path}';`);
+      return exports.join('\n');
+    });
+
+    return [
+      ...files.map(({ componentName, source }) => ({ name: `${id}/${componentName}.${extension}`, currentContent: source })),
+      { name: `${id}/index.ts`, currentContent: `${barrel.join('\n')}\n` },
+    ];
+  });
+};
+
+export default {
+  COMPONENT_FRAMEWORKS,
+  DEFAULT_COMPONENT_SIZE,
+  toComponentName,
+  createComponentSource,
+  createComponentFiles,
+};
@@ -0,0 +1,211 @@
+/**
+ * Contrast audit utilities
+ * Measures WCAG contrast of the colors a painted SVG actually renders
+ * against a set of target backgrounds
+ */
+
+import { parseSvg, walkElements, findAttribute } from './svgDocument';
+import { SHAPE_ELEMENTS, computePaintStyles } from './svgStyles';
+import { parseColor, formatHex, srgbToLinear } from './colorParser';
+import { getBrandColors } from '../constants/brands';
+
+// WCAG 2.x minimum contrast for non-text UI components and graphics (SC 1.4.11)
+export const NON_TEXT_CONTRAST = 3;
+
+// Backgrounds checked by default; role names resolve against the icon's brand
+export const DEFAULT_CONTRAST_BACKGROUNDS = ['#FFFFFF', '#000000', 'accent'];
+
+// Modes tried, in order, when suggesting a fix for a failing icon
+const SUGGESTION_MODES = ['secondary', 'duo-primary', 'duo-secondary', 'primary'];
+
+// Containers whose content is not painted where it is declared
+const NON_RENDERED_CONTAINERS = ['defs', 'mask', 'clipPath', 'symbol', 'pattern', 'marker'];
+
+/**
+ * WCAG relative luminance of an opaque color
+ * @param {{r: number, g: number, b: number}} rgb - Channels 0-255
+ * @returns {number} Luminance (0-1)
+ */
+export const getRelativeLuminance = ({ r, g, b }) => {
+  return 0.2126 * srgbToLinear(r / 255) + 0.7152 * srgbToLinear(g / 255) + 0.0722 * srgbToLinear(b / 255);
+};
+
+/**
+ * Composite a translucent color over an opaque background
+ * @param {object} color - Parsed color with alpha
+ * @param {object} background - Parsed opaque background
+ * @returns {{r: number, g: number, b: number, alpha: number}} Opaque result
+ */
+const compositeOver = (color, background) => ({
+  r: color.r * color.alpha + background.r * (1 - color.alpha),
+  g: color.g * color.alpha + background.g * (1 - color.alpha),
+  b: color.b * color.alpha + background.b * (1 - color.alpha),
+  alpha: 1,
+});
+
+/**
+ * WCAG contrast ratio between a (possibly translucent) color and a background
+ * @param {string} foreground - Any CSS color
+ * @param {string} background - Any opaque CSS color
+ * @returns {number|null} Ratio from 1 to 21, or null if either color is invalid
+ */
+export const getContrastRatio = (foreground, background) => {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  if (!fg || !bg) return null;
+
+  const lighter = getRelativeLuminance(compositeOver(fg, { ...bg, alpha: 1 }));
+  const darker = getRelativeLuminance(bg);
+  const [high, low] = lighter > darker ? [lighter, darker] : [darker, lighter];
+  return (high + 0.05) / (low + 0.05);
+};
+
+/**
+ * Resolve background entries: palette names take the brand's color
+ * @param {string[]} backgrounds - Colors or palette names ('primary', 'accent'...)
+ * @param {object} brand - Brand colors
+ * @returns {Array<{label: string, color: string}>} Backgrounds with a usable color
+ */
+export const resolveBackgrounds = (backgrounds, brand) => {
+  const colors = brand ? getBrandColors(brand) : [];
+  return backgrounds
+    .map((background) => ({
+      label: background,
+      color: colors.find(({ name }) => name === background)?.value || background,
+    }))
+    .filter(({ color }) => parseColor(color));
+};
+
+/**
+ * Check whether an element sits in a container that is not rendered in place
+ * @param {object} element - Document element
+ * @returns {boolean} True if inside defs, mask, clipPath, symbol, pattern or marker
+ */
+export const isNotRenderedInPlace = (element) => {
+  for (let node = element.parent; node && node.type === 'element'; node = node.parent) {
+    if (NON_RENDERED_CONTAINERS.includes(node.localName)) return true;
+  }
+  return false;
+};
+
+/**
+ * Create a reader for the colors a computed paint value renders
+ * A plain color gives itself; a gradient reference gives each of its stop colors.
+ * @param {object} doc - Parsed SVG document
+ * @param {Map} styles - Computed paint styles (from computePaintStyles)
+ * @returns {function(object): string[]} Paint entry → colors
+ */
+export const createPaintColorReader = (doc, styles) => {
+  const elementsById = new Map();
+  walkElements(doc.root, (element) => {
+    const id = findAttribute(element, 'id')?.value;
+    if (id) elementsById.set(id, element);
+  });
+
+  return (paint) => {
+    const value = paint?.currentColor ? paint.resolved : paint?.value;
+    const reference = /^url\(\s*['"]?#([^'")\s]+)/.exec(value || '');
+    if (!reference) return parseColor(value) ? [value] : [];
+
+    const gradient = elementsById.get(reference[1]);
+    if (!gradient) return [];
+    const stops = [];
+    walkElements(gradient, (stop) => {
+      if (stop.localName !== 'stop') return;
+      const stopColor = styles.get(stop)?.['stop-color'];
+      const color = stopColor?.currentColor ? stopColor.resolved : stopColor?.value;
+      if (parseColor(color)) stops.push(color);
+    });
+    return stops;
+  };
+};
+
+/**
+ * List the distinct colors a painted SVG renders on its shapes
+ * Fills and strokes are taken from the computed cascade; gradient references
+ * contribute each of their stop colors.
+ * @param {string} svgString - The SVG content
+ * @returns {string[]} Distinct colors (hex, with alpha when translucent)
+ */
+export const collectPaintedColors = (svgString) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for contrast audit:', error);
+    return [];
+  }
+
+  const styles = computePaintStyles(doc);
+  const paintColors = createPaintColorReader(doc, styles);
+
+  const colors = new Set();
+  styles.forEach((style, element) => {
+    if (!SHAPE_ELEMENTS.includes(element.localName) || isNotRenderedInPlace(element)) return;
+    ['fill', 'stroke'].forEach((property) => {
+      paintColors(style[property]).forEach((color) => {
+        const rgb = parseColor(color);
+        if (rgb.alpha > 0) colors.add(formatHex(rgb));
+      });
+    });
+  });
+
+  return [...colors];
+};
+
+/**
+ * Audit a painted SVG against target backgrounds
+ * Every painted fill and stroke color is measured against every background; a
+ * background passes when each of them reaches the non-text threshold.
+ * @param {string} svgString - The painted SVG content
+ * @param {Array<{label: string, color: string}>} backgrounds - From resolveBackgrounds
+ * @returns {{colors: string[], results: Array, passes: boolean, worstRatio: number|null}} Audit report;
+ *   results hold { label, background, colors, ratio, passes } per background, where
+ *   colors lists { color, ratio, passes } per painted color and ratio is the lowest
+ */
+export const auditContrast = (svgString, backgrounds) => {
+  const colors = collectPaintedColors(svgString);
+  const results = backgrounds.map(({ label, color: background }) => {
+    const colorResults = colors
+      .map((color) => ({ color, ratio: getContrastRatio(color, background) }))
+      .filter(({ ratio }) => ratio !== null)
+      .map((result) => ({ ...result, passes: result.ratio >= NON_TEXT_CONTRAST }));
+    const ratio = colorResults.length ? Math.min(...colorResults.map((result) => result.ratio)) : null;
+    return { label, background, colors: colorResults, ratio, passes: colorResults.every(({ passes }) => passes) };
+  });
+
+  const ratios = results.map(({ ratio }) => ratio).filter((ratio) => ratio !== null);
+  return {
+    colors,
+    results,
+    passes: results.every(({ passes }) => passes),
+    worstRatio: ratios.length ? Math.min(...ratios) : null,
+  };
+};
+
+/**
+ * Find a color mode that passes every background
+ * @param {Function} render - Called with a mode, returns the painted SVG for it
+ * @param {string} currentMode - The icon's current mode (skipped)
+ * @param {Array<{label: string, color: string}>} backgrounds - From resolveBackgrounds
+ * @returns {string|null} First passing mode, or null if none passes
+ */
+export const suggestContrastMode = (render, currentMode, backgrounds) => {
+  const mode = SUGGESTION_MODES.find((candidate) => {
+    return candidate !== currentMode && auditContrast(render(candidate), backgrounds).passes;
+  });
+  return mode || null;
+};
+
+export default {
+  NON_TEXT_CONTRAST,
+  DEFAULT_CONTRAST_BACKGROUNDS,
+  getRelativeLuminance,
+  getContrastRatio,
+  resolveBackgrounds,
+  isNotRenderedInPlace,
+  createPaintColorReader,
+  collectPaintedColors,
+  auditContrast,
+  suggestContrastMode,
+};
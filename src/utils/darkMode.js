@@ -0,0 +1,192 @@
+/**
+ * Dark mode utilities
+ * Derives a brand's dark palette and merges light and dark renders of an icon
+ * into one SVG that follows prefers-color-scheme
+ */
+
+import {
+  parseSvg,
+  serializeSvg,
+  getRootSvg,
+  walkElements,
+  findAttribute,
+  setAttribute,
+  prependChildMarkup,
+} from './svgDocument';
+import { PAINT_PROPERTIES, computePaintStyles } from './svgStyles';
+import { parseColor, formatHex, rgbToLab, labToRgb } from './colorParser';
+import { hashString } from './svgIds';
+import { DEFAULT_DARK_BACKGROUND, DEFAULT_ROLE_MAP, getBrandColors, normalizeBrand } from '../constants/brands';
+
+// Outline roles must stay at least this light (L*) to read on a dark surface
+const DARK_MIN_LIGHTNESS = 60;
+// ...and no lighter than an off-white, so black outlines don't glare
+const DARK_MAX_LIGHTNESS = 92;
+// Light fill roles (accent) become a dark surface tint in this L* band
+const DARK_SURFACE_LIGHTNESS = [18, 36];
+
+/**
+ * Set the CIELAB lightness of a color, keeping its a/b (hue and chroma)
+ * @param {object} rgb - Parsed color
+ * @param {number} lightness - Target L*
+ * @returns {string} Hex color
+ */
+const withLightness = (rgb, lightness) => {
+  const lab = rgbToLab(rgb);
+  return formatHex(labToRgb({ ...lab, l: lightness }));
+};
+
+/**
+ * Derive the dark-mode version of an outline role (primary, secondary)
+ * Light enough colors are kept; darker ones are mirrored around mid-gray.
+ * @param {string} color - Light-mode color
+ * @returns {string} Dark-mode color
+ */
+const deriveForeground = (color) => {
+  const rgb = parseColor(color);
+  if (!rgb) return color;
+  const { l } = rgbToLab(rgb);
+  if (l >= DARK_MIN_LIGHTNESS) return color;
+  return withLightness(rgb, Math.min(DARK_MAX_LIGHTNESS, Math.max(DARK_MIN_LIGHTNESS, 100 - l)));
+};
+
+/**
+ * Derive the dark-mode version of a fill role (accent)
+ * Light tints become dark tints of the same hue; dark ones are kept.
+ * @param {string} color - Light-mode color
+ * @returns {string} Dark-mode color
+ */
+const deriveSurface = (color) => {
+  const rgb = parseColor(color);
+  if (!rgb) return color;
+  const { l } = rgbToLab(rgb);
+  const [min, max] = DARK_SURFACE_LIGHTNESS;
+  if (l <= max) return color;
+  return withLightness(rgb, Math.min(max, Math.max(min, 100 - l)));
+};
+
+/**
+ * Check whether a palette entry is a fill (surface) color rather than an outline
+ * Accent, and any color whose lightness band sits above the secondary one, fills areas.
+ * @param {object} entry - Palette entry (see getBrandColors)
+ * @returns {boolean} True for fill colors
+ */
+const isSurfaceColor = ({ name, maxLightness }) => {
+  return name === 'accent' || (maxLightness ?? 0) > DEFAULT_ROLE_MAP.secondaryMaxLightness;
+};
+
+/**
+ * Resolve a brand's dark palette: explicit `dark` colors, derived for the rest
+ * @param {object} brand - Brand object with its colors and optional dark
+ * @returns {object} Name → dark color for every palette color, plus background
+ */
+export const createDarkPalette = (brand) => {
+  const palette = Object.fromEntries(getBrandColors(brand).map((entry) => [
+    entry.name,
+    brand.dark?.[entry.name] || (isSurfaceColor(entry) ? deriveSurface(entry.value) : deriveForeground(entry.value)),
+  ]));
+  return { ...palette, background: brand.dark?.background || DEFAULT_DARK_BACKGROUND };
+};
+
+/**
+ * Build the dark version of a brand, ready to paint with
+ * Gradient stops that name a palette color follow the dark colors.
+ * @param {object} brand - Brand object
+ * @returns {object} Brand with its dark palette as its colors
+ */
+export const createDarkBrand = (brand) => {
+  const palette = createDarkPalette(brand);
+  const colors = getBrandColors(brand).map((entry) => ({ ...entry, value: palette[entry.name] }));
+  return normalizeBrand({ ...brand, colors });
+};
+
+/**
+ * Check whether a paint value is a paint-server reference
+ * @param {string} value - Paint value
+ * @returns {boolean} True for url(...)
+ */
+const isUrlPaint = (value) => /^url\(/i.test(value || '');
+
+/**
+ * Merge light and dark renders of one icon into a single SVG
+ * The light render is kept as-is; elements whose own paint differs in the dark
+ * render get a class, and a `@media (prefers-color-scheme: dark)` block swaps
+ * their paint. Both renders must come from the same source (same elements).
+ * @param {string} lightSvg - Light variant
+ * @param {string} darkSvg - Dark variant
+ * @returns {string} Color-scheme-aware SVG (the light SVG if they can't be paired)
+ */
+export const createColorSchemeSvg = (lightSvg, darkSvg) => {
+  let lightDoc;
+  let darkDoc;
+  try {
+    lightDoc = parseSvg(lightSvg);
+    darkDoc = parseSvg(darkSvg);
+  } catch (error) {
+    console.error('Failed to parse SVG for color scheme merge:', error);
+    return lightSvg;
+  }
+
+  const lightRoot = getRootSvg(lightDoc);
+  const darkRoot = getRootSvg(darkDoc);
+  if (!lightRoot || !darkRoot) return lightSvg;
+
+  // Pair elements in document order (recoloring never adds or removes elements)
+  const lightElements = [lightRoot];
+  const darkElements = [darkRoot];
+  walkElements(lightRoot, (element) => lightElements.push(element));
+  walkElements(darkRoot, (element) => darkElements.push(element));
+  if (
+    lightElements.length !== darkElements.length ||
+    lightElements.some((element, i) => element.localName !== darkElements[i].localName)
+  ) {
+    console.warn('Light and dark variants differ in structure; skipping dark styles');
+    return lightSvg;
+  }
+
+  const lightStyles = computePaintStyles(lightDoc);
+  const darkStyles = computePaintStyles(darkDoc);
+  const prefix = `dark-${hashString(darkSvg)}`;
+  const classByDeclarations = new Map();
+
+  lightElements.forEach((element, i) => {
+    const light = lightStyles.get(element);
+    const dark = darkStyles.get(darkElements[i]);
+    if (!light || !dark) return;
+
+    // Only paint set on the element itself; inherited paint follows its parent
+    const declarations = PAINT_PROPERTIES
+      .filter((property) => {
+        const darkPaint = dark[property];
+        if (!darkPaint || darkPaint.source === 'inherited' || darkPaint.source === 'initial') return false;
+        if (darkPaint.value === light[property]?.value) return false;
+        // Gradient IDs differ between renders; their stops are swapped instead
+        return !(isUrlPaint(darkPaint.value) && isUrlPaint(light[property]?.value));
+      })
+      .map((property) => `${property}: ${dark[property].value} !important;`)
+      .join(' ');
+    if (!declarations) return;
+
+    if (!classByDeclarations.has(declarations)) {
+      classByDeclarations.set(declarations, `${prefix}-${classByDeclarations.size}`);
+    }
+    const className = classByDeclarations.get(declarations);
+    const existing = findAttribute(element, 'class')?.value;
+    setAttribute(lightDoc, element, 'class', existing ? `${existing} ${className}` : className);
+  });
+
+  if (classByDeclarations.size === 0) return lightSvg;
+
+  const rules = [...classByDeclarations]
+    .map(([declarations, className]) => `.${className} { ${declarations} }`)
+    .join(' ');
+  prependChildMarkup(lightDoc, lightRoot, `<style>@media (prefers-color-scheme: dark) { ${rules} }</style>`);
+
+  return serializeSvg(lightDoc);
+};
+
+export default {
+  createDarkPalette,
+  createDarkBrand,
+  createColorSchemeSvg,
+};
@@ -0,0 +1,133 @@
+/**
+ * Favicon export
+ * Turns a painted icon into a microsite favicon bundle: a multi-resolution
+ * favicon.ico, an Apple touch icon, Android "any" and maskable PNGs and a
+ * site.webmanifest listing them
+ */
+
+import { renderRaster } from './rasterExport';
+
+// Resolutions packed into favicon.ico
+export const ICO_SIZES = [16, 32, 48];
+
+// Apple touch icon size (iOS scales it down for older devices)
+export const APPLE_TOUCH_SIZE = 180;
+
+// Android / PWA icon sizes
+export const ANDROID_SIZES = [192, 512];
+
+// Maskable icons must keep their content inside a centred circle of 80% of
+// the size, i.e. at least 10% padding on each side
+export const MASKABLE_SAFE_PADDING = 10;
+
+// Padding applies to the Apple touch and maskable icons, which get a solid
+// background; favicon.ico and the "any" icons stay transparent and unpadded
+export const DEFAULT_FAVICON_OPTIONS = {
+  padding: 20,
+  background: '#FFFFFF',
+};
+
+// ICONDIR header and ICONDIRENTRY sizes in bytes
+const ICO_HEADER_SIZE = 6;
+const ICO_ENTRY_SIZE = 16;
+
+/**
+ * Pack PNG images into one .ico file
+ * Uses PNG-compressed entries, which every browser reads.
+ * @param {Array<{size: number, data: ArrayBuffer}>} images - PNG image per size
+ * @returns {Blob} ICO file
+ */
+export const createIco = (images) => {
+  const header = new DataView(new ArrayBuffer(ICO_HEADER_SIZE + ICO_ENTRY_SIZE * images.length));
+  header.setUint16(0, 0, true); // reserved
+  header.setUint16(2, 1, true); // type: icon
+  header.setUint16(4, images.length, true);
+
+  let offset = header.byteLength;
+  images.forEach(({ size, data }, index) => {
+    const entry = ICO_HEADER_SIZE + ICO_ENTRY_SIZE * index;
+    header.setUint8(entry, size >= 256 ? 0 : size); // width (0 = 256)
+    header.setUint8(entry + 1, size >= 256 ? 0 : size); // height
+    header.setUint8(entry + 2, 0); // palette colors
+    header.setUint8(entry + 3, 0); // reserved
+    header.setUint16(entry + 4, 1, true); // color planes
+    header.setUint16(entry + 6, 32, true); // bits per pixel
+    header.setUint32(entry + 8, data.byteLength, true);
+    header.setUint32(entry + 12, offset, true);
+    offset += data.byteLength;
+  });
+
+  return new Blob([header.buffer, ...images.map(({ data }) => data)], { type: 'image/x-icon' });
+};
+
+/**
+ * Build the site.webmanifest listing the Android icons
+ * @param {string} name - App name
+ * @param {string} background - Background color of the maskable icons
+ * @returns {string} Manifest JSON
+ */
+export const createWebManifest = (name, background) => {
+  const icons = ANDROID_SIZES.flatMap((size) => [
+    { src: `/android-chrome-${size}x${size}.png`, sizes: `${size}x${size}`, type: 'image/png', purpose: 'any' },
+    { src: `/maskable-${size}x${size}.png`, sizes: `${size}x${size}`, type: 'image/png', purpose: 'maskable' },
+  ]);
+
+  const manifest = {
+    name,
+    short_name: name,
+    icons,
+    theme_color: background,
+    background_color: background,
+    display: 'standalone',
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+};
+
+/**
+ * Render the favicon bundle of one painted icon, ready for downloadAsZip
+ * @param {string} svgString - Painted SVG content
+ * @param {string} iconName - Icon filename (names the manifest app)
+ * @param {object} options - { padding, background }
+ * @returns {Promise<Array<{name: string, currentContent: string|Blob}>>} ZIP entries
+ */
+export const createFaviconFiles = async (svgString, iconName, { padding, background } = DEFAULT_FAVICON_OPTIONS) => {
+  const icoImages = [];
+  for (const size of ICO_SIZES) {
+    const blob = await renderRaster(svgString, { size, format: 'png' });
+    icoImages.push({ size, data: await blob.arrayBuffer() });
+  }
+
+  const files = [
+    { name: 'favicon.ico', currentContent: createIco(icoImages) },
+    { name: 'favicon.svg', currentContent: svgString },
+    {
+      name: 'apple-touch-icon.png',
+      currentContent: await renderRaster(svgString, { size: APPLE_TOUCH_SIZE, format: 'png', background, padding }),
+    },
+  ];
+
+  for (const size of ANDROID_SIZES) {
+    files.push({
+      name: `android-chrome-${size}x${size}.png`,
+      currentContent: await renderRaster(svgString, { size, format: 'png' }),
+    });
+    files.push({
+      name: `maskable-${size}x${size}.png`,
+      currentContent: await renderRaster(svgString, { size, format: 'png', background, padding }),
+    });
+  }
+
+  files.push({ name: 'site.webmanifest', currentContent: createWebManifest(iconName.replace(/\.svg$/i, ''), background) });
+  return files;
+};
+
+export default {
+  ICO_SIZES,
+  APPLE_TOUCH_SIZE,
+  ANDROID_SIZES,
+  MASKABLE_SAFE_PADDING,
+  DEFAULT_FAVICON_OPTIONS,
+  createIco,
+  createWebManifest,
+  createFaviconFiles,
+};
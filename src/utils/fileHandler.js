@@ -74,12 +74,11 @@ export const processSvgFiles = async (files) => {
 };
 
 /**
- * Download a single SVG file
- * @param {string} content - The SVG content
+ * Download a blob as a file
+ * @param {Blob} blob - The file content
  * @param {string} filename - The filename to use
  */
-export const downloadSvg = (content, filename) => {
-  const blob = svgToBlob(content);
+const downloadBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
 
   const link = document.createElement('a');
@@ -93,6 +92,25 @@ export const downloadSvg = (content, filename) => {
   setTimeout(() => URL.revokeObjectURL(url), 100);
 };
 
+/**
+ * Download a single SVG file
+ * @param {string} content - The SVG content
+ * @param {string} filename - The filename to use
+ */
+export const downloadSvg = (content, filename) => {
+  downloadBlob(svgToBlob(content), filename);
+};
+
+/**
+ * Download a text file (JSON, CSS, ...)
+ * @param {string} content - The file content
+ * @param {string} filename - The filename to use
+ * @param {string} mimeType - MIME type (default: text/plain)
+ */
+export const downloadTextFile = (content, filename, mimeType = 'text/plain') => {
+  downloadBlob(new Blob([content], { type: mimeType }), filename);
+};
+
 /**
  * Download multiple SVG files as a ZIP archive
  * @param {Array} icons - Array of icon objects with content and name
@@ -135,6 +153,17 @@ export const getFileExtension = (filename) => {
   return parts.length > 1 ? parts.pop().toLowerCase() : '';
 };
 
+/**
+ * Add a suffix before a filename's extension
+ * @param {string} filename - The filename (e.g. "icon.svg")
+ * @param {string} suffix - Suffix to add (e.g. "-themable")
+ * @returns {string} Filename with suffix (e.g. "icon-themable.svg")
+ */
+export const addFilenameSuffix = (filename, suffix) => {
+  const ext = getFileExtension(filename);
+  return ext ? `${filename.slice(0, -(ext.length + 1))}${suffix}.${ext}` : `${filename}${suffix}`;
+};
+
 /**
  * Generate a unique filename if duplicate exists
  * @param {string} filename - The original filename
@@ -164,7 +193,9 @@ export default {
   isValidSvg,
   processSvgFiles,
   downloadSvg,
+  downloadTextFile,
   downloadAsZip,
   getFileExtension,
+  addFilenameSuffix,
   generateUniqueFilename,
 };
@@ -0,0 +1,735 @@
+/**
+ * Icon font
+ * Compiles monochrome icons into an icon font entirely in the browser: an SVG
+ * font, a TrueType font, a WOFF2 wrapper of it and a CSS file mapping
+ * .<prefix>-<name> classes to Private Use Area codepoints
+ */
+
+import { parseSvg, getRootSvg, walkElements, getAttribute, getTransformMatrix } from './svgDocument';
+import { computePaintStyles } from './svgStyles';
+import { getViewBox } from './colorMapper';
+import { createPaintColorReader, isNotRenderedInPlace, collectPaintedColors } from './contrastAudit';
+import { flattenPath } from './logoPalette';
+import { toIdSlug, createUniqueId } from './svgIds';
+import { parseColor, formatHex } from './colorParser';
+
+// Em square; icons are fitted into it and sit from the descender to the ascender
+export const ICON_FONT_UNITS_PER_EM = 1000;
+const ASCENT = 850;
+const DESCENT = -150;
+
+// First Private Use Area codepoint; icons get consecutive codepoints from here
+export const ICON_FONT_FIRST_CODEPOINT = 0xe000;
+
+export const DEFAULT_ICON_FONT_OPTIONS = {
+  fontName: 'icons',
+  classPrefix: 'icon',
+};
+
+// Shapes that become glyph outlines (text can't be outlined without the font it uses)
+const OUTLINE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline'];
+
+// Other elements that draw but are left out of glyphs
+const UNSUPPORTED_ELEMENTS = ['text', 'image', 'use'];
+
+/**
+ * Read a length, resolving percentages against a reference size
+ * @param {string|null} value - Attribute value
+ * @param {number} reference - Size 100% stands for
+ * @returns {number} Length (0 if missing)
+ */
+const readLength = (value, reference) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 0;
+  return /%\s*$/.test(value) ? (number / 100) * reference : number;
+};
+
+/**
+ * Express a basic shape as path data
+ * @param {object} element - Shape element
+ * @param {{width: number, height: number}} box - Drawing area, for percentages
+ * @returns {string} Path data
+ */
+const shapeToPathData = (element, box) => {
+  const read = (name, reference) => readLength(getAttribute(element, name), reference);
+  const diagonal = Math.sqrt((box.width ** 2 + box.height ** 2) / 2);
+
+  switch (element.localName) {
+    case 'path':
+      return getAttribute(element, 'd') || '';
+    case 'rect': {
+      const [x, y, width, height] = [read('x', box.width), read('y', box.height), read('width', box.width), read('height', box.height)];
+      if (width <= 0 || height <= 0) return '';
+      // A missing radius takes the other one; both are capped at half the side
+      const rxValue = getAttribute(element, 'rx');
+      const ryValue = getAttribute(element, 'ry');
+      let rx = rxValue !== null ? read('rx', box.width) : read('ry', box.height);
+      let ry = ryValue !== null ? read('ry', box.height) : rx;
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+      if (rx <= 0 || ry <= 0) return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+      return `M${x + rx} ${y}H${x + width - rx}A${rx} ${ry} 0 0 1 ${x + width} ${y + ry}`
+        + `V${y + height - ry}A${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}`
+        + `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + height - ry}V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = read('cx', box.width);
+      const cy = read('cy', box.height);
+      const rx = element.localName === 'circle' ? read('r', diagonal) : read('rx', box.width);
+      const ry = element.localName === 'circle' ? rx : read('ry', box.height);
+      if (rx <= 0 || ry <= 0) return '';
+      return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+    }
+    case 'polygon':
+    case 'polyline': {
+      const numbers = (getAttribute(element, 'points') || '').trim().split(/[\s,]+/).map(parseFloat).filter(Number.isFinite);
+      if (numbers.length < 6) return '';
+      return `M${numbers.slice(0, 2).join(' ')}L${numbers.slice(2, numbers.length - (numbers.length % 2)).join(' ')}Z`;
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Signed area of a contour; positive when counter-clockwise in font (y-up) space
+ * @param {Array<[number, number]>} points - Contour
+ * @returns {number} Signed area
+ */
+const contourArea = (points) => {
+  let sum = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  });
+  return sum / 2;
+};
+
+/**
+ * Check whether a point lies inside a contour (even-odd ray casting)
+ * @param {[number, number]} point - Point
+ * @param {Array<[number, number]>} contour - Contour
+ * @returns {boolean} True if inside
+ */
+const isInside = ([px, py], contour) => {
+  let inside = false;
+  contour.forEach(([x1, y1], i) => {
+    const [x2, y2] = contour[(i + 1) % contour.length];
+    if ((y1 > py) !== (y2 > py) && px < ((x2 - x1) * (py - y1)) / (y2 - y1) + x1) inside = !inside;
+  });
+  return inside;
+};
+
+/**
+ * Wind one shape's contours for TrueType's nonzero fill
+ * Filled regions run clockwise. An evenodd shape's holes are recognised by how
+ * many of its other contours enclose them; a nonzero shape keeps its own
+ * relative windings and is only flipped as a whole.
+ * @param {Array<Array<[number, number]>>} contours - Contours of one shape
+ * @param {string} fillRule - 'nonzero' or 'evenodd'
+ * @returns {Array<Array<[number, number]>>} Contours in TrueType winding
+ */
+const windContours = (contours, fillRule) => {
+  if (fillRule === 'evenodd') {
+    return contours.map((contour) => {
+      const depth = contours.filter((other) => other !== contour && isInside(contour[0], other)).length;
+      const clockwise = contourArea(contour) < 0;
+      return clockwise === (depth % 2 === 0) ? contour : [...contour].reverse();
+    });
+  }
+  const total = contours.reduce((sum, contour) => sum + contourArea(contour), 0);
+  return total > 0 ? contours.map((contour) => [...contour].reverse()) : contours;
+};
+
+/**
+ * Turn an icon's filled shapes into glyph contours
+ * The viewBox is fitted into the em square (centred), y is flipped to font
+ * space and every shape's transforms are applied. Fill color doesn't matter:
+ * a glyph takes the text color.
+ * @param {string} svgString - Icon SVG content
+ * @returns {{contours: Array<Array<[number, number]>>, issues: string[]}} Contours in font units, and what was left out
+ */
+export const createGlyphOutline = (svgString) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for icon font:', error);
+    return { contours: [], issues: ['Not a readable SVG'] };
+  }
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return { contours: [], issues: ['Not a readable SVG'] };
+
+  const box = getViewBox(rootSvg) || { x: 0, y: 0, width: 24, height: 24 };
+  const scale = ICON_FONT_UNITS_PER_EM / Math.max(box.width, box.height);
+  const offsetX = (ICON_FONT_UNITS_PER_EM - box.width * scale) / 2;
+  const offsetY = (ICON_FONT_UNITS_PER_EM - box.height * scale) / 2;
+
+  const styles = computePaintStyles(doc, { 'fill-rule': 'nonzero' });
+  const paintColors = createPaintColorReader(doc, styles);
+  const contours = [];
+  const issues = new Set();
+
+  walkElements(rootSvg, (element) => {
+    if (isNotRenderedInPlace(element)) return;
+    if (UNSUPPORTED_ELEMENTS.includes(element.localName)) {
+      issues.add(`<${element.localName}> is not included`);
+      return;
+    }
+    if (!OUTLINE_ELEMENTS.includes(element.localName)) return;
+    const style = styles.get(element);
+    if (!style) return;
+
+    const isPainted = (paint) => paintColors(paint).some((color) => parseColor(color).alpha > 0);
+    if (isPainted(style.stroke)) issues.add('Strokes are not included (outline them first)');
+    if (!isPainted(style.fill)) return;
+
+    const [a, b, c, d, e, f] = getTransformMatrix(element);
+    const shapeContours = flattenPath(shapeToPathData(element, box))
+      .map((points) => {
+        const contour = [];
+        points.forEach(([x, y]) => {
+          const point = [
+            Math.round(((a * x + c * y + e) - box.x) * scale + offsetX),
+            Math.round(ASCENT - (((b * x + d * y + f) - box.y) * scale + offsetY)),
+          ];
+          const last = contour[contour.length - 1];
+          if (!last || last[0] !== point[0] || last[1] !== point[1]) contour.push(point);
+        });
+        // flattenPath may repeat the start point to close the subpath
+        const [first] = contour;
+        const last = contour[contour.length - 1];
+        if (contour.length > 1 && first[0] === last[0] && first[1] === last[1]) contour.pop();
+        return contour;
+      })
+      .filter((contour) => contour.length > 2 && contourArea(contour) !== 0);
+
+    contours.push(...windContours(shapeContours, style['fill-rule'].value === 'evenodd' ? 'evenodd' : 'nonzero'));
+  });
+
+  return { contours, issues: [...issues] };
+};
+
+/**
+ * Check an icon for what an icon font can't show
+ * @param {string} svgString - Icon SVG content
+ * @returns {string[]} Human-readable issues (empty when the icon fits a font as-is)
+ */
+export const inspectIconForFont = (svgString) => {
+  const { contours, issues } = createGlyphOutline(svgString);
+  const colors = new Set(collectPaintedColors(svgString).map((color) => formatHex({ ...parseColor(color), alpha: 1 })));
+  const result = [...issues];
+  if (colors.size > 1) result.unshift(`${colors.size} colors: a font glyph has one`);
+  if (contours.length === 0 && issues.length === 0) result.push('Nothing filled to draw');
+  return result;
+};
+
+/**
+ * Write glyph contours as SVG font path data (font units, y up)
+ * @param {Array<Array<[number, number]>>} contours - Contours
+ * @returns {string} Path data
+ */
+const contoursToPathData = (contours) => contours
+  .map((contour) => `M${contour[0].join(' ')}L${contour.slice(1).map((point) => point.join(' ')).join(' ')}Z`)
+  .join('');
+
+/**
+ * Build the SVG font
+ * @param {Array<{name: string, codepoint: number, contours: Array}>} glyphs - Glyphs
+ * @param {string} fontName - Font family name
+ * @param {string} fontId - ID of the <font> element, referenced as file.svg#id
+ * @returns {string} SVG font document
+ */
+export const createSvgFont = (glyphs, fontName, fontId) => {
+  const glyphMarkup = glyphs.map(({ name, codepoint, contours }) => (
+    `    <glyph glyph-name="${name}" unicode="&#x${codepoint.toString(16).toUpperCase()};" horiz-adv-x="${ICON_FONT_UNITS_PER_EM}" d="${contoursToPathData(contours)}" />`
+  ));
+
+  return `<?xml version="1.0" standalone="no"?>
+<svg xmlns="http://www.w3.org/2000/svg">
+<defs>
+  <font id="${fontId}" horiz-adv-x="${ICON_FONT_UNITS_PER_EM}">
+    <font-face font-family="${fontName}" font-weight="400" font-style="normal" units-per-em="${ICON_FONT_UNITS_PER_EM}" ascent="${ASCENT}" descent="${DESCENT}" />
+    <missing-glyph horiz-adv-x="${ICON_FONT_UNITS_PER_EM}" />
+${glyphMarkup.join('\n')}
+  </font>
+</defs>
+</svg>
+`;
+};
+
+/**
+ * Growable big-endian byte writer for binary font tables
+ * @returns {object} Writer with u8/u16/i16/u32/bytes and toBytes
+ */
+const createWriter = () => {
+  const bytes = [];
+  const writer = {
+    u8: (value) => { bytes.push(value & 0xff); return writer; },
+    u16: (value) => { bytes.push((value >> 8) & 0xff, value & 0xff); return writer; },
+    i16: (value) => writer.u16(value < 0 ? value + 0x10000 : value),
+    u32: (value) => { writer.u16(Math.floor(value / 0x10000) & 0xffff); return writer.u16(value & 0xffff); },
+    bytes: (data) => { data.forEach((byte) => bytes.push(byte)); return writer; },
+    tag: (text) => writer.bytes([...text].map((char) => char.charCodeAt(0))),
+    length: () => bytes.length,
+    toBytes: () => Uint8Array.from(bytes),
+  };
+  return writer;
+};
+
+/**
+ * TrueType table checksum: sum of big-endian uint32s, zero-padded
+ * @param {Uint8Array} data - Table data
+ * @returns {number} Checksum
+ */
+const tableChecksum = (data) => {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    sum = (sum + (((data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0)) >>> 0)) >>> 0;
+  }
+  return sum;
+};
+
+/**
+ * Encode one glyph for the glyf table
+ * Every point is on-curve (curves arrive flattened); coordinates are stored as
+ * deltas in the shortest form.
+ * @param {Array<Array<[number, number]>>} contours - Contours
+ * @returns {{data: Uint8Array, bounds: number[]|null, points: number}} Glyph data, [xMin, yMin, xMax, yMax] and point count
+ */
+const encodeGlyph = (contours) => {
+  if (contours.length === 0) return { data: new Uint8Array(0), bounds: null, points: 0 };
+  const points = contours.flat();
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const bounds = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+
+  const flags = [];
+  const xBytes = createWriter();
+  const yBytes = createWriter();
+  let previous = [0, 0];
+  points.forEach(([x, y]) => {
+    let flag = 0x01; // on curve
+    const dx = x - previous[0];
+    const dy = y - previous[1];
+    if (dx === 0) flag |= 0x10;
+    else if (Math.abs(dx) < 256) { flag |= 0x02 | (dx > 0 ? 0x10 : 0); xBytes.u8(Math.abs(dx)); } else xBytes.i16(dx);
+    if (dy === 0) flag |= 0x20;
+    else if (Math.abs(dy) < 256) { flag |= 0x04 | (dy > 0 ? 0x20 : 0); yBytes.u8(Math.abs(dy)); } else yBytes.i16(dy);
+    flags.push(flag);
+    previous = [x, y];
+  });
+
+  const glyph = createWriter().i16(contours.length);
+  bounds.forEach((value) => glyph.i16(value));
+  let end = -1;
+  contours.forEach((contour) => {
+    end += contour.length;
+    glyph.u16(end);
+  });
+  glyph.u16(0); // no instructions
+  glyph.bytes(flags).bytes(xBytes.toBytes()).bytes(yBytes.toBytes());
+  while (glyph.length() % 4) glyph.u8(0);
+
+  return { data: glyph.toBytes(), bounds, points: points.length };
+};
+
+/**
+ * Encode a name table string as UTF-16BE
+ * @param {string} text - Text
+ * @returns {number[]} Bytes
+ */
+const utf16be = (text) => text.split('').flatMap((char) => {
+  const code = char.charCodeAt(0);
+  return [code >> 8, code & 0xff];
+});
+
+/**
+ * Build a TrueType font
+ * Glyph 0 is an empty .notdef; icon glyphs follow in order, each one em wide.
+ * @param {Array<{name: string, codepoint: number, contours: Array}>} glyphs - Glyphs with consecutive codepoints
+ * @param {string} fontName - Font family name
+ * @returns {Uint8Array} TTF file
+ */
+export const createTtf = (glyphs, fontName) => {
+  const encoded = [{ data: new Uint8Array(0), bounds: null, points: 0 }, ...glyphs.map(({ contours }) => encodeGlyph(contours))];
+  const numGlyphs = encoded.length;
+  const allBounds = encoded.map(({ bounds }) => bounds).filter(Boolean);
+  const fontBounds = allBounds.length
+    ? [Math.min(...allBounds.map((b) => b[0])), Math.min(...allBounds.map((b) => b[1])), Math.max(...allBounds.map((b) => b[2])), Math.max(...allBounds.map((b) => b[3]))]
+    : [0, 0, 0, 0];
+  const codepoints = glyphs.map(({ codepoint }) => codepoint);
+  const firstChar = codepoints.length ? Math.min(...codepoints) : 0xffff;
+  const lastChar = codepoints.length ? Math.max(...codepoints) : 0xffff;
+  // Seconds between 1904-01-01 and 1970-01-01
+  const created = Math.floor(Date.now() / 1000) + 2082844800;
+
+  const tables = {};
+
+  // glyf and loca (long offsets)
+  const glyf = createWriter();
+  const loca = createWriter();
+  encoded.forEach(({ data }) => {
+    loca.u32(glyf.length());
+    glyf.bytes(data);
+  });
+  loca.u32(glyf.length());
+  tables.glyf = glyf.toBytes();
+  tables.loca = loca.toBytes();
+
+  tables.head = createWriter()
+    .u32(0x00010000).u32(0x00010000) // version, fontRevision 1.0
+    .u32(0) // checkSumAdjustment, set once the file is assembled
+    .u32(0x5f0f3cf5) // magic
+    .u16(0x000b) // baseline at y=0, lsb at x=0, integer scaling
+    .u16(ICON_FONT_UNITS_PER_EM)
+    .u32(0).u32(created).u32(0).u32(created) // created, modified
+    .i16(fontBounds[0]).i16(fontBounds[1]).i16(fontBounds[2]).i16(fontBounds[3])
+    .u16(0) // macStyle
+    .u16(8) // lowestRecPPEM
+    .i16(2) // fontDirectionHint
+    .i16(1) // indexToLocFormat: long
+    .i16(0) // glyphDataFormat
+    .toBytes();
+
+  const lsbs = encoded.map(({ bounds }) => (bounds ? bounds[0] : 0));
+  const rsbs = encoded.map(({ bounds }) => (bounds ? ICON_FONT_UNITS_PER_EM - bounds[2] : 0));
+  tables.hhea = createWriter()
+    .u32(0x00010000)
+    .i16(ASCENT).i16(DESCENT).i16(0) // ascender, descender, lineGap
+    .u16(ICON_FONT_UNITS_PER_EM) // advanceWidthMax
+    .i16(Math.min(...lsbs)).i16(Math.min(...rsbs)).i16(fontBounds[2]) // minLeftSideBearing, minRightSideBearing, xMaxExtent
+    .i16(1).i16(0).i16(0) // caretSlopeRise, caretSlopeRun, caretOffset
+    .i16(0).i16(0).i16(0).i16(0) // reserved
+    .i16(0) // metricDataFormat
+    .u16(numGlyphs) // numberOfHMetrics
+    .toBytes();
+
+  const hmtx = createWriter();
+  lsbs.forEach((lsb) => hmtx.u16(ICON_FONT_UNITS_PER_EM).i16(lsb));
+  tables.hmtx = hmtx.toBytes();
+
+  tables.maxp = createWriter()
+    .u32(0x00010000)
+    .u16(numGlyphs)
+    .u16(Math.max(0, ...encoded.map(({ points }) => points))) // maxPoints
+    .u16(Math.max(0, ...glyphs.map(({ contours }) => contours.length))) // maxContours
+    .u16(0).u16(0) // maxCompositePoints, maxCompositeContours
+    .u16(2) // maxZones
+    .u16(0).u16(0).u16(0).u16(0).u16(0).u16(0) // twilight points, storage, function defs, instruction defs, stack, instructions
+    .u16(0).u16(0) // maxComponentElements, maxComponentDepth
+    .toBytes();
+
+  tables['OS/2'] = createWriter()
+    .u16(4) // version
+    .i16(ICON_FONT_UNITS_PER_EM) // xAvgCharWidth
+    .u16(400).u16(5).u16(0) // weight, width, fsType (installable)
+    .i16(650).i16(600).i16(0).i16(75) // subscript size and offset
+    .i16(650).i16(600).i16(0).i16(350) // superscript size and offset
+    .i16(50).i16(250) // strikeout size, position
+    .i16(0) // sFamilyClass
+    .bytes(new Array(10).fill(0)) // panose
+    .u32(0).u32(1 << 28).u32(0).u32(0) // ulUnicodeRange: bit 60, Private Use Area
+    .tag('NONE') // achVendID
+    .u16(0x0040) // fsSelection: regular
+    .u16(firstChar).u16(lastChar)
+    .i16(ASCENT).i16(DESCENT).i16(0) // typo ascender, descender, line gap
+    .u16(Math.max(ASCENT, fontBounds[3])).u16(Math.max(-DESCENT, -fontBounds[1])) // win ascent, descent
+    .u32(1).u32(0) // ulCodePageRange: Latin 1
+    .i16(0).i16(0) // sxHeight, sCapHeight
+    .u16(0).u16(32).u16(0) // default char, break char, max context
+    .toBytes();
+
+  // cmap: one format 4 subtable (Windows Unicode BMP); consecutive codepoints share a segment
+  const segments = [];
+  glyphs.forEach(({ codepoint }, index) => {
+    const glyphId = index + 1;
+    const last = segments[segments.length - 1];
+    if (last && codepoint === last.end + 1 && glyphId - codepoint === last.delta) {
+      last.end = codepoint;
+    } else {
+      segments.push({ start: codepoint, end: codepoint, delta: glyphId - codepoint });
+    }
+  });
+  segments.push({ start: 0xffff, end: 0xffff, delta: 1 });
+  const segCount = segments.length;
+  const entrySelector = Math.floor(Math.log2(segCount));
+  const searchRange = 2 * 2 ** entrySelector;
+  const subtable = createWriter()
+    .u16(4) // format
+    .u16(16 + segCount * 8) // length
+    .u16(0) // language
+    .u16(segCount * 2).u16(searchRange).u16(entrySelector).u16(segCount * 2 - searchRange);
+  segments.forEach(({ end }) => subtable.u16(end));
+  subtable.u16(0); // reservedPad
+  segments.forEach(({ start }) => subtable.u16(start));
+  segments.forEach(({ delta }) => subtable.u16((delta + 0x10000) % 0x10000));
+  segments.forEach(() => subtable.u16(0)); // idRangeOffset
+  tables.cmap = createWriter()
+    .u16(0).u16(1) // version, numTables
+    .u16(3).u16(1).u32(12) // Windows, Unicode BMP, offset
+    .bytes(subtable.toBytes())
+    .toBytes();
+
+  // name: Windows English records
+  const postScriptName = fontName.replace(/[^A-Za-z0-9-]/g, '') || 'icons';
+  const names = [
+    [1, fontName],
+    [2, 'Regular'],
+    [3, `${postScriptName}:1.0`],
+    [4, fontName],
+    [5, 'Version 1.0'],
+    [6, postScriptName],
+  ];
+  const nameTable = createWriter().u16(0).u16(names.length).u16(6 + names.length * 12);
+  const strings = [];
+  let stringOffset = 0;
+  names.forEach(([nameId, text]) => {
+    const data = utf16be(text);
+    nameTable.u16(3).u16(1).u16(0x0409).u16(nameId).u16(data.length).u16(stringOffset);
+    strings.push(...data);
+    stringOffset += data.length;
+  });
+  tables.name = nameTable.bytes(strings).toBytes();
+
+  tables.post = createWriter()
+    .u32(0x00030000) // version 3: no glyph names
+    .u32(0) // italicAngle
+    .i16(-75).i16(50) // underline position, thickness
+    .u32(0) // isFixedPitch
+    .u32(0).u32(0).u32(0).u32(0) // memory usage hints
+    .toBytes();
+
+  // Assemble: tables sorted by tag, each 4-byte aligned
+  const tags = Object.keys(tables).sort();
+  const entrySelectorTables = Math.floor(Math.log2(tags.length));
+  const searchRangeTables = 16 * 2 ** entrySelectorTables;
+  const font = createWriter()
+    .u32(0x00010000)
+    .u16(tags.length).u16(searchRangeTables).u16(entrySelectorTables).u16(tags.length * 16 - searchRangeTables);
+
+  let offset = 12 + tags.length * 16;
+  tags.forEach((tag) => {
+    const data = tables[tag];
+    font.tag(tag).u32(tableChecksum(data)).u32(offset).u32(data.length);
+    offset += Math.ceil(data.length / 4) * 4;
+  });
+  tags.forEach((tag) => {
+    font.bytes(tables[tag]);
+    while (font.length() % 4) font.u8(0);
+  });
+
+  const bytes = font.toBytes();
+  const headOffset = 12 + tags.length * 16 + tags.slice(0, tags.indexOf('head')).reduce((sum, tag) => sum + Math.ceil(tables[tag].length / 4) * 4, 0);
+  const adjustment = (0xb1b0afba - tableChecksum(bytes) + 0x100000000) % 0x100000000;
+  new DataView(bytes.buffer).setUint32(headOffset + 8, adjustment);
+  return bytes;
+};
+
+// Tags WOFF2 can refer to by index (the first entries of its known-tag list)
+const WOFF2_KNOWN_TAGS = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep'];
+
+// Largest stored (uncompressed) Brotli meta-block
+const BROTLI_BLOCK_SIZE = 65536;
+
+/**
+ * Wrap data in a Brotli stream of stored (uncompressed) meta-blocks
+ * Browsers have no Brotli encoder, but every decoder accepts stored blocks.
+ * @param {Uint8Array} data - Data
+ * @returns {Uint8Array} Brotli stream
+ */
+const createStoredBrotli = (data) => {
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const writeBits = (value, count) => {
+    for (let i = 0; i < count; i++) {
+      bitBuffer |= ((value >> i) & 1) << bitCount;
+      bitCount++;
+      if (bitCount === 8) {
+        bytes.push(bitBuffer);
+        bitBuffer = 0;
+        bitCount = 0;
+      }
+    }
+  };
+  const alignToByte = () => {
+    if (bitCount > 0) writeBits(0, 8 - bitCount);
+  };
+
+  writeBits(0, 1); // WBITS = 16
+  for (let offset = 0; offset < data.length; offset += BROTLI_BLOCK_SIZE) {
+    const block = data.subarray(offset, offset + BROTLI_BLOCK_SIZE);
+    writeBits(0, 1); // ISLAST
+    writeBits(0, 2); // MNIBBLES = 4
+    writeBits(block.length - 1, 16); // MLEN - 1
+    writeBits(1, 1); // ISUNCOMPRESSED
+    alignToByte();
+    block.forEach((byte) => bytes.push(byte));
+  }
+  writeBits(1, 1); // ISLAST
+  writeBits(1, 1); // ISLASTEMPTY
+  alignToByte();
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Encode a number as a WOFF2 UIntBase128
+ * @param {number} value - Value
+ * @returns {number[]} Bytes
+ */
+const uintBase128 = (value) => {
+  const bytes = [value & 0x7f];
+  for (let rest = Math.floor(value / 128); rest > 0; rest = Math.floor(rest / 128)) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+  }
+  return bytes;
+};
+
+/**
+ * Wrap a TrueType font as WOFF2
+ * Tables are stored untransformed (glyf/loca use the null transform) in a
+ * stored Brotli stream, so the file is about TTF-sized but loads anywhere
+ * WOFF2 does.
+ * @param {Uint8Array} ttf - TrueType font from createTtf
+ * @returns {Uint8Array} WOFF2 file
+ */
+export const createWoff2 = (ttf) => {
+  const view = new DataView(ttf.buffer, ttf.byteOffset, ttf.byteLength);
+  const numTables = view.getUint16(4);
+  const tables = Array.from({ length: numTables }, (_, i) => {
+    const record = 12 + i * 16;
+    const tag = String.fromCharCode(...ttf.subarray(record, record + 4));
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    return { tag, data: ttf.subarray(offset, offset + length) };
+  });
+
+  const directory = createWriter();
+  tables.forEach(({ tag, data }) => {
+    const known = WOFF2_KNOWN_TAGS.indexOf(tag);
+    // Transform version 3 is the null transform for glyf and loca, 0 for every other table
+    const transform = tag === 'glyf' || tag === 'loca' ? 3 : 0;
+    directory.u8((known === -1 ? 63 : known) | (transform << 6));
+    if (known === -1) directory.tag(tag);
+    directory.bytes(uintBase128(data.length));
+  });
+
+  const stream = new Uint8Array(tables.reduce((sum, { data }) => sum + data.length, 0));
+  let position = 0;
+  tables.forEach(({ data }) => {
+    stream.set(data, position);
+    position += data.length;
+  });
+  const compressed = createStoredBrotli(stream);
+
+  const headerSize = 48;
+  const directoryBytes = directory.toBytes();
+  const length = Math.ceil((headerSize + directoryBytes.length + compressed.length) / 4) * 4;
+
+  const woff2 = createWriter()
+    .tag('wOF2')
+    .u32(0x00010000) // flavor: TrueType
+    .u32(length)
+    .u16(numTables)
+    .u16(0) // reserved
+    .u32(ttf.length) // totalSfntSize
+    .u32(compressed.length)
+    .u16(1).u16(0) // version 1.0
+    .u32(0).u32(0).u32(0) // no metadata
+    .u32(0).u32(0) // no private data
+    .bytes(directoryBytes)
+    .bytes(compressed);
+  while (woff2.length() < length) woff2.u8(0);
+  return woff2.toBytes();
+};
+
+/**
+ * Build the stylesheet mapping classes to codepoints
+ * @param {Array<{name: string, codepoint: number}>} glyphs - Glyphs
+ * @param {string} fontName - Font family name
+ * @param {string} fileBase - Font filename without extension
+ * @param {string} classPrefix - Class prefix (e.g. "icon" for .icon-home)
+ * @returns {string} CSS
+ */
+export const createIconFontCss = (glyphs, fontName, fileBase, classPrefix) => {
+  const classes = glyphs.map(({ name, codepoint }) => `.${classPrefix}-${name}::before {
+  content: "\\${codepoint.toString(16)}";
+}`);
+
+  return `@font-face {
+  font-family: "${fontName}";
+  src: url("${fileBase}.woff2") format("woff2"),
+    url("${fileBase}.ttf") format("truetype"),
+    url("${fileBase}.svg#${fileBase}") format("svg");
+  font-weight: normal;
+  font-style: normal;
+  font-display: block;
+}
+
+[class^="${classPrefix}-"],
+[class*=" ${classPrefix}-"] {
+  font-family: "${fontName}" !important;
+  font-style: normal;
+  font-weight: normal;
+  font-variant: normal;
+  text-transform: none;
+  line-height: 1;
+  speak: never;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+
+${classes.join('\n\n')}
+`;
+};
+
+/**
+ * Compile icons into an icon font, ready for downloadAsZip
+ * Glyph names are slugs of the icon names; codepoints start at U+E000 in icon order.
+ * @param {Array} icons - Icons with name and currentContent
+ * @param {object} options - { fontName, classPrefix }
+ * @returns {{files: Array<{name: string, currentContent: string|Uint8Array}>, glyphs: Array, fileBase: string}} ZIP entries, the glyph map and the filename base
+ */
+export const createIconFontFiles = (icons, { fontName, classPrefix } = DEFAULT_ICON_FONT_OPTIONS) => {
+  const family = fontName.trim().replace(/["\\<>&]/g, '') || DEFAULT_ICON_FONT_OPTIONS.fontName;
+  const prefix = toIdSlug(classPrefix || DEFAULT_ICON_FONT_OPTIONS.classPrefix);
+  const fileBase = toIdSlug(family);
+  const usedNames = new Set();
+
+  const glyphs = icons.map((icon, index) => {
+    const name = createUniqueId(toIdSlug(icon.name), usedNames);
+    usedNames.add(name);
+    return {
+      name,
+      codepoint: ICON_FONT_FIRST_CODEPOINT + index,
+      contours: createGlyphOutline(icon.currentContent || icon.originalContent).contours,
+    };
+  });
+
+  const ttf = createTtf(glyphs, family);
+  return {
+    glyphs,
+    fileBase,
+    files: [
+      { name: `${fileBase}.svg`, currentContent: createSvgFont(glyphs, family, fileBase) },
+      { name: `${fileBase}.ttf`, currentContent: ttf },
+      { name: `${fileBase}.woff2`, currentContent: createWoff2(ttf) },
+      { name: `${fileBase}.css`, currentContent: createIconFontCss(glyphs, family, fileBase, prefix) },
+    ],
+  };
+};
+
+export default {
+  ICON_FONT_UNITS_PER_EM,
+  ICON_FONT_FIRST_CODEPOINT,
+  DEFAULT_ICON_FONT_OPTIONS,
+  inspectIconForFont,
+  createGlyphOutline,
+  createSvgFont,
+  createTtf,
+  createWoff2,
+  createIconFontCss,
+  createIconFontFiles,
+};
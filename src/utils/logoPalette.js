@@ -0,0 +1,407 @@
+/**
+ * Logo palette extraction
+ * Measures how much area each fill color of a logo SVG covers, clusters
+ * near-identical colors by perceptual distance and proposes brand roles
+ */
+
+import { parseSvg, walkElements, getAttribute, getRootSvg, getTransformScale } from './svgDocument';
+import { computePaintStyles } from './svgStyles';
+import { parseColor, formatHex, rgbToLab, getDeltaE } from './colorParser';
+import { getViewBox } from './colorMapper';
+import { createPaintColorReader, isNotRenderedInPlace } from './contrastAudit';
+import { buildImportedColors } from './paletteImport';
+import { DEFAULT_ROLE_MAP } from '../constants/brands';
+
+// Fills closer than this (CIE76 ΔE) are one brand color (anti-aliasing tints, rounding)
+export const LOGO_CLUSTER_DISTANCE = 12;
+
+// Straight segments used to measure each curve or arc
+const CURVE_SEGMENTS = 12;
+
+// Shapes whose fill covers an area we can measure
+const AREA_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'polygon'];
+
+/**
+ * Signed area of a closed polygon (shoelace formula)
+ * @param {Array<[number, number]>} points - Vertices
+ * @returns {number} Signed area (sign follows winding)
+ */
+const polygonArea = (points) => {
+  let sum = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  });
+  return sum / 2;
+};
+
+/**
+ * Sample an SVG elliptical arc (endpoint parameterization, SVG 1.1 F.6.5)
+ * @returns {Array<[number, number]>} Points after the start point, ending at (x, y)
+ */
+const sampleArc = (x0, y0, rx, ry, rotation, largeArc, sweep, x, y) => {
+  if (!rx || !ry) return [[x, y]];
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x) / 2;
+  const dy = (y0 - y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Scale radii up when the endpoints are too far apart
+  let rxa = Math.abs(rx);
+  let rya = Math.abs(ry);
+  const lambda = (x1 * x1) / (rxa * rxa) + (y1 * y1) / (rya * rya);
+  if (lambda > 1) {
+    rxa *= Math.sqrt(lambda);
+    rya *= Math.sqrt(lambda);
+  }
+
+  const sign = largeArc === sweep ? -1 : 1;
+  const numerator = rxa * rxa * rya * rya - rxa * rxa * y1 * y1 - rya * rya * x1 * x1;
+  const factor = sign * Math.sqrt(Math.max(0, numerator / (rxa * rxa * y1 * y1 + rya * rya * x1 * x1)));
+  const cx1 = (factor * rxa * y1) / rya;
+  const cy1 = (-factor * rya * x1) / rxa;
+  const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / rxa, (y1 - cy1) / rya);
+  let delta = angle((x1 - cx1) / rxa, (y1 - cy1) / rya, (-x1 - cx1) / rxa, (-y1 - cy1) / rya);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  return Array.from({ length: CURVE_SEGMENTS }, (_, i) => {
+    const t = start + (delta * (i + 1)) / CURVE_SEGMENTS;
+    const ex = rxa * Math.cos(t);
+    const ey = rya * Math.sin(t);
+    return [cos * ex - sin * ey + cx, sin * ex + cos * ey + cy];
+  });
+};
+
+/**
+ * Flatten path data into polygons, one per subpath
+ * Curves and arcs are sampled, which is plenty for ranking colors by area.
+ * @param {string} d - Path data
+ * @returns {Array<Array<[number, number]>>} Subpath polygons
+ */
+export const flattenPath = (d) => {
+  const tokens = (d || '').match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+  const polygons = [];
+  let points = [];
+  let index = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Reflected control point for S/T
+  let control = null;
+
+  // Set when a command runs out of arguments; like browsers, drawing stops there
+  let truncated = false;
+
+  const isNumber = () => index < tokens.length && !/^[a-zA-Z]$/.test(tokens[index]);
+  const next = () => {
+    if (!isNumber()) {
+      truncated = true;
+      return 0;
+    }
+    return parseFloat(tokens[index++]);
+  };
+  // Arc flags may be packed without separators ("011" = 0, 1, 1)
+  const nextFlag = () => {
+    if (!isNumber()) {
+      truncated = true;
+      return 0;
+    }
+    const token = tokens[index];
+    if (token.length > 1 && /^[01]/.test(token)) {
+      tokens[index] = token.slice(1);
+      return Number(token[0]);
+    }
+    index++;
+    return Number(token);
+  };
+  const sampleCubic = (x1, y1, x2, y2, x3, y3) => {
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+      const t = i / CURVE_SEGMENTS;
+      const u = 1 - t;
+      points.push([
+        u * u * u * x + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+        u * u * u * y + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3,
+      ]);
+    }
+  };
+  const closeSubpath = () => {
+    if (points.length > 2) polygons.push(points);
+    points = [];
+  };
+
+  while (index < tokens.length) {
+    if (!isNumber()) command = tokens[index++];
+    if (!command) break;
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        const [x3, y3] = [ox + next(), oy + next()];
+        if (truncated) break;
+        closeSubpath();
+        x = x3;
+        y = y3;
+        startX = x;
+        startY = y;
+        points.push([x, y]);
+        // Further pairs are implicit line-tos
+        command = relative ? 'l' : 'L';
+        control = null;
+        break;
+      }
+      case 'L': {
+        const [x3, y3] = [ox + next(), oy + next()];
+        if (truncated) break;
+        x = x3;
+        y = y3;
+        points.push([x, y]);
+        control = null;
+        break;
+      }
+      case 'H': {
+        const x3 = ox + next();
+        if (truncated) break;
+        x = x3;
+        points.push([x, y]);
+        control = null;
+        break;
+      }
+      case 'V': {
+        const y3 = oy + next();
+        if (truncated) break;
+        y = y3;
+        points.push([x, y]);
+        control = null;
+        break;
+      }
+      case 'C': {
+        const [x1, y1, x2, y2, x3, y3] = [ox + next(), oy + next(), ox + next(), oy + next(), ox + next(), oy + next()];
+        if (truncated) break;
+        sampleCubic(x1, y1, x2, y2, x3, y3);
+        control = { type: 'C', x: x2, y: y2 };
+        x = x3;
+        y = y3;
+        break;
+      }
+      case 'S': {
+        const x1 = control?.type === 'C' ? 2 * x - control.x : x;
+        const y1 = control?.type === 'C' ? 2 * y - control.y : y;
+        const [x2, y2, x3, y3] = [ox + next(), oy + next(), ox + next(), oy + next()];
+        if (truncated) break;
+        sampleCubic(x1, y1, x2, y2, x3, y3);
+        control = { type: 'C', x: x2, y: y2 };
+        x = x3;
+        y = y3;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const isSmooth = command.toUpperCase() === 'T';
+        const qx = isSmooth ? (control?.type === 'Q' ? 2 * x - control.x : x) : ox + next();
+        const qy = isSmooth ? (control?.type === 'Q' ? 2 * y - control.y : y) : oy + next();
+        const [x3, y3] = [ox + next(), oy + next()];
+        if (truncated) break;
+        // A quadratic is a cubic with control points 2/3 of the way to q
+        sampleCubic(x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), x3 + (2 / 3) * (qx - x3), y3 + (2 / 3) * (qy - y3), x3, y3);
+        control = { type: 'Q', x: qx, y: qy };
+        x = x3;
+        y = y3;
+        break;
+      }
+      case 'A': {
+        const [rx, ry, rotation] = [next(), next(), next()];
+        const largeArc = nextFlag();
+        const sweep = nextFlag();
+        const [x3, y3] = [ox + next(), oy + next()];
+        if (truncated) break;
+        points.push(...sampleArc(x, y, rx, ry, rotation, largeArc, sweep, x3, y3));
+        control = null;
+        x = x3;
+        y = y3;
+        break;
+      }
+      case 'Z':
+        closeSubpath();
+        x = startX;
+        y = startY;
+        control = null;
+        break;
+      default:
+        // Unknown command: skip its arguments
+        while (isNumber()) index++;
+    }
+    if (truncated) break;
+  }
+  closeSubpath();
+
+  return polygons;
+};
+
+/**
+ * Read a length, resolving percentages against a reference size
+ * @param {string|null} value - Attribute value
+ * @param {number} reference - Size 100% stands for
+ * @returns {number} Length (0 if missing)
+ */
+const readLength = (value, reference) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 0;
+  return /%\s*$/.test(value) ? (number / 100) * reference : number;
+};
+
+/**
+ * Measure the filled area of a shape in user units (before transforms)
+ * @param {object} element - Shape element
+ * @param {{width: number, height: number}} box - Drawing area, for percentages
+ * @returns {number} Area
+ */
+const shapeArea = (element, box) => {
+  const diagonal = Math.sqrt((box.width ** 2 + box.height ** 2) / 2);
+  switch (element.localName) {
+    case 'rect':
+      return readLength(getAttribute(element, 'width'), box.width) * readLength(getAttribute(element, 'height'), box.height);
+    case 'circle':
+      return Math.PI * readLength(getAttribute(element, 'r'), diagonal) ** 2;
+    case 'ellipse':
+      return Math.PI * readLength(getAttribute(element, 'rx'), box.width) * readLength(getAttribute(element, 'ry'), box.height);
+    case 'polygon': {
+      const numbers = (getAttribute(element, 'points') || '').trim().split(/[\s,]+/).map(parseFloat);
+      const points = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+      return Math.abs(polygonArea(points));
+    }
+    case 'path':
+      // Subpaths wound the other way (letter counters) subtract
+      return Math.abs(flattenPath(getAttribute(element, 'd')).reduce((sum, points) => sum + polygonArea(points), 0));
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Measure the painted area of each fill color in an SVG
+ * Gradient fills share their area among their stops. Strokes and text are not
+ * measured: logos are almost always outlined fills.
+ * @param {string} svgString - The SVG content
+ * @returns {Array<{color: string, area: number}>} Opaque hex colors, largest area first
+ */
+export const measureFillAreas = (svgString) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse logo SVG:', error);
+    return [];
+  }
+
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return [];
+  const box = getViewBox(rootSvg) || { width: 100, height: 100 };
+
+  const styles = computePaintStyles(doc);
+  const paintColors = createPaintColorReader(doc, styles);
+  const areas = new Map();
+
+  walkElements(rootSvg, (element) => {
+    if (!AREA_ELEMENTS.includes(element.localName) || isNotRenderedInPlace(element)) return;
+    const colors = paintColors(styles.get(element)?.fill);
+    if (colors.length === 0) return;
+
+    const area = shapeArea(element, box) * getTransformScale(element);
+
+    colors.forEach((color) => {
+      const rgb = parseColor(color);
+      if (rgb.alpha === 0) return;
+      // Translucent fills count for the share of the area they actually cover
+      const key = formatHex({ ...rgb, alpha: 1 });
+      areas.set(key, (areas.get(key) || 0) + (area * rgb.alpha) / colors.length);
+    });
+  });
+
+  return [...areas]
+    .map(([color, area]) => ({ color, area }))
+    .filter(({ area }) => area > 0)
+    .sort((a, b) => b.area - a.area);
+};
+
+/**
+ * Cluster measured colors by perceptual distance
+ * Each cluster is named after its largest member, so the logo's exact hex is kept.
+ * @param {Array<{color: string, area: number}>} areas - From measureFillAreas
+ * @param {number} distance - Largest ΔE within a cluster
+ * @returns {Array<{color: string, area: number, share: number, members: string[]}>} Clusters, largest area first
+ */
+export const clusterColors = (areas, distance = LOGO_CLUSTER_DISTANCE) => {
+  const clusters = [];
+  // Largest first, so every cluster is seeded by its dominant color
+  areas.forEach(({ color, area }) => {
+    const cluster = clusters.find((candidate) => getDeltaE(candidate.color, color) < distance);
+    if (cluster) {
+      cluster.area += area;
+      cluster.members.push(color);
+    } else {
+      clusters.push({ color, area, members: [color] });
+    }
+  });
+
+  const total = clusters.reduce((sum, { area }) => sum + area, 0);
+  return clusters
+    .map((cluster) => ({ ...cluster, share: total > 0 ? cluster.area / total : 0 }))
+    .sort((a, b) => b.area - a.area);
+};
+
+/**
+ * Check whether a color is a white knockout or background rather than a brand color
+ * @param {string} color - Hex color
+ * @returns {boolean} True for near-white neutrals
+ */
+const isNearWhite = (color) => {
+  const { l, a, b } = rgbToLab(parseColor(color));
+  return l > DEFAULT_ROLE_MAP.accentMaxLightness && Math.hypot(a, b) <= DEFAULT_ROLE_MAP.chromaThreshold;
+};
+
+/**
+ * Extract a brand palette from a logo
+ * Primary is the largest chromatic cluster, secondary and accent the next
+ * largest; near-white clusters (knockouts, backgrounds) are skipped and missing
+ * roles are derived from primary.
+ * @param {string} svgString - Logo SVG content
+ * @returns {{colors: Array<{name: string, value: string}>, clusters: Array}} Palette for the add-brand form, and the ranked clusters
+ */
+export const extractLogoPalette = (svgString) => {
+  const clusters = clusterColors(measureFillAreas(svgString));
+  const candidates = clusters.filter(({ color }) => !isNearWhite(color));
+  const isChromatic = ({ color }) => {
+    const { a, b } = rgbToLab(parseColor(color));
+    return Math.hypot(a, b) > DEFAULT_ROLE_MAP.chromaThreshold;
+  };
+
+  const primary = candidates.find(isChromatic) || candidates[0];
+  const ranked = [primary, ...candidates.filter((cluster) => cluster !== primary)].filter(Boolean).slice(0, 3);
+  const swatches = ranked.map(({ color }) => ({ name: color, value: color }));
+
+  return {
+    colors: buildImportedColors(swatches, ['primary', 'secondary', 'accent'].slice(0, swatches.length)),
+    clusters,
+  };
+};
+
+export default {
+  LOGO_CLUSTER_DISTANCE,
+  flattenPath,
+  measureFillAreas,
+  clusterColors,
+  extractLogoPalette,
+};
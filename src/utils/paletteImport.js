@@ -0,0 +1,374 @@
+/**
+ * Palette import
+ * Parses swatch files from brand guides (Adobe Swatch Exchange .ase, GIMP .gpl,
+ * Photoshop .aco, W3C Design Tokens JSON) and proposes which swatch plays
+ * which brand role
+ */
+
+import { parseColor, formatHex, rgbToLab, labToRgb } from './colorParser';
+import { getScaleStep } from './colorScale';
+import { CORE_ROLES, toPaletteName } from '../constants/brands';
+
+// Formats the importer understands, by file extension
+export const PALETTE_EXTENSIONS = ['ase', 'gpl', 'aco', 'json', 'tokens'];
+
+// Role choices offered for each imported swatch ('extra' = named palette color)
+export const SWATCH_ROLES = [...CORE_ROLES, 'extra', 'skip'];
+
+/**
+ * Convert HSB/HSV (0-1 each, hue as a fraction of a turn) to a hex color
+ * @param {number} h - Hue
+ * @param {number} s - Saturation
+ * @param {number} v - Brightness
+ * @returns {string} Hex color
+ */
+const hsbToHex = (h, s, v) => {
+  const f = (n) => {
+    const k = (n + h * 6) % 6;
+    return (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255;
+  };
+  return formatHex({ r: f(5), g: f(3), b: f(1) });
+};
+
+/**
+ * Convert CMYK (0-1 each) to a hex color
+ * Uncalibrated: brand guides list the RGB values they mean, this is a fallback.
+ * @returns {string} Hex color
+ */
+const cmykToHex = (c, m, y, k) => formatHex({
+  r: 255 * (1 - c) * (1 - k),
+  g: 255 * (1 - m) * (1 - k),
+  b: 255 * (1 - y) * (1 - k),
+});
+
+/**
+ * Read a UTF-16BE string
+ * @param {DataView} view - File data
+ * @param {number} offset - Byte offset of the first character
+ * @param {number} length - Number of characters (may include a trailing NUL)
+ * @returns {string} Decoded string without NULs
+ */
+const readUtf16 = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint16(offset + i * 2));
+  }
+  return text.replace(/\0+$/, '');
+};
+
+/**
+ * Parse an Adobe Swatch Exchange (.ase) file
+ * @param {ArrayBuffer} buffer - File data
+ * @returns {{name: string|null, swatches: Array<{name: string, value: string}>}} Palette
+ */
+export const parseAse = (buffer) => {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (signature !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file');
+
+  const blockCount = view.getUint32(8);
+  const swatches = [];
+  let name = null;
+  let offset = 12;
+
+  for (let i = 0; i < blockCount && offset < buffer.byteLength; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+
+    // Group start (0xC001) carries a name; group end (0xC002) is empty
+    if (type !== 0x0001 && type !== 0xC001) continue;
+    const nameLength = view.getUint16(start);
+    const blockName = readUtf16(view, start + 2, nameLength);
+    if (type === 0xC001) {
+      name = name || blockName;
+      continue;
+    }
+
+    let cursor = start + 2 + nameLength * 2;
+    const model = String.fromCharCode(...new Uint8Array(buffer, cursor, 4)).trim();
+    cursor += 4;
+    const read = (count) => Array.from({ length: count }, (_, n) => view.getFloat32(cursor + n * 4));
+
+    let value = null;
+    if (model === 'RGB') {
+      const [r, g, b] = read(3);
+      value = formatHex({ r: r * 255, g: g * 255, b: b * 255 });
+    } else if (model === 'CMYK') {
+      value = cmykToHex(...read(4));
+    } else if (model === 'LAB') {
+      const [l, a, b] = read(3);
+      value = formatHex(labToRgb({ l: l * 100, a, b }));
+    } else if (model === 'Gray') {
+      const [gray] = read(1);
+      value = formatHex({ r: gray * 255, g: gray * 255, b: gray * 255 });
+    }
+
+    if (value) swatches.push({ name: blockName, value });
+    else console.warn(`Skipping swatch "${blockName}" with unsupported color model ${model}`);
+  }
+
+  return { name, swatches };
+};
+
+/**
+ * Parse a GIMP palette (.gpl)
+ * @param {string} text - File contents
+ * @returns {{name: string|null, swatches: Array<{name: string, value: string}>}} Palette
+ */
+export const parseGpl = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/i.test(lines[0]?.trim())) throw new Error('Not a GIMP palette');
+
+  let name = null;
+  const swatches = [];
+
+  lines.slice(1).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const header = /^(Name|Columns):\s*(.*)$/i.exec(trimmed);
+    if (header) {
+      if (header[1].toLowerCase() === 'name') name = header[2].trim() || null;
+      return;
+    }
+
+    const match = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(trimmed);
+    if (!match) return;
+    const value = formatHex({ r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) });
+    swatches.push({ name: match[4].trim() || value, value });
+  });
+
+  return { name, swatches };
+};
+
+/**
+ * Parse a Photoshop color swatch file (.aco)
+ * Version 2 data (with names) is used when present, version 1 otherwise.
+ * @param {ArrayBuffer} buffer - File data
+ * @returns {{name: null, swatches: Array<{name: string, value: string}>}} Palette
+ */
+export const parseAco = (buffer) => {
+  const view = new DataView(buffer);
+
+  // Read one section: version, count, then 10 bytes per color (+ a name in v2)
+  const readSection = (offset) => {
+    const version = view.getUint16(offset);
+    const count = view.getUint16(offset + 2);
+    if (version !== 1 && version !== 2) throw new Error('Not a Photoshop swatch file');
+
+    const swatches = [];
+    let cursor = offset + 4;
+    for (let i = 0; i < count; i++) {
+      const space = view.getUint16(cursor);
+      const [w, x, y, z] = [2, 4, 6, 8].map((n) => view.getUint16(cursor + n));
+      // Lab a/b are signed
+      const [labA, labB] = [4, 6].map((n) => view.getInt16(cursor + n) / 100);
+      cursor += 10;
+
+      // Version 2 names: uint32 length in UTF-16 units (counting the trailing 0), then the text
+      let name = null;
+      if (version === 2) {
+        const nameLength = view.getUint32(cursor);
+        name = readUtf16(view, cursor + 4, nameLength);
+        cursor += 4 + nameLength * 2;
+      }
+
+      let value = null;
+      if (space === 0) {
+        value = formatHex({ r: w / 257, g: x / 257, b: y / 257 });
+      } else if (space === 1) {
+        value = hsbToHex(w / 65535, x / 65535, y / 65535);
+      } else if (space === 2) {
+        // Photoshop stores CMYK inverted (0 = 100% ink)
+        value = cmykToHex(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+      } else if (space === 7) {
+        value = formatHex(labToRgb({ l: w / 100, a: labA, b: labB }));
+      } else if (space === 8) {
+        const gray = 255 * (1 - w / 10000);
+        value = formatHex({ r: gray, g: gray, b: gray });
+      }
+
+      if (value) swatches.push({ name: name || value, value });
+      else console.warn(`Skipping swatch ${i + 1} with unsupported color space ${space}`);
+    }
+    return { version, swatches, end: cursor };
+  };
+
+  const first = readSection(0);
+  if (first.version === 1 && first.end < buffer.byteLength) {
+    try {
+      return { name: null, swatches: readSection(first.end).swatches };
+    } catch (error) {
+      console.warn('Ignoring unreadable version 2 swatch data:', error);
+    }
+  }
+  return { name: null, swatches: first.swatches };
+};
+
+/**
+ * Read a design token color value
+ * Accepts CSS color strings and the DTCG object form { colorSpace, components, alpha, hex }.
+ * @param {string|object} value - Token value
+ * @returns {string|null} Hex color
+ */
+const tokenColorToHex = (value) => {
+  if (typeof value === 'string') {
+    const rgb = parseColor(value);
+    return rgb ? formatHex(rgb) : null;
+  }
+  if (value && typeof value === 'object') {
+    if (value.hex) return tokenColorToHex(value.hex);
+    if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+      const [r, g, b] = value.components.map((channel) => channel * 255);
+      return formatHex({ r, g, b, alpha: value.alpha ?? 1 });
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a W3C Design Tokens (DTCG) JSON file
+ * Color tokens are those with `$type: "color"` (set on the token or a parent
+ * group); aliases such as "{color.brand.red}" are followed.
+ * @param {string} text - File contents
+ * @returns {{name: string|null, swatches: Array<{name: string, value: string}>}} Palette
+ */
+export const parseDesignTokens = (text) => {
+  const root = JSON.parse(text);
+  const tokens = new Map();
+
+  // Flatten to path → { value, type }, inheriting $type from groups
+  const walk = (node, path, inheritedType) => {
+    if (!node || typeof node !== 'object') return;
+    const type = node.$type || inheritedType;
+    if ('$value' in node) {
+      tokens.set(path.join('.'), { value: node.$value, type });
+      return;
+    }
+    Object.entries(node)
+      .filter(([key]) => !key.startsWith('$'))
+      .forEach(([key, child]) => walk(child, [...path, key], type));
+  };
+  walk(root, [], undefined);
+
+  // Follow "{group.token}" aliases (guarding against cycles)
+  const resolve = (value, seen = new Set()) => {
+    const alias = typeof value === 'string' && /^\{([^}]+)\}$/.exec(value.trim());
+    if (!alias) return value;
+    if (seen.has(alias[1]) || !tokens.has(alias[1])) return null;
+    seen.add(alias[1]);
+    return resolve(tokens.get(alias[1]).value, seen);
+  };
+
+  const swatches = [];
+  tokens.forEach(({ value, type }, path) => {
+    if (type && type !== 'color') return;
+    const hex = tokenColorToHex(resolve(value));
+    if (hex) swatches.push({ name: path.replace(/\./g, '-'), value: hex });
+  });
+
+  return { name: null, swatches };
+};
+
+/**
+ * Parse a palette file of any supported format
+ * @param {File} file - Uploaded swatch file
+ * @returns {Promise<{name: string, swatches: Array<{name: string, value: string}>}>} Palette named after the file if it has no name of its own
+ */
+export const parsePaletteFile = async (file) => {
+  const ext = file.name.split('.').pop()?.toLowerCase();
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  let palette;
+  if (ext === 'ase') palette = parseAse(await file.arrayBuffer());
+  else if (ext === 'aco') palette = parseAco(await file.arrayBuffer());
+  else if (ext === 'gpl') palette = parseGpl(await file.text());
+  else if (ext === 'json' || ext === 'tokens') palette = parseDesignTokens(await file.text());
+  else throw new Error(`Unsupported palette format: .${ext}`);
+
+  // The same color listed twice (e.g. a tint defined in two groups) is kept once
+  const seen = new Set();
+  const swatches = palette.swatches.filter(({ value }) => !seen.has(value) && seen.add(value));
+  if (swatches.length === 0) throw new Error('No colors found in palette');
+
+  return { name: palette.name || baseName, swatches };
+};
+
+/**
+ * Propose a role for each swatch
+ * Swatches named after a role take it. Otherwise the most colorful swatch is
+ * primary, the darkest remaining one secondary and the lightest remaining one
+ * accent; the rest become extra palette colors.
+ * @param {Array<{name: string, value: string}>} swatches - Imported swatches
+ * @returns {string[]} Role per swatch (see SWATCH_ROLES)
+ */
+export const proposeSwatchRoles = (swatches) => {
+  const roles = swatches.map(() => 'extra');
+  const labs = swatches.map(({ value }) => rgbToLab(parseColor(value)));
+  const free = () => swatches.map((_, i) => i).filter((i) => roles[i] === 'extra');
+
+  CORE_ROLES.forEach((role) => {
+    const named = free().find((i) => toPaletteName(swatches[i].name).split('-').includes(role));
+    if (named !== undefined) roles[named] = role;
+  });
+
+  const pick = (role, score) => {
+    if (roles.includes(role)) return;
+    const candidates = free();
+    if (candidates.length === 0) return;
+    roles[candidates.reduce((best, i) => (score(i) > score(best) ? i : best))] = role;
+  };
+  pick('primary', (i) => Math.hypot(labs[i].a, labs[i].b));
+  pick('secondary', (i) => -labs[i].l);
+  pick('accent', (i) => labs[i].l);
+
+  return roles;
+};
+
+/**
+ * Build a brand palette from swatches and their roles
+ * Core roles no swatch took are derived from primary (a dark shade for
+ * secondary, a light tint for accent). Extra swatches keep their names,
+ * made unique.
+ * @param {Array<{name: string, value: string}>} swatches - Imported swatches
+ * @param {string[]} roles - Role per swatch (see SWATCH_ROLES)
+ * @returns {Array<{name: string, value: string}>} Palette for the brand's `colors`
+ */
+export const buildImportedColors = (swatches, roles) => {
+  const valueOf = (role) => swatches[roles.indexOf(role)]?.value;
+  const primary = valueOf('primary') || swatches.find((_, i) => roles[i] !== 'skip')?.value || '#000000';
+  const core = [
+    { name: 'primary', value: primary },
+    { name: 'secondary', value: valueOf('secondary') || getScaleStep(primary, 800) },
+    { name: 'accent', value: valueOf('accent') || getScaleStep(primary, 100) },
+  ];
+
+  const names = new Set(CORE_ROLES);
+  const extras = swatches
+    .filter((_, i) => roles[i] === 'extra')
+    .map(({ name, value }) => {
+      // Palette names start with a letter ("#FF0000" → "color-ff0000")
+      let base = toPaletteName(name).replace(/-+$/, '');
+      if (!/^[a-z]/.test(base)) base = base ? `color-${base}` : 'color';
+      let unique = base;
+      for (let n = 2; names.has(unique); n++) unique = `${base}-${n}`;
+      names.add(unique);
+      return { name: unique, value };
+    });
+
+  return [...core, ...extras];
+};
+
+export default {
+  PALETTE_EXTENSIONS,
+  SWATCH_ROLES,
+  parseAse,
+  parseGpl,
+  parseAco,
+  parseDesignTokens,
+  parsePaletteFile,
+  proposeSwatchRoles,
+  buildImportedColors,
+};
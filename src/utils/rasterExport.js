@@ -0,0 +1,167 @@
+/**
+ * Raster export
+ * Renders painted SVGs to PNG, WebP or JPEG at chosen pixel sizes and
+ * densities, for tools that can't place SVGs (slides, email)
+ */
+
+import { parseSvg, getRootSvg, setAttribute, serializeSvg } from './svgDocument';
+import { getViewBox, svgToDataUrl } from './colorMapper';
+
+// Raster formats; JPEG has no transparency so it always gets a background
+export const RASTER_FORMATS = [
+  { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png', transparent: true },
+  { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp', transparent: true },
+  { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', transparent: false },
+];
+
+// Preset sizes in CSS px; any size from MIN to MAX can be added
+export const RASTER_SIZES = [16, 24, 32, 48, 64, 128, 256, 512, 1024];
+export const MIN_RASTER_SIZE = 16;
+export const MAX_RASTER_SIZE = 1024;
+
+// Pixel densities (@1x, @2x, @3x)
+export const RASTER_SCALES = [1, 2, 3];
+
+// Largest padding, in percent of the size on each side
+export const MAX_RASTER_PADDING = 25;
+
+// No formats selected means the ZIP stays SVG-only
+export const DEFAULT_RASTER_OPTIONS = {
+  formats: [],
+  sizes: [24, 48],
+  scales: [1, 2],
+  background: null,
+  padding: 0,
+};
+
+// Background used for JPEG when the options ask for transparency
+const JPEG_FALLBACK_BACKGROUND = '#FFFFFF';
+
+// Lossy encoder quality (WebP, JPEG)
+const RASTER_QUALITY = 0.92;
+
+/**
+ * Load an SVG into an image element
+ * @param {string} svgString - SVG content with explicit width and height
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadSvgImage = (svgString) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load SVG for rasterizing'));
+    image.src = svgToDataUrl(svgString);
+  });
+};
+
+/**
+ * Render one SVG to a raster image
+ * The icon is fitted into the padded square keeping its aspect ratio, and the
+ * SVG is resized before drawing so it is rasterized sharp rather than scaled.
+ * @param {string} svgString - SVG content
+ * @param {object} options - { size, scale, format, background, padding }
+ * @returns {Promise<Blob>} Image file
+ * @throws {Error} If the SVG can't be rendered or the browser can't encode the format
+ */
+export const renderRaster = async (svgString, { size, scale = 1, format = 'png', background = null, padding = 0 }) => {
+  const rasterFormat = RASTER_FORMATS.find(({ id }) => id === format) || RASTER_FORMATS[0];
+  const pixels = Math.round(size * scale);
+  const inset = Math.round((pixels * Math.min(Math.max(padding, 0), MAX_RASTER_PADDING)) / 100);
+  const area = pixels - inset * 2;
+
+  const doc = parseSvg(svgString);
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) throw new Error('No <svg> element found');
+
+  const box = getViewBox(rootSvg);
+  const longest = box ? Math.max(box.width, box.height) : 1;
+  const width = box ? (area * box.width) / longest : area;
+  const height = box ? (area * box.height) / longest : area;
+  // A missing (or unreadable) viewBox would crop the content instead of scaling it
+  if (box) {
+    setAttribute(doc, rootSvg, 'viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+  }
+  setAttribute(doc, rootSvg, 'width', String(width));
+  setAttribute(doc, rootSvg, 'height', String(height));
+
+  const image = await loadSvgImage(serializeSvg(doc));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = pixels;
+  canvas.height = pixels;
+  const context = canvas.getContext('2d');
+
+  const fill = background || (rasterFormat.transparent ? null : JPEG_FALLBACK_BACKGROUND);
+  if (fill) {
+    context.fillStyle = fill;
+    context.fillRect(0, 0, pixels, pixels);
+  }
+  context.drawImage(image, (pixels - width) / 2, (pixels - height) / 2, width, height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, rasterFormat.mimeType, RASTER_QUALITY));
+  // Browsers fall back to PNG for formats they can't encode
+  if (!blob || blob.type !== rasterFormat.mimeType) {
+    throw new Error(`This browser can't export ${rasterFormat.label}`);
+  }
+  return blob;
+};
+
+/**
+ * Build the ZIP path of one rendition
+ * @param {string} iconName - Icon filename (e.g. "home.svg")
+ * @param {object} rendition - { size, scale, format }
+ * @returns {string} Path such as "png/home-24@2x.png"
+ */
+export const getRasterFilename = (iconName, { size, scale, format }) => {
+  const rasterFormat = RASTER_FORMATS.find(({ id }) => id === format) || RASTER_FORMATS[0];
+  const baseName = iconName.replace(/\.svg$/i, '');
+  const density = scale > 1 ? `@${scale}x` : '';
+  return `${rasterFormat.id}/${baseName}-${size}${density}.${rasterFormat.extension}`;
+};
+
+/**
+ * List every rendition the options ask for
+ * @param {object} options - Raster options (formats, sizes, scales)
+ * @returns {Array<{format: string, size: number, scale: number}>} Renditions per icon
+ */
+export const getRenditions = ({ formats = [], sizes = [], scales = [] }) => {
+  return formats.flatMap((format) =>
+    sizes.flatMap((size) => scales.map((scale) => ({ format, size, scale })))
+  );
+};
+
+/**
+ * Render every rendition of every icon, ready for downloadAsZip
+ * Icons are rendered one at a time to keep memory use flat.
+ * @param {Array} icons - Workspace icons (name and currentContent)
+ * @param {object} options - Raster options
+ * @returns {Promise<Array<{name: string, currentContent: Blob}>>} ZIP entries
+ */
+export const createRasterFiles = async (icons, options) => {
+  const renditions = getRenditions(options);
+  const files = [];
+
+  for (const icon of icons) {
+    const content = icon.currentContent || icon.originalContent;
+    for (const rendition of renditions) {
+      const blob = await renderRaster(content, { ...rendition, background: options.background, padding: options.padding });
+      files.push({ name: getRasterFilename(icon.name, rendition), currentContent: blob });
+    }
+  }
+
+  return files;
+};
+
+export default {
+  RASTER_FORMATS,
+  RASTER_SIZES,
+  MIN_RASTER_SIZE,
+  MAX_RASTER_SIZE,
+  RASTER_SCALES,
+  MAX_RASTER_PADDING,
+  DEFAULT_RASTER_OPTIONS,
+  renderRaster,
+  getRasterFilename,
+  getRenditions,
+  createRasterFiles,
+};
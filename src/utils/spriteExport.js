@@ -0,0 +1,169 @@
+/**
+ * Sprite export
+ * Combines icons into one sprite.svg with a <symbol> per icon, referenced as
+ * <use href="sprite.svg#id">, plus a demo page showing every symbol
+ */
+
+import { parseSvg, getRootSvg, encodeAttributeValue } from './svgDocument';
+import { toIdSlug, createUniqueId, prefixIds, prefixClasses } from './svgIds';
+import { getViewBox } from './colorMapper';
+
+// Root attributes that size or identify the standalone SVG and don't belong on a <symbol>
+const DROPPED_ROOT_ATTRIBUTES = ['width', 'height', 'x', 'y', 'id', 'version', 'baseProfile', 'enable-background'];
+
+// Filenames inside the sprite ZIP
+export const SPRITE_FILENAME = 'sprite.svg';
+export const SPRITE_DEMO_FILENAME = 'sprite-demo.html';
+
+/**
+ * Escape text for HTML content or a double-quoted attribute
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => encodeAttributeValue(text).replace(/>/g, '&gt;');
+
+/**
+ * Turn one icon into a <symbol>
+ * Internal IDs and <style> classes are namespaced with the symbol ID (joined
+ * by "--", which slugs never contain, so they can't clash with other symbols),
+ * and the root's viewBox and presentation attributes move onto the symbol.
+ * @param {string} svgString - Icon SVG content
+ * @param {string} symbolId - ID of the symbol
+ * @returns {{markup: string, viewBox: string|null, namespaces: Array<[string, string]>}|null} Symbol, or null if the SVG can't be read
+ */
+const createSymbol = (svgString, symbolId) => {
+  const namespaced = prefixClasses(prefixIds(svgString, `${symbolId}-`), `${symbolId}-`);
+
+  let doc;
+  try {
+    doc = parseSvg(namespaced);
+  } catch (error) {
+    console.error('Failed to parse SVG for sprite:', error);
+    return null;
+  }
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return null;
+
+  const box = getViewBox(rootSvg);
+  const viewBox = box ? `${box.x} ${box.y} ${box.width} ${box.height}` : null;
+
+  const namespaces = [];
+  const attributes = [];
+  rootSvg.attributes.forEach(({ name, value }) => {
+    if (name === 'xmlns') return;
+    if (name.startsWith('xmlns:')) {
+      namespaces.push([name, value]);
+      return;
+    }
+    if (name === 'viewBox' || DROPPED_ROOT_ATTRIBUTES.includes(name)) return;
+    attributes.push(` ${name}="${encodeAttributeValue(value)}"`);
+  });
+
+  const content = rootSvg.selfClosing ? '' : namespaced.slice(rootSvg.openEnd, rootSvg.closeStart);
+  const viewBoxAttribute = viewBox ? ` viewBox="${viewBox}"` : '';
+  return {
+    markup: `<symbol id="${symbolId}"${viewBoxAttribute}${attributes.join('')}>${content}</symbol>`,
+    viewBox,
+    namespaces,
+  };
+};
+
+/**
+ * Build a sprite from workspace icons
+ * Symbol IDs are the slugged icon names, with a counter when two names slug alike.
+ * @param {Array} icons - Icons with name and currentContent
+ * @returns {{sprite: string, symbols: Array<{id: string, name: string, viewBox: string|null}>}} Sprite markup and its symbols
+ */
+export const createSprite = (icons) => {
+  const usedIds = new Set();
+  const namespaces = new Map([['xmlns:xlink', 'http://www.w3.org/1999/xlink']]);
+  const symbols = [];
+  const markup = [];
+
+  icons.forEach((icon) => {
+    const id = createUniqueId(toIdSlug(icon.name), usedIds);
+    const symbol = createSymbol(icon.currentContent || icon.originalContent, id);
+    if (!symbol) return;
+
+    usedIds.add(id);
+    // First declaration of a prefix wins; icons rarely disagree on them
+    symbol.namespaces.forEach(([name, value]) => {
+      if (!namespaces.has(name)) namespaces.set(name, value);
+    });
+    symbols.push({ id, name: icon.name, viewBox: symbol.viewBox });
+    markup.push(`  ${symbol.markup}`);
+  });
+
+  const namespaceAttributes = [...namespaces].map(([name, value]) => ` ${name}="${encodeAttributeValue(value)}"`).join('');
+  const sprite = `<svg xmlns="http://www.w3.org/2000/svg"${namespaceAttributes}>\n${markup.join('\n')}\n</svg>\n`;
+  return { sprite, symbols };
+};
+
+/**
+ * Build the demo page showing how to use every symbol
+ * @param {Array<{id: string, name: string}>} symbols - Symbols from createSprite
+ * @returns {string} HTML document
+ */
+export const createSpriteDemo = (symbols) => {
+  const cards = symbols.map(({ id, name }) => {
+    const snippet = `<svg class="icon"><use href="${SPRITE_FILENAME}#${id}"></use></svg>`;
+    return `    <figure>
+      ${snippet}
+      <figcaption title="${escapeHtml(name)}">#${id}</figcaption>
+      <code>${escapeHtml(snippet)}</code>
+    </figure>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Icon sprite</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    main { display: grid; grid-template-columns: repeat(auto-fill, minmax(14rem, 1fr)); gap: 1rem; }
+    figure { margin: 0; padding: 1rem; border: 1px solid #e5e7eb; border-radius: 0.5rem; }
+    figcaption { margin: 0.5rem 0; font-weight: 600; font-size: 0.875rem; }
+    code { display: block; font-size: 0.75rem; color: #6b7280; word-break: break-all; }
+    /* Size icons like text; currentColor parts follow the color property */
+    .icon { width: 3rem; height: 3rem; color: #1f2937; }
+  </style>
+</head>
+<body>
+  <h1>Icon sprite</h1>
+  <p>
+    ${symbols.length} symbols in <code>${SPRITE_FILENAME}</code>. Serve this folder over HTTP:
+    browsers don't load external <code>&lt;use&gt;</code> references from file:// pages.
+  </p>
+  <main>
+${cards.join('\n')}
+  </main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Build the sprite and its demo page, ready for downloadAsZip
+ * @param {Array} icons - Icons with name and currentContent
+ * @returns {{files: Array<{name: string, currentContent: string}>, symbols: Array}} ZIP entries and
+ *   the symbols written (icons that can't be parsed are skipped)
+ */
+export const createSpriteFiles = (icons) => {
+  const { sprite, symbols } = createSprite(icons);
+  return {
+    symbols,
+    files: [
+      { name: SPRITE_FILENAME, currentContent: sprite },
+      { name: SPRITE_DEMO_FILENAME, currentContent: createSpriteDemo(symbols) },
+    ],
+  };
+};
+
+export default {
+  SPRITE_FILENAME,
+  SPRITE_DEMO_FILENAME,
+  createSprite,
+  createSpriteDemo,
+  createSpriteFiles,
+};
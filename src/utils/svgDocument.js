@@ -0,0 +1,542 @@
+/**
+ * Lightweight SVG document model
+ * Parses SVG markup into an element tree that remembers where every tag and
+ * attribute came from, so edits can be spliced back into the original source.
+ * Untouched bytes are never reformatted, which keeps repainted files diff-clean.
+ */
+
+// Entities every XML parser knows about
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Read internal entity declarations from a DOCTYPE (Illustrator exports use these)
+ * @param {string} doctype - The raw <!DOCTYPE ...> markup
+ * @returns {object} Map of entity name to replacement text
+ */
+const parseEntityDeclarations = (doctype) => {
+  const entities = {};
+  const entityRegex = /<!ENTITY\s+([^\s%]+)\s+(["'])([\s\S]*?)\2\s*>/g;
+  let match;
+  while ((match = entityRegex.exec(doctype)) !== null) {
+    entities[match[1]] = match[3];
+  }
+  return entities;
+};
+
+// Limits on DOCTYPE entity expansion, so self-referencing or exponentially
+// nested entities ("billion laughs") fail instead of hanging the tab
+const MAX_ENTITY_DEPTH = 16;
+const MAX_ENTITY_EXPANSION = 1000000;
+
+/**
+ * Expand references in text, tracking the entities currently being expanded
+ * @param {string} text - Raw markup text
+ * @param {object} entities - Extra entities declared by the document
+ * @param {string[]} open - Names of the entities being expanded, outermost first
+ * @param {{remaining: number}} budget - Characters entity expansion may still produce
+ * @returns {string} Decoded text
+ */
+const expandEntities = (text, entities, open, budget) => {
+  if (!text || !text.includes('&')) return text;
+
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_][\w.-]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    if (Object.prototype.hasOwnProperty.call(XML_ENTITIES, ref)) return XML_ENTITIES[ref];
+    if (!Object.prototype.hasOwnProperty.call(entities, ref)) return match;
+
+    if (open.includes(ref)) throw new Error(`Entity "${ref}" refers to itself`);
+    if (open.length >= MAX_ENTITY_DEPTH) throw new Error(`Entity "${ref}" is nested too deeply`);
+    const expanded = expandEntities(entities[ref], entities, [...open, ref], budget);
+    budget.remaining -= expanded.length;
+    if (budget.remaining < 0) throw new Error('Entity expansion is too large');
+    return expanded;
+  });
+};
+
+/**
+ * Decode character and entity references in attribute or text content
+ * Throws when document entities refer to themselves or expand too far.
+ * @param {string} text - Raw markup text
+ * @param {object} entities - Extra entities declared by the document
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text, entities = {}) => (
+  expandEntities(text, entities, [], { remaining: MAX_ENTITY_EXPANSION })
+);
+
+/**
+ * Escape a value for use inside a quoted attribute
+ * @param {string} value - The attribute value
+ * @param {string} quote - The quote character wrapping the value
+ * @returns {string} Escaped value
+ */
+export const encodeAttributeValue = (value, quote = '"') => {
+  const escaped = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return quote === "'" ? escaped.replace(/'/g, '&apos;') : escaped.replace(/"/g, '&quot;');
+};
+
+/**
+ * Strip a namespace prefix from a tag or attribute name
+ * @param {string} name - Qualified name (e.g. "svg:path")
+ * @returns {string} Local name (e.g. "path")
+ */
+export const localName = (name) => {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+};
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Full document source
+ * @param {number} pos - Offset just after the tag name
+ * @param {object} entities - Document entities for decoding values
+ * @returns {{attributes: Array, pos: number}} Attributes and offset of the tag terminator
+ */
+const parseAttributes = (source, pos, entities) => {
+  const attributes = [];
+
+  while (pos < source.length) {
+    // Skip whitespace between attributes
+    while (/\s/.test(source[pos])) pos++;
+
+    const ch = source[pos];
+    if (ch === '>' || (ch === '/' && source[pos + 1] === '>') || ch === undefined) {
+      break;
+    }
+
+    const nameMatch = /^[^\s=/>]+/.exec(source.slice(pos, pos + 256));
+    if (!nameMatch) {
+      throw new Error(`Unexpected character "${ch}" in tag at offset ${pos}`);
+    }
+
+    const attr = {
+      name: nameMatch[0],
+      start: pos,
+      value: '',
+      raw: '',
+      quote: '"',
+      valueStart: -1,
+      valueEnd: -1,
+      end: pos + nameMatch[0].length,
+    };
+    pos = attr.end;
+
+    // Optional "= value"
+    let lookahead = pos;
+    while (/\s/.test(source[lookahead])) lookahead++;
+    if (source[lookahead] === '=') {
+      pos = lookahead + 1;
+      while (/\s/.test(source[pos])) pos++;
+
+      const quote = source[pos];
+      if (quote === '"' || quote === "'") {
+        const close = source.indexOf(quote, pos + 1);
+        if (close === -1) {
+          throw new Error(`Unterminated attribute value for "${attr.name}"`);
+        }
+        attr.quote = quote;
+        attr.valueStart = pos + 1;
+        attr.valueEnd = close;
+        pos = close + 1;
+      } else {
+        // Unquoted value (not valid XML, but seen in hand-written files)
+        const unquoted = /^[^\s>]+/.exec(source.slice(pos));
+        attr.quote = '';
+        attr.valueStart = pos;
+        attr.valueEnd = pos + (unquoted ? unquoted[0].length : 0);
+        pos = attr.valueEnd;
+      }
+
+      attr.raw = source.slice(attr.valueStart, attr.valueEnd);
+      attr.value = decodeEntities(attr.raw, entities);
+      attr.end = pos;
+    }
+
+    attributes.push(attr);
+  }
+
+  return { attributes, pos };
+};
+
+/**
+ * Parse an SVG string into a source-mapped document
+ * @param {string} source - The SVG content as a string
+ * @returns {object} Document with root node, entity table and pending edits
+ */
+export const parseSvg = (source) => {
+  const doc = {
+    source,
+    root: { type: 'root', children: [], parent: null },
+    entities: {},
+    edits: [],
+  };
+
+  const stack = [doc.root];
+  const current = () => stack[stack.length - 1];
+  let pos = 0;
+
+  const pushText = (type, start, end, contentStart = start, contentEnd = end) => {
+    if (end <= start) return;
+    current().children.push({
+      type,
+      start,
+      end,
+      contentStart,
+      contentEnd,
+      value: source.slice(contentStart, contentEnd),
+      parent: current(),
+    });
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    if (lt === -1) {
+      pushText('text', pos, source.length);
+      break;
+    }
+    pushText('text', pos, lt);
+    pos = lt;
+
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      if (end === -1) throw new Error('Unterminated comment');
+      pushText('comment', pos, end + 3, pos + 4, end);
+      pos = end + 3;
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const end = source.indexOf(']]>', pos + 9);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      pushText('cdata', pos, end + 3, pos + 9, end);
+      pos = end + 3;
+    } else if (source.startsWith('<?', pos)) {
+      const end = source.indexOf('?>', pos + 2);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      pushText('instruction', pos, end + 2);
+      pos = end + 2;
+    } else if (source.startsWith('<!', pos)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      let end = pos + 2;
+      let depth = 0;
+      while (end < source.length) {
+        const ch = source[end];
+        if (ch === '[') depth++;
+        else if (ch === ']') depth--;
+        else if (ch === '>' && depth <= 0) break;
+        end++;
+      }
+      if (end >= source.length) throw new Error('Unterminated DOCTYPE');
+      const doctype = source.slice(pos, end + 1);
+      Object.assign(doc.entities, parseEntityDeclarations(doctype));
+      // Expand each declaration once so a malicious one fails the parse up front
+      Object.keys(doc.entities).forEach((name) => decodeEntities(`&${name};`, doc.entities));
+      pushText('doctype', pos, end + 1);
+      pos = end + 1;
+    } else if (source[pos + 1] === '/') {
+      const end = source.indexOf('>', pos);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = source.slice(pos + 2, end).trim();
+      const element = current();
+      if (element.type !== 'element' || element.name !== name) {
+        throw new Error(`Mismatched closing tag </${name}> at offset ${pos}`);
+      }
+      element.closeStart = pos;
+      element.end = end + 1;
+      stack.pop();
+      pos = end + 1;
+    } else {
+      const nameMatch = /^<([^\s/>]+)/.exec(source.slice(pos, pos + 256));
+      if (!nameMatch) {
+        // A stray "<" in text content
+        pushText('text', pos, pos + 1);
+        pos += 1;
+        continue;
+      }
+
+      const name = nameMatch[1];
+      const { attributes, pos: tagEnd } = parseAttributes(source, pos + nameMatch[0].length, doc.entities);
+      const selfClosing = source[tagEnd] === '/';
+      const lastAttr = attributes[attributes.length - 1];
+
+      const element = {
+        type: 'element',
+        name,
+        localName: localName(name),
+        attributes,
+        children: [],
+        parent: current(),
+        start: pos,
+        // New attributes are inserted right after the last existing one
+        attrInsertAt: lastAttr ? lastAttr.end : pos + nameMatch[0].length,
+        tagEnd,
+        openEnd: tagEnd + (selfClosing ? 2 : 1),
+        selfClosing,
+        closeStart: -1,
+        end: -1,
+      };
+
+      if (tagEnd >= source.length) {
+        throw new Error(`Unterminated tag <${name}>`);
+      }
+
+      current().children.push(element);
+      pos = element.openEnd;
+
+      if (selfClosing) {
+        element.closeStart = tagEnd;
+        element.end = element.openEnd;
+      } else {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${current().name}>`);
+  }
+
+  return doc;
+};
+
+/**
+ * Find the outermost <svg> element of a document
+ * @param {object} doc - Parsed document
+ * @returns {object|null} The root svg element
+ */
+export const getRootSvg = (doc) => {
+  return doc.root.children.find((node) => node.type === 'element' && node.localName === 'svg') || null;
+};
+
+/**
+ * Visit every element in document order
+ * @param {object} node - Node to start from (document root or element)
+ * @param {Function} visitor - Called with each element
+ */
+export const walkElements = (node, visitor) => {
+  node.children.forEach((child) => {
+    if (child.type !== 'element') return;
+    visitor(child);
+    walkElements(child, visitor);
+  });
+};
+
+/**
+ * Get an attribute record by name
+ * @param {object} element - The element
+ * @param {string} name - Attribute name
+ * @returns {object|undefined} Attribute record
+ */
+export const findAttribute = (element, name) => {
+  return element.attributes.find((attr) => attr.name === name);
+};
+
+/**
+ * Get a decoded attribute value
+ * @param {object} element - The element
+ * @param {string} name - Attribute name
+ * @returns {string|null} The value or null if not present
+ */
+export const getAttribute = (element, name) => {
+  const attr = findAttribute(element, name);
+  return attr ? attr.value : null;
+};
+
+/**
+ * Multiply two affine matrices [a, b, c, d, e, f]
+ * @param {number[]} m1 - Left matrix
+ * @param {number[]} m2 - Right matrix (applied first)
+ * @returns {number[]} m1 · m2
+ */
+const multiplyMatrices = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1,
+];
+
+/**
+ * Parse a transform attribute into one matrix
+ * @param {string} transform - Transform list (e.g. "translate(2 2) rotate(45)")
+ * @returns {number[]} Matrix [a, b, c, d, e, f]
+ */
+const parseTransform = (transform) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  transform.replace(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g, (_, name, args) => {
+    const values = args.trim().split(/[\s,]+/).map(parseFloat);
+    const radians = ((values[0] || 0) * Math.PI) / 180;
+    let next = null;
+    if (name === 'matrix' && values.length === 6) next = values;
+    if (name === 'translate') next = [1, 0, 0, 1, values[0] || 0, values[1] || 0];
+    if (name === 'scale') next = [values[0], 0, 0, values[1] ?? values[0], 0, 0];
+    if (name === 'rotate') {
+      const [cx = 0, cy = 0] = values.slice(1);
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    }
+    if (name === 'skewX') next = [1, 0, Math.tan(radians), 1, 0, 0];
+    if (name === 'skewY') next = [1, Math.tan(radians), 0, 1, 0, 0];
+    if (next && next.every(Number.isFinite)) matrix = multiplyMatrices(matrix, next);
+    return '';
+  });
+  return matrix;
+};
+
+/**
+ * Combined transform of an element and its ancestors
+ * @param {object} element - The element
+ * @returns {number[]} Matrix [a, b, c, d, e, f] from the element's user space to the root's
+ */
+export const getTransformMatrix = (element) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  for (let node = element; node && node.type === 'element'; node = node.parent) {
+    matrix = multiplyMatrices(parseTransform(getAttribute(node, 'transform') || ''), matrix);
+  }
+  return matrix;
+};
+
+/**
+ * Area scale of the transforms on an element and its ancestors
+ * Only the determinant matters, so translations and rotations drop out.
+ * Lengths (e.g. stroke widths) scale by its square root.
+ * @param {object} element - The element
+ * @returns {number} Factor user-space areas are multiplied by
+ */
+export const getTransformScale = (element) => {
+  const [a, b, c, d] = getTransformMatrix(element);
+  return Math.abs(a * d - b * c);
+};
+
+/**
+ * Queue a raw text replacement in the source
+ * @param {object} doc - Parsed document
+ * @param {number} start - Start offset in the original source
+ * @param {number} end - End offset in the original source
+ * @param {string} text - Replacement text
+ * @returns {object} The queued edit
+ */
+export const replaceRange = (doc, start, end, text) => {
+  const edit = { start, end, text, order: doc.edits.length };
+  doc.edits.push(edit);
+  return edit;
+};
+
+/**
+ * Set an attribute, rewriting only its value if it already exists
+ * @param {object} doc - Parsed document
+ * @param {object} element - The element to modify
+ * @param {string} name - Attribute name
+ * @param {string} value - New (unencoded) value
+ */
+export const setAttribute = (doc, element, name, value) => {
+  const attr = findAttribute(element, name);
+
+  if (attr && attr.pendingEdit) {
+    // Attribute added earlier in this pass: just update the queued markup
+    attr.pendingEdit.text = ` ${name}="${encodeAttributeValue(value)}"`;
+    attr.value = value;
+    return;
+  }
+
+  if (attr && attr.valueStart !== -1) {
+    if (attr.value === value) return;
+    replaceRange(doc, attr.valueStart, attr.valueEnd, encodeAttributeValue(value, attr.quote || '"'));
+    attr.value = value;
+    return;
+  }
+
+  const markup = ` ${name}="${encodeAttributeValue(value)}"`;
+  if (attr) {
+    // Value-less attribute: give it a value in place
+    replaceRange(doc, attr.start, attr.end, markup.trimStart());
+  } else {
+    const pendingEdit = replaceRange(doc, element.attrInsertAt, element.attrInsertAt, markup);
+    element.attributes.push({ name, value, raw: value, quote: '"', start: -1, valueStart: -1, valueEnd: -1, end: -1, pendingEdit });
+  }
+};
+
+/**
+ * Insert markup as the first child of an element
+ * @param {object} doc - Parsed document
+ * @param {object} element - Parent element
+ * @param {string} markup - Markup to insert
+ */
+export const prependChildMarkup = (doc, element, markup) => {
+  if (element.selfClosing) {
+    appendChildMarkup(doc, element, markup);
+    return;
+  }
+  replaceRange(doc, element.openEnd, element.openEnd, markup);
+};
+
+/**
+ * Insert markup as the last child of an element
+ * @param {object} doc - Parsed document
+ * @param {object} element - Parent element
+ * @param {string} markup - Markup to insert
+ */
+export const appendChildMarkup = (doc, element, markup) => {
+  if (element.selfClosing) {
+    // <defs/> becomes <defs>...</defs>
+    replaceRange(doc, element.tagEnd, element.openEnd, `>${markup}</${element.name}>`);
+    return;
+  }
+  replaceRange(doc, element.closeStart, element.closeStart, markup);
+};
+
+/**
+ * Serialize a document, applying queued edits to the original source
+ * @param {object} doc - Parsed document
+ * @returns {string} The updated SVG string
+ */
+export const serializeSvg = (doc) => {
+  if (doc.edits.length === 0) return doc.source;
+
+  // Insertions sort before replacements at the same offset, otherwise queue order wins
+  const edits = [...doc.edits].sort((a, b) =>
+    a.start - b.start
+    || (a.end - a.start === 0 ? 0 : 1) - (b.end - b.start === 0 ? 0 : 1)
+    || a.order - b.order
+  );
+
+  let result = '';
+  let pos = 0;
+  edits.forEach((edit) => {
+    if (edit.start < pos) {
+      throw new Error(`Overlapping SVG edits at offset ${edit.start}`);
+    }
+    result += doc.source.slice(pos, edit.start) + edit.text;
+    pos = edit.end;
+  });
+
+  return result + doc.source.slice(pos);
+};
+
+export default {
+  parseSvg,
+  serializeSvg,
+  getRootSvg,
+  walkElements,
+  findAttribute,
+  getAttribute,
+  getTransformMatrix,
+  getTransformScale,
+  setAttribute,
+  replaceRange,
+  prependChildMarkup,
+  appendChildMarkup,
+  decodeEntities,
+  encodeAttributeValue,
+  localName,
+};
@@ -0,0 +1,261 @@
+/**
+ * SVG ID Utilities
+ * Deterministic, content-hashed ID generation and an ID-prefixing pass that
+ * namespaces every internal reference, so several SVGs can share one HTML page
+ */
+
+import {
+  parseSvg,
+  serializeSvg,
+  walkElements,
+  findAttribute,
+  setAttribute,
+  replaceRange,
+} from './svgDocument';
+
+// Attributes holding a space-separated list of element IDs
+const ID_LIST_ATTRIBUTES = [
+  'aria-activedescendant',
+  'aria-controls',
+  'aria-describedby',
+  'aria-details',
+  'aria-errormessage',
+  'aria-flowto',
+  'aria-labelledby',
+  'aria-owns',
+];
+
+/**
+ * Hash a string to a short base-36 token (32-bit FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash token
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Collect every ID declared in a parsed SVG
+ * @param {object} doc - Parsed SVG document
+ * @returns {Set<string>} Declared IDs
+ */
+export const collectIds = (doc) => {
+  const ids = new Set();
+  walkElements(doc.root, (element) => {
+    const id = findAttribute(element, 'id')?.value;
+    if (id) ids.add(id);
+  });
+  return ids;
+};
+
+/**
+ * Make an ID unique within a set of existing IDs by appending a counter
+ * @param {string} base - Preferred ID
+ * @param {Set<string>} existingIds - IDs already in use
+ * @returns {string} Unused ID
+ */
+export const createUniqueId = (base, existingIds) => {
+  let id = base;
+  for (let n = 2; existingIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+/**
+ * Turn an icon file name into an ID-safe slug
+ * Lowercase letters, digits and single dashes; starts with a letter so it is a
+ * valid CSS identifier.
+ * @param {string} name - Icon file name
+ * @returns {string} Slug such as "check-circle" ("2fa.svg" becomes "i-2fa")
+ */
+export const toIdSlug = (name) => {
+  const slug = (name || 'icon')
+    .replace(/\.svg$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'icon';
+  return /^[a-z]/.test(slug) ? slug : `i-${slug}`;
+};
+
+/**
+ * Build a per-icon ID prefix from its file name and content
+ * The hash keeps two icons with the same name apart; IDs stay valid CSS identifiers.
+ * @param {string} name - Icon file name
+ * @param {string} content - Icon SVG content
+ * @returns {string} Prefix such as "check-circle-1x2y3z"
+ */
+export const createIdPrefix = (name, content) => {
+  return `${toIdSlug(name)}-${hashString(content || '')}`;
+};
+
+/**
+ * Rewrite url(#id) references in a value
+ * @param {string} value - Attribute, declaration or stylesheet text
+ * @param {Function} rename - Returns the new ID, or null to leave a reference alone
+ * @returns {string} Updated value
+ */
+const rewriteUrlReferences = (value, rename) => {
+  return value.replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g, (match, quote, id) => {
+    const renamed = rename(id);
+    return renamed ? `url(${quote}#${renamed}${quote})` : match;
+  });
+};
+
+/**
+ * Rewrite ID references in stylesheet text
+ * Selector preludes (text before "{") get their #id selectors renamed;
+ * declaration blocks only get url(#id) references renamed, so hex colors stay intact.
+ * @param {string} css - Stylesheet text
+ * @param {Function} rename - Returns the new ID, or null
+ * @returns {string} Updated stylesheet text
+ */
+const rewriteStylesheet = (css, rename) => {
+  return css.replace(/([^{};]*)([{};]|$)/g, (match, segment, terminator) => {
+    if (terminator === '{') {
+      const selectors = segment.replace(/#([A-Za-z_][\w-]*)/g, (idMatch, id) => {
+        const renamed = rename(id);
+        return renamed ? `#${renamed}` : idMatch;
+      });
+      return rewriteUrlReferences(selectors, rename) + terminator;
+    }
+    return rewriteUrlReferences(segment, rename) + terminator;
+  });
+};
+
+/**
+ * Namespace every ID in an SVG and all internal references to it
+ * Covers id attributes, url(#...) in attributes, style="" and <style> blocks,
+ * href/xlink:href fragments, ARIA ID lists and #id selectors. References to IDs
+ * that the SVG does not declare are left alone.
+ * @param {string} svgString - The SVG content
+ * @param {string} prefix - Prefix to prepend (joined with "-")
+ * @returns {string} SVG with namespaced IDs
+ */
+export const prefixIds = (svgString, prefix) => {
+  if (!svgString || !prefix) return svgString;
+
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for ID prefixing:', error);
+    return svgString;
+  }
+
+  const ids = collectIds(doc);
+  if (ids.size === 0) return svgString;
+
+  const rename = (id) => (ids.has(id) ? `${prefix}-${id}` : null);
+
+  walkElements(doc.root, (element) => {
+    // Snapshot values first: setAttribute updates the records in place
+    element.attributes.map((attr) => [attr.name, attr.value]).forEach(([name, value]) => {
+      let next = value;
+      const local = name.split(':').pop();
+
+      if (name === 'id') {
+        next = rename(value) || value;
+      } else if (local === 'href' && value.startsWith('#')) {
+        const renamed = rename(value.slice(1));
+        if (renamed) next = `#${renamed}`;
+      } else if (ID_LIST_ATTRIBUTES.includes(name)) {
+        next = value.split(/\s+/).map((id) => rename(id) || id).join(' ');
+      } else if (value.includes('url(')) {
+        next = rewriteUrlReferences(value, rename);
+      }
+
+      if (next !== value) setAttribute(doc, element, name, next);
+    });
+
+    if (element.localName === 'style') {
+      element.children.forEach((child) => {
+        if (child.type !== 'text' && child.type !== 'cdata') return;
+        const css = rewriteStylesheet(child.value, rename);
+        if (css !== child.value) replaceRange(doc, child.contentStart, child.contentEnd, css);
+      });
+    }
+  });
+
+  return serializeSvg(doc);
+};
+
+/**
+ * Namespace the class names an SVG's own <style> blocks target
+ * Needed when several SVGs share one document (e.g. a sprite), where
+ * Illustrator-style ".cls-1" rules would otherwise apply across icons. Only
+ * classes used by both a class attribute and a stylesheet selector are renamed;
+ * SVGs without <style> are returned unchanged.
+ * @param {string} svgString - The SVG content
+ * @param {string} prefix - Prefix to prepend (joined with "-")
+ * @returns {string} SVG with namespaced classes
+ */
+export const prefixClasses = (svgString, prefix) => {
+  if (!svgString || !prefix) return svgString;
+
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for class prefixing:', error);
+    return svgString;
+  }
+
+  // Class selectors only appear in selector preludes (text before "{")
+  const rewriteSelectors = (css, rewrite) => css.replace(/([^{};]*)([{};]|$)/g, (match, segment, terminator) => {
+    if (terminator !== '{') return match;
+    return segment.replace(/\.(-?[A-Za-z_][\w-]*)/g, (classMatch, name) => {
+      const renamed = rewrite(name);
+      return renamed ? `.${renamed}` : classMatch;
+    }) + terminator;
+  });
+
+  const styleTexts = [];
+  const usedClasses = new Set();
+  walkElements(doc.root, (element) => {
+    if (element.localName === 'style') {
+      element.children
+        .filter((child) => child.type === 'text' || child.type === 'cdata')
+        .forEach((child) => styleTexts.push(child));
+    }
+    (findAttribute(element, 'class')?.value || '').split(/\s+/).filter(Boolean).forEach((name) => usedClasses.add(name));
+  });
+
+  const classes = new Set();
+  styleTexts.forEach((child) => rewriteSelectors(child.value, (name) => {
+    if (usedClasses.has(name)) classes.add(name);
+    return null;
+  }));
+  if (classes.size === 0) return svgString;
+
+  const rename = (name) => (classes.has(name) ? `${prefix}-${name}` : null);
+
+  styleTexts.forEach((child) => {
+    const css = rewriteSelectors(child.value, rename);
+    if (css !== child.value) replaceRange(doc, child.contentStart, child.contentEnd, css);
+  });
+
+  walkElements(doc.root, (element) => {
+    const value = findAttribute(element, 'class')?.value;
+    if (!value) return;
+    const next = value.split(/\s+/).filter(Boolean).map((name) => rename(name) || name).join(' ');
+    if (next !== value) setAttribute(doc, element, 'class', next);
+  });
+
+  return serializeSvg(doc);
+};
+
+export default {
+  hashString,
+  collectIds,
+  createUniqueId,
+  toIdSlug,
+  createIdPrefix,
+  prefixIds,
+  prefixClasses,
+};
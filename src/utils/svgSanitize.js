@@ -0,0 +1,233 @@
+/**
+ * Inline SVG sanitizing
+ * Uploaded SVGs are normally shown through <img src="data:...">, where scripts
+ * never run. The region editor has to put the markup into the page itself, so
+ * it is rebuilt here from an allowlist: only known SVG drawing elements and
+ * safe attributes survive, and <style> rules are confined to the icon.
+ */
+
+import { parseSvg, getRootSvg, decodeEntities, encodeAttributeValue, localName } from './svgDocument';
+
+// Elements kept in inline markup; everything else (script, foreignObject,
+// animate/set, iframe, editor metadata...) is dropped with its content
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'switch', 'a', 'title', 'desc', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath', 'image',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset',
+  'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+]);
+
+// At-rules whose blocks hold ordinary style rules; other at-rules (@import,
+// @font-face, @keyframes...) are dropped
+const NESTING_AT_RULES = ['media', 'supports', 'container', 'layer'];
+
+/**
+ * Escape text content (the HTML parser decodes entities inside inline SVG)
+ * @param {string} text - Decoded text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Check whether a value starts with a script or data URL scheme
+ * Browsers ignore whitespace and control characters inside the scheme.
+ * @param {string} value - Attribute value
+ * @returns {boolean} True for javascript:, vbscript: and data: values
+ */
+const isUnsafeUrl = (value) => /^(javascript|vbscript|data):/i.test(value.replace(/[\s\0-\x1f]/g, ''));
+
+/**
+ * Keep the declarations of a rule body or style="" that load nothing external
+ * Declarations with url() to anything but a #fragment, or with CSS escapes
+ * (which could spell one), are removed.
+ * @param {string} declarations - Declaration list
+ * @returns {string} Filtered declarations
+ */
+const filterDeclarations = (declarations) => declarations
+  .split(';')
+  .filter((declaration) => !declaration.includes('\\') && !/url\(\s*['"]?\s*(?!#)/i.test(declaration))
+  .join(';');
+
+/**
+ * Split a selector list on its top-level commas
+ * @param {string} prelude - Selector list
+ * @returns {string[]} Selectors
+ */
+const splitSelectors = (prelude) => {
+  const selectors = [];
+  let depth = 0;
+  let start = 0;
+  [...prelude].forEach((ch, i) => {
+    if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === ',' && depth === 0) {
+      selectors.push(prelude.slice(start, i));
+      start = i + 1;
+    }
+  });
+  selectors.push(prelude.slice(start));
+  return selectors.map((selector) => selector.trim()).filter(Boolean);
+};
+
+/**
+ * Split a stylesheet into its top-level blocks
+ * Statements without a block (@import, @charset) and anything after an
+ * unbalanced brace are dropped, so rebuilt output can't close a block early.
+ * @param {string} css - Stylesheet without comments
+ * @returns {Array<{prelude: string, body: string}>} Blocks
+ */
+const splitBlocks = (css) => {
+  const blocks = [];
+  let start = 0;
+  let i = 0;
+  const skipString = (index) => {
+    const quote = css[index];
+    let end = index + 1;
+    while (end < css.length && css[end] !== quote) end += css[end] === '\\' ? 2 : 1;
+    return end;
+  };
+
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === '"' || ch === "'") {
+      i = skipString(i);
+    } else if (ch === ';' || ch === '}') {
+      start = i + 1;
+    } else if (ch === '{') {
+      let depth = 1;
+      let end = i + 1;
+      while (end < css.length && depth > 0) {
+        if (css[end] === '"' || css[end] === "'") end = skipString(end);
+        else if (css[end] === '{') depth++;
+        else if (css[end] === '}') depth--;
+        end++;
+      }
+      if (depth > 0) break;
+      blocks.push({ prelude: css.slice(start, i).trim(), body: css.slice(i + 1, end - 1) });
+      i = end - 1;
+      start = end;
+    }
+    i++;
+  }
+  return blocks;
+};
+
+/**
+ * Confine a stylesheet to one inline SVG
+ * Every selector's subject must be the scoped root or inside it, so rules
+ * can't restyle the rest of the page. Nested rules, pseudo-elements and
+ * at-rules other than conditional groups are dropped.
+ * @param {string} css - Stylesheet text
+ * @param {string} scope - Selector matching the inline root
+ * @returns {string} Scoped stylesheet
+ */
+const scopeStylesheet = (css, scope) => {
+  const within = `:is(${scope}, ${scope} *)`;
+  return splitBlocks(css.replace(/\/\*[\s\S]*?\*\//g, ''))
+    .map(({ prelude, body }) => {
+      const atRule = /^@([\w-]+)/.exec(prelude);
+      if (atRule) {
+        return NESTING_AT_RULES.includes(atRule[1].toLowerCase())
+          ? `${prelude} {\n${scopeStylesheet(body, scope)}\n}`
+          : '';
+      }
+      if (/[{}]/.test(body)) return '';
+      const selectors = splitSelectors(prelude)
+        .filter((selector) => !selector.includes('::'))
+        .map((selector) => `${selector}${within}`);
+      return selectors.length ? `${selectors.join(', ')} { ${filterDeclarations(body).trim()} }` : '';
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Rebuild one element from the allowlist
+ * @param {object} element - Parsed element
+ * @param {object} doc - Parsed document (for entities)
+ * @param {string} scope - Selector matching the inline root
+ * @param {Array<[string, string]>} extraAttributes - Attributes to add
+ * @returns {string} Markup, or '' if the element is not allowed
+ */
+const serializeElement = (element, doc, scope, extraAttributes = []) => {
+  const prefix = element.name.includes(':') ? element.name.split(':')[0] : null;
+  if ((prefix && prefix !== 'svg') || !ALLOWED_ELEMENTS.has(element.localName)) return '';
+
+  const attributes = element.attributes
+    .map(({ name, value }) => [name, value])
+    .filter(([name, value]) => {
+      const local = localName(name).toLowerCase();
+      if (!/^[A-Za-z_][\w.:-]*$/.test(name) || local.startsWith('on')) return false;
+      if (local === 'href') return value.trim().startsWith('#');
+      if (name === 'data-paint-index') return /^\d+$/.test(value);
+      if (name === 'data-inline-scope') return false;
+      return !isUnsafeUrl(value);
+    })
+    .map(([name, value]) => [name, name === 'style' ? filterDeclarations(value) : value]);
+
+  const attributeMarkup = [...attributes, ...extraAttributes]
+    .map(([name, value]) => ` ${name}="${encodeAttributeValue(value)}"`)
+    .join('');
+
+  let content;
+  if (element.localName === 'style') {
+    const css = element.children
+      .filter((child) => child.type === 'text' || child.type === 'cdata')
+      .map((child) => (child.type === 'text' ? decodeEntities(child.value, doc.entities) : child.value))
+      .join('');
+    content = escapeText(scopeStylesheet(css, scope));
+  } else if (element.localName === 'title' || element.localName === 'desc') {
+    // The HTML parser reads these as HTML, so only their text is kept
+    content = element.children
+      .filter((child) => child.type === 'text' || child.type === 'cdata')
+      .map((child) => escapeText(child.type === 'text' ? decodeEntities(child.value, doc.entities) : child.value))
+      .join('');
+  } else {
+    content = element.children.map((child) => {
+      if (child.type === 'element') return serializeElement(child, doc, scope);
+      if (child.type === 'text') return escapeText(decodeEntities(child.value, doc.entities));
+      if (child.type === 'cdata') return escapeText(child.value);
+      // Comments, processing instructions and doctypes are dropped
+      return '';
+    }).join('');
+  }
+
+  return content
+    ? `<${element.localName}${attributeMarkup}>${content}</${element.localName}>`
+    : `<${element.localName}${attributeMarkup}/>`;
+};
+
+/**
+ * Make SVG markup safe to insert into the page (dangerouslySetInnerHTML)
+ * The markup is rebuilt rather than patched: disallowed elements are dropped
+ * with their content, event handlers and script/data URLs are removed, href
+ * only keeps #fragments, and <style> rules only reach elements of this SVG
+ * (the root gets data-inline-scope="<scopeId>").
+ * @param {string} svgString - SVG content
+ * @param {string} scopeId - Unique, CSS-safe name for this inline copy
+ * @returns {string} Sanitized markup ('' if the SVG can't be read)
+ */
+export const sanitizeInlineSvg = (svgString, scopeId) => {
+  let doc;
+  try {
+    doc = parseSvg(svgString);
+  } catch (error) {
+    console.error('Failed to parse SVG for inline display:', error);
+    return '';
+  }
+  const rootSvg = getRootSvg(doc);
+  if (!rootSvg) return '';
+
+  const scopeValue = scopeId.replace(/[^\w-]/g, '');
+  const scope = `[data-inline-scope="${scopeValue}"]`;
+  return serializeElement(rootSvg, doc, scope, [['data-inline-scope', scopeValue]]);
+};
+
+export default {
+  sanitizeInlineSvg,
+};
@@ -0,0 +1,512 @@
+/**
+ * CSS handling for SVG documents
+ * Parses <style> blocks and style="" attributes with source offsets,
+ * matches simple selectors, and resolves each element's effective paint
+ * (fill, stroke, color...) through the cascade and inheritance.
+ */
+
+import { walkElements, getRootSvg, findAttribute } from './svgDocument';
+
+// Properties whose values are colors or paint servers
+export const PAINT_PROPERTIES = [
+  'fill',
+  'stroke',
+  'stop-color',
+  'color',
+  'flood-color',
+  'lighting-color',
+  'background',
+  'background-color',
+];
+
+// Properties that inherit from the parent element, with their initial values
+const INHERITED_PAINT = {
+  fill: 'black',
+  stroke: 'none',
+  color: 'black',
+};
+
+// Properties that do not inherit, with their initial values
+const NON_INHERITED_PAINT = {
+  'stop-color': 'black',
+  'flood-color': 'black',
+  'lighting-color': 'white',
+};
+
+// Elements that actually paint geometry with fill/stroke
+export const SHAPE_ELEMENTS = [
+  'path',
+  'rect',
+  'circle',
+  'ellipse',
+  'line',
+  'polyline',
+  'polygon',
+  'text',
+  'tspan',
+  'textPath',
+];
+
+/**
+ * Blank out CSS comments while keeping every other offset intact
+ * @param {string} css - CSS text
+ * @returns {string} CSS text with comments replaced by spaces
+ */
+const maskComments = (css) => {
+  return css.replace(/\/\*[\s\S]*?(\*\/|$)/g, (comment) => ' '.repeat(comment.length));
+};
+
+/**
+ * Find the end of a CSS value, honoring strings and parentheses
+ * @param {string} css - Comment-masked CSS text
+ * @param {number} pos - Offset where the value starts
+ * @returns {number} Offset of the terminating ";" or "}" (or end of text)
+ */
+const scanValueEnd = (css, pos) => {
+  let depth = 0;
+  let quote = null;
+
+  for (; pos < css.length; pos++) {
+    const ch = css[pos];
+    if (quote) {
+      if (ch === '\\') pos++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if ((ch === ';' || ch === '}') && depth === 0) {
+      break;
+    }
+  }
+  return pos;
+};
+
+/**
+ * Parse a declaration list ("fill: #000; stroke: red")
+ * @param {string} text - Declaration text
+ * @param {number} offset - Offset of the text within its source, added to positions
+ * @returns {Array} Declarations with property, value and value offsets
+ */
+export const parseDeclarations = (text, offset = 0) => {
+  const css = maskComments(text);
+  const declarations = [];
+  let pos = 0;
+
+  while (pos < css.length) {
+    const colon = css.indexOf(':', pos);
+    if (colon === -1) break;
+
+    const semicolon = css.indexOf(';', pos);
+    if (semicolon !== -1 && semicolon < colon) {
+      // Malformed chunk without a colon
+      pos = semicolon + 1;
+      continue;
+    }
+
+    const property = css.slice(pos, colon).trim().toLowerCase();
+    const end = scanValueEnd(css, colon + 1);
+
+    // Trim the value and split off !important
+    let valueStart = colon + 1;
+    let valueEnd = end;
+    while (valueStart < valueEnd && /\s/.test(css[valueStart])) valueStart++;
+    while (valueEnd > valueStart && /\s/.test(css[valueEnd - 1])) valueEnd--;
+
+    let important = false;
+    const importantMatch = /!\s*important$/i.exec(css.slice(valueStart, valueEnd));
+    if (importantMatch) {
+      important = true;
+      valueEnd -= importantMatch[0].length;
+      while (valueEnd > valueStart && /\s/.test(css[valueEnd - 1])) valueEnd--;
+    }
+
+    if (property) {
+      declarations.push({
+        property,
+        value: text.slice(valueStart, valueEnd),
+        important,
+        valueStart: offset + valueStart,
+        valueEnd: offset + valueEnd,
+      });
+    }
+
+    pos = end + 1;
+  }
+
+  return declarations;
+};
+
+/**
+ * Parse one compound selector ("path.icon-fill#main")
+ * @param {string} text - Compound selector text
+ * @returns {object|null} Parsed parts or null if unsupported
+ */
+const parseCompound = (text) => {
+  const compound = { tag: null, ids: [], classes: [], attributes: [] };
+  // Sticky matching; the leading ^ keeps type selectors to the start of the compound
+  const partRegex = /^(\*|[A-Za-z_][\w-]*)|\.([\w-]+)|#([\w-]+)|\[\s*([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/y;
+  let pos = 0;
+
+  while (pos < text.length) {
+    partRegex.lastIndex = pos;
+    const match = partRegex.exec(text);
+    if (!match) return null;
+
+    if (match[1]) {
+      compound.tag = match[1] === '*' ? null : match[1];
+    } else if (match[2]) {
+      compound.classes.push(match[2]);
+    } else if (match[3]) {
+      compound.ids.push(match[3]);
+    } else if (match[4]) {
+      compound.attributes.push({ name: match[4], value: match[5] ?? match[6] ?? match[7] ?? null });
+    }
+    pos = partRegex.lastIndex;
+  }
+
+  return compound;
+};
+
+/**
+ * Parse a complex selector into compounds joined by combinators
+ * Pseudo-classes and sibling combinators are not supported; such selectors never match.
+ * @param {string} text - Selector text (no commas)
+ * @returns {object|null} Parsed selector with specificity, or null if unsupported
+ */
+export const parseSelector = (text) => {
+  const tokens = text.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const parts = [];
+  let combinator = ' ';
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    const compound = parseCompound(token);
+    if (!compound) return null;
+    parts.push({ ...compound, combinator: parts.length === 0 ? null : combinator });
+    combinator = ' ';
+  }
+
+  const specificity = parts.reduce(
+    (acc, part) => [
+      acc[0] + part.ids.length,
+      acc[1] + part.classes.length + part.attributes.length,
+      acc[2] + (part.tag ? 1 : 0),
+    ],
+    [0, 0, 0]
+  );
+
+  return { text: text.trim(), parts, specificity };
+};
+
+/**
+ * Parse a stylesheet into rules with declaration offsets
+ * @param {string} text - CSS text from a <style> element
+ * @param {number} offset - Offset of the text within the SVG source
+ * @returns {Array} Rules: { selectorText, selectors, declarations, media }
+ */
+export const parseStylesheet = (text, offset = 0) => {
+  const css = maskComments(text);
+  const rules = [];
+
+  const parseBlock = (start, end, media) => {
+    let pos = start;
+    while (pos < end) {
+      const open = css.indexOf('{', pos);
+      if (open === -1 || open >= end) break;
+
+      const prelude = css.slice(pos, open).trim();
+
+      // Statement at-rules (@import ...;) that end before the block
+      const semicolon = css.indexOf(';', pos);
+      if (prelude.startsWith('@') && semicolon !== -1 && semicolon < open && !css.slice(pos, semicolon).includes('{')) {
+        pos = semicolon + 1;
+        continue;
+      }
+
+      // Find the matching close brace
+      let depth = 1;
+      let close = open + 1;
+      while (close < end && depth > 0) {
+        if (css[close] === '{') depth++;
+        else if (css[close] === '}') depth--;
+        if (depth > 0) close++;
+      }
+
+      if (/^@(media|supports)\b/i.test(prelude)) {
+        parseBlock(open + 1, close, prelude);
+      } else if (prelude.startsWith('@')) {
+        // @font-face, @keyframes... carry no selectable paint
+      } else if (prelude) {
+        rules.push({
+          selectorText: prelude,
+          selectors: prelude.split(',').map(parseSelector).filter(Boolean),
+          declarations: parseDeclarations(text.slice(open + 1, close), offset + open + 1),
+          media,
+        });
+      }
+
+      pos = close + 1;
+    }
+  };
+
+  parseBlock(0, css.length, null);
+  return rules;
+};
+
+/**
+ * Check whether an element matches a compound selector
+ * @param {object} element - Document element
+ * @param {object} compound - Parsed compound selector
+ * @returns {boolean} True if matched
+ */
+const matchesCompound = (element, compound) => {
+  if (compound.tag && compound.tag !== element.name && compound.tag !== element.localName) {
+    return false;
+  }
+
+  const id = findAttribute(element, 'id')?.value;
+  if (compound.ids.some((wanted) => wanted !== id)) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (findAttribute(element, 'class')?.value || '').split(/\s+/);
+    if (compound.classes.some((wanted) => !classes.includes(wanted))) return false;
+  }
+
+  return compound.attributes.every(({ name, value }) => {
+    const attr = findAttribute(element, name);
+    if (!attr) return false;
+    return value === null || attr.value === value;
+  });
+};
+
+/**
+ * Check whether an element matches a parsed selector
+ * @param {object} element - Document element
+ * @param {object} selector - Parsed selector from parseSelector
+ * @returns {boolean} True if matched
+ */
+export const matchesSelector = (element, selector) => {
+  const { parts } = selector;
+
+  const matchFrom = (el, index) => {
+    if (!matchesCompound(el, parts[index])) return false;
+    if (index === 0) return true;
+
+    const { combinator } = parts[index];
+    let ancestor = el.parent;
+    while (ancestor && ancestor.type === 'element') {
+      if (matchFrom(ancestor, index - 1)) return true;
+      if (combinator === '>') return false;
+      ancestor = ancestor.parent;
+    }
+    return false;
+  };
+
+  return matchFrom(element, parts.length - 1);
+};
+
+/**
+ * Collect every <style> element's rules, with declaration offsets in the SVG source
+ * @param {object} doc - Parsed SVG document
+ * @returns {Array} Rules in document order
+ */
+export const collectStylesheets = (doc) => {
+  const rules = [];
+
+  walkElements(doc.root, (element) => {
+    if (element.localName !== 'style') return;
+    element.children.forEach((child) => {
+      if (child.type !== 'text' && child.type !== 'cdata') return;
+      rules.push(...parseStylesheet(child.value, child.contentStart));
+    });
+  });
+
+  return rules;
+};
+
+/**
+ * Compare two cascade candidates, returning > 0 if a wins over b
+ * @param {object} a - Candidate
+ * @param {object} b - Candidate
+ * @returns {number} Comparison result
+ */
+const compareCandidates = (a, b) => {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  if (a.level !== b.level) return a.level - b.level;
+  for (let i = 0; i < 3; i++) {
+    if (a.specificity[i] !== b.specificity[i]) return a.specificity[i] - b.specificity[i];
+  }
+  return a.order - b.order;
+};
+
+/**
+ * Resolve the effective paint properties of every element
+ * Cascade order: presentation attribute < stylesheet rule (by specificity) < inline style,
+ * with !important declarations above all. "inherit" and "currentColor" are resolved.
+ * @param {object} doc - Parsed SVG document
+ * @param {object} inherited - Extra inherited properties to resolve, with their
+ *   initial values (e.g. { 'stroke-width': '1' })
+ * @returns {Map} Element → { [property]: { value, source, element } }
+ *   source is 'attribute', 'rule', 'inline', 'inherited' or 'initial'
+ */
+export const computePaintStyles = (doc, inherited = {}) => {
+  const rules = collectStylesheets(doc).filter((rule) => !rule.media);
+  const styles = new Map();
+  const inheritedProperties = { ...INHERITED_PAINT, ...inherited };
+  const properties = [...Object.keys(inheritedProperties), ...Object.keys(NON_INHERITED_PAINT)];
+
+  const resolveElement = (element, parentStyle) => {
+    const candidates = {};
+    let order = 0;
+
+    const consider = (property, candidate) => {
+      if (!properties.includes(property)) return;
+      const current = candidates[property];
+      const next = { ...candidate, order: order++ };
+      if (!current || compareCandidates(next, current) > 0) {
+        candidates[property] = next;
+      }
+    };
+
+    // Presentation attributes
+    element.attributes.forEach((attr) => {
+      consider(attr.name, { value: attr.value.trim(), source: 'attribute', level: 0, important: false, specificity: [0, 0, 0], attr });
+    });
+
+    // Stylesheet rules
+    rules.forEach((rule) => {
+      const matched = rule.selectors.filter((selector) => matchesSelector(element, selector));
+      if (matched.length === 0) return;
+      const specificity = matched
+        .map((selector) => selector.specificity)
+        .sort((a, b) => b[0] - a[0] || b[1] - a[1] || b[2] - a[2])[0];
+      rule.declarations.forEach((declaration) => {
+        consider(declaration.property, { value: declaration.value.trim(), source: 'rule', level: 1, important: declaration.important, specificity, declaration, rule });
+      });
+    });
+
+    // Inline style
+    const styleAttr = findAttribute(element, 'style');
+    if (styleAttr) {
+      parseDeclarations(styleAttr.value).forEach((declaration) => {
+        consider(declaration.property, { value: declaration.value.trim(), source: 'inline', level: 2, important: declaration.important, specificity: [0, 0, 0], declaration });
+      });
+    }
+
+    const style = {};
+    properties.forEach((property) => {
+      const inherits = property in inheritedProperties;
+      const initial = inherits ? inheritedProperties[property] : NON_INHERITED_PAINT[property];
+      const candidate = candidates[property];
+      const fromParent = parentStyle?.[property];
+
+      if (!candidate || candidate.value.toLowerCase() === 'inherit') {
+        if ((inherits || candidate) && fromParent) {
+          style[property] = { ...fromParent, source: fromParent.source === 'initial' ? 'initial' : 'inherited' };
+        } else {
+          style[property] = { value: initial, source: 'initial', element: null };
+        }
+        return;
+      }
+
+      style[property] = { value: candidate.value, source: candidate.source, element, candidate };
+    });
+
+    // currentColor takes the element's own computed color
+    properties.forEach((property) => {
+      if (property !== 'color' && /^currentcolor$/i.test(style[property].value)) {
+        style[property] = { ...style[property], currentColor: true, resolved: style.color.value, colorSource: style.color };
+      }
+    });
+
+    styles.set(element, style);
+    element.children.forEach((child) => {
+      if (child.type === 'element') resolveElement(child, style);
+    });
+  };
+
+  const rootSvg = getRootSvg(doc);
+  if (rootSvg) resolveElement(rootSvg, null);
+
+  return styles;
+};
+
+// Functional color notations recognised inside paint values
+const COLOR_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color'];
+
+/**
+ * Rewrite the color tokens inside a CSS/attribute paint value
+ * url(...) references, keywords and other tokens are left as-is unless the mapper changes them.
+ * The fallback of var(--name, fallback) is mapped too; the custom property itself is not.
+ * @param {string} value - The paint value (e.g. "url(#g) #333")
+ * @param {Function} mapper - Called with each color token, returns the replacement
+ * @returns {string} The updated value
+ */
+export const mapColorTokens = (value, mapper) => {
+  if (!value) return value;
+
+  let result = '';
+  let pos = 0;
+  const tokenRegex = /url\([^)]*\)|([A-Za-z-]+)\(|#[0-9A-Fa-f]+\b|[A-Za-z][\w-]*/g;
+  let match;
+
+  while ((match = tokenRegex.exec(value)) !== null) {
+    const [token, functionName] = match;
+    let end = match.index + token.length;
+    let colorToken = null;
+
+    if (token.startsWith('url(')) {
+      // Paint server reference: leave untouched
+    } else if (functionName) {
+      // Include everything up to the matching close paren
+      let depth = 1;
+      let comma = -1;
+      while (end < value.length && depth > 0) {
+        if (value[end] === '(') depth++;
+        else if (value[end] === ')') depth--;
+        else if (value[end] === ',' && depth === 1 && comma === -1) comma = end;
+        end++;
+      }
+      if (COLOR_FUNCTIONS.includes(functionName.toLowerCase())) {
+        colorToken = value.slice(match.index, end);
+      } else if (functionName.toLowerCase() === 'var' && comma !== -1 && depth === 0) {
+        const fallback = value.slice(comma + 1, end - 1);
+        const mapped = mapColorTokens(fallback, mapper);
+        if (mapped !== fallback) {
+          result += value.slice(pos, comma + 1) + mapped + ')';
+          pos = end;
+        }
+      }
+      tokenRegex.lastIndex = end;
+    } else {
+      colorToken = token;
+    }
+
+    if (colorToken !== null) {
+      const replacement = mapper(colorToken);
+      result += value.slice(pos, match.index) + (replacement ?? colorToken);
+      pos = end;
+    }
+  }
+
+  return result + value.slice(pos);
+};
+
+export default {
+  PAINT_PROPERTIES,
+  SHAPE_ELEMENTS,
+  parseDeclarations,
+  parseSelector,
+  parseStylesheet,
+  matchesSelector,
+  collectStylesheets,
+  computePaintStyles,
+  mapColorTokens,
+};
@@ -0,0 +1,119 @@
+/**
+ * Color-vision-deficiency simulation
+ * Recomputes the colors of a painted SVG as seen with protanopia, deuteranopia,
+ * tritanopia or achromatopsia, and flags colors that become indistinguishable
+ */
+
+import { parseColor, formatHex, getDeltaE, srgbToLinear, linearToSrgb } from './colorParser';
+import { mapSvgColors } from './colorMapper';
+
+/**
+ * Simulation matrices in linear RGB (Machado, Oliveira & Fernandes 2009, severity 1.0)
+ * Achromatopsia has no matrix: colors collapse to their luminance.
+ */
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+};
+
+// Simulations offered in the preview, in display order
+export const VISION_TYPES = [
+  { id: 'protanopia', label: 'Protanopia', description: 'No red cones' },
+  { id: 'deuteranopia', label: 'Deuteranopia', description: 'No green cones' },
+  { id: 'tritanopia', label: 'Tritanopia', description: 'No blue cones' },
+  { id: 'achromatopsia', label: 'Achromatopsia', description: 'No color vision' },
+];
+
+// Colors closer than this (CIE76 ΔE) after simulation read as the same color
+export const COLLAPSE_THRESHOLD = 10;
+
+/**
+ * Simulate how a color is perceived with a color-vision deficiency
+ * @param {string} color - Any CSS color
+ * @param {string} type - 'protanopia', 'deuteranopia', 'tritanopia' or 'achromatopsia'
+ * @returns {string} Simulated color as hex (alpha kept), or the input if not a color
+ */
+export const simulateColor = (color, type) => {
+  const rgb = parseColor(color);
+  if (!rgb) return color;
+
+  const linear = [rgb.r, rgb.g, rgb.b].map((channel) => srgbToLinear(channel / 255));
+  let simulated;
+  if (type === 'achromatopsia') {
+    const luminance = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+    simulated = [luminance, luminance, luminance];
+  } else {
+    const matrix = CVD_MATRICES[type];
+    if (!matrix) return color;
+    simulated = matrix.map((row) => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+  }
+
+  const [r, g, b] = simulated.map((channel) => Math.round(linearToSrgb(Math.min(1, Math.max(0, channel))) * 255));
+  return formatHex({ r, g, b, alpha: rgb.alpha });
+};
+
+/**
+ * Recolor an SVG as seen with a color-vision deficiency
+ * @param {string} svgString - The painted SVG content
+ * @param {string} type - Simulation type (see VISION_TYPES)
+ * @returns {string} Simulated SVG
+ */
+export const simulateSvg = (svgString, type) => mapSvgColors(svgString, (color) => simulateColor(color, type));
+
+/**
+ * Find pairs of distinct colors that collapse to the same perceived color
+ * @param {string[]} colors - Painted colors (e.g. from collectPaintedColors)
+ * @param {string} type - Simulation type
+ * @returns {Array<{a: string, b: string, simulatedA: string, simulatedB: string, deltaE: number}>} Collapsed pairs
+ */
+export const findCollapsedColors = (colors, type) => {
+  const opaque = [...new Set(colors.map((color) => formatHex({ ...parseColor(color), alpha: 1 })))];
+  const pairs = [];
+
+  opaque.forEach((a, i) => {
+    opaque.slice(i + 1).forEach((b) => {
+      if (getDeltaE(a, b) < COLLAPSE_THRESHOLD) return;
+      const simulatedA = simulateColor(a, type);
+      const simulatedB = simulateColor(b, type);
+      const difference = getDeltaE(simulatedA, simulatedB);
+      if (difference < COLLAPSE_THRESHOLD) {
+        pairs.push({ a, b, simulatedA, simulatedB, deltaE: difference });
+      }
+    });
+  });
+
+  return pairs;
+};
+
+/**
+ * Check every simulation for collapsed colors
+ * @param {string[]} colors - Painted colors
+ * @returns {Array<{type: string, pairs: Array}>} Simulations with at least one collapsed pair
+ */
+export const auditVision = (colors) => {
+  return VISION_TYPES
+    .map(({ id }) => ({ type: id, pairs: findCollapsedColors(colors, id) }))
+    .filter(({ pairs }) => pairs.length > 0);
+};
+
+export default {
+  VISION_TYPES,
+  COLLAPSE_THRESHOLD,
+  simulateColor,
+  simulateSvg,
+  findCollapsedColors,
+  auditVision,
+};